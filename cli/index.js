@@ -0,0 +1,543 @@
+#!/usr/bin/env node
+/**
+ * Often AI – `often` command-line tool
+ *
+ * Agent commands use the profile's session or API key;
+ * operator commands use ADMIN_API_KEY. Profiles live in
+ * ~/.often/config.json (mode 0600), one per target/identity.
+ *
+ * ENV:
+ *   OFTEN_PROFILE   – profile name (default "default")
+ *   OFTEN_CONFIG    – config file path
+ *   OFTEN_BASE_URL  – bank `api` function URL
+ *   OFTEN_PROXY_URL – LLM proxy URL
+ *   OFTEN_PASSWORD  – password for `often login`
+ *   ADMIN_API_KEY   – operator key for deposit/freeze/reconcile
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {parseArgs} = require("util");
+const {OftenClient, OftenError} = require("@often-ai/sdk");
+
+// Built-in registry, used until the bank's is fetched
+const UNITS = {
+  USD: 1_000_000,
+  USDC: 1_000_000,
+  ETH: 1_000_000_000,
+  BTC: 100_000_000,
+  SOL: 1_000_000_000,
+};
+const DEFAULT_REGION = "us-central1";
+const DEFAULT_MODEL = "gpt-4o-mini";
+
+const USAGE = `Usage: often [options] <command> [args]
+
+Agent commands:
+  login [--email E] [--password-stdin | --api-key K]
+  logout
+  balance
+  history [--limit N] [--type T] [--currency C] [--cursor X]
+  transfer <toAccountId> <amount> <currency> [--description D]
+  convert <amount> <from> <to> [--min-receive A]
+  chat <prompt> [--model M] [--system S]
+
+Operator commands (ADMIN_API_KEY):
+  deposit <accountId> <amount> <currency>
+  freeze <accountId> --reason R
+  reconcile [accountId]
+
+Profiles:
+  configure [--base-url URL] [--proxy-url URL] [--emulator]
+  profiles
+
+Options:
+  --profile NAME    profile to use (default: $OFTEN_PROFILE or "default")
+  --json            print raw JSON for scripting
+  --emulator        target the functions emulator from firebase.json
+  --base-url URL    bank API URL for this run
+  --proxy-url URL   LLM proxy URL for this run
+
+Amounts are decimal strings ("1.5") or, with a trailing "u",
+smallest units ("1500000u").`;
+
+const OPTIONS = {
+  "profile": {type: "string"},
+  "json": {type: "boolean"},
+  "emulator": {type: "boolean"},
+  "base-url": {type: "string"},
+  "proxy-url": {type: "string"},
+  "email": {type: "string"},
+  "password-stdin": {type: "boolean"},
+  "api-key": {type: "string"},
+  "limit": {type: "string"},
+  "type": {type: "string"},
+  "currency": {type: "string"},
+  "cursor": {type: "string"},
+  "description": {type: "string"},
+  "min-receive": {type: "string"},
+  "model": {type: "string"},
+  "system": {type: "string"},
+  "reason": {type: "string"},
+  "help": {type: "boolean", short: "h"},
+};
+
+/** A mistake in the command line; exits with status 2. */
+class UsageError extends Error {}
+
+/* ═════════════════ FORMATTING ═════════════════ */
+
+/**
+ * Pretty-print smallest units with UNITS, trimming trailing
+ * zeros but keeping two decimals.
+ * @param {number} amount - Smallest units
+ * @param {string} currency - Currency code
+ * @param {object} [units] - Units per currency
+ * @return {string} e.g. "12.50 USD"
+ */
+function formatUnits(amount, currency, units = UNITS) {
+  const unit = units[currency];
+  if (!unit) return `${amount} ${currency}`;
+  const decimals = String(unit).length - 1;
+  const neg = amount < 0;
+  const abs = BigInt(Math.abs(amount));
+  const big = BigInt(unit);
+  let frac = (abs % big).toString().padStart(decimals, "0");
+  frac = frac.replace(/0+$/, "").padEnd(Math.min(2, decimals), "0");
+  const whole = (abs / big).toString();
+  return `${neg ? "-" : ""}${whole}${frac ? `.${frac}` : ""} ${currency}`;
+}
+
+/**
+ * UNITS from the bank's registry, falling back to the
+ * built-in table when it cannot be read.
+ * @param {OftenClient} client - Client
+ * @return {Promise<object>} Units per currency
+ */
+async function loadUnits(client) {
+  try {
+    const {currencies} = await client.listCurrencies();
+    return Object.fromEntries(
+        currencies.map((c) => [c.code, 10 ** c.decimals]));
+  } catch (err) {
+    return UNITS;
+  }
+}
+
+/**
+ * Command-line amount: "1.5" passes through as a decimal
+ * string; "1500000u" is smallest units.
+ * @param {string} value - Argument
+ * @param {string} name - Argument name for errors
+ * @return {number|string} Amount for the API
+ */
+function parseAmountArg(value, name = "amount") {
+  if (value === undefined) throw new UsageError(`${name} is required`);
+  const units = /^(\d+)u$/.exec(value);
+  if (units) return Number(units[1]);
+  if (!/^\d+(\.\d+)?$/.test(value)) {
+    throw new UsageError(`${name} must look like 1.5 or 1500000u`);
+  }
+  return value;
+}
+
+/**
+ * Date of a ledger entry's createdAt as it comes over JSON.
+ * @param {*} ts - Firestore timestamp JSON or ISO string
+ * @return {string} "YYYY-MM-DD HH:MM" or ""
+ */
+function formatTime(ts) {
+  const ms = ts && (ts._seconds !== undefined ? ts._seconds * 1000 :
+    ts.seconds !== undefined ? ts.seconds * 1000 : Date.parse(ts));
+  return ms ? new Date(ms).toISOString().slice(0, 16).replace("T", " ") :
+    "";
+}
+
+/* ═════════════════ PROFILES ═════════════════ */
+
+/**
+ * Path of the config file.
+ * @param {object} env - Environment
+ * @return {string} Path
+ */
+function configPath(env) {
+  return env.OFTEN_CONFIG ||
+    path.join(env.HOME || os.homedir(), ".often", "config.json");
+}
+
+/**
+ * Read the config file, or an empty one.
+ * @param {string} file - Path
+ * @return {object} {profiles}
+ */
+function readConfig(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return {profiles: {}};
+    throw new UsageError(`Cannot read ${file}: ${err.message}`);
+  }
+}
+
+/**
+ * Write the config file, readable by the owner only: it
+ * holds refresh tokens and API keys.
+ * @param {string} file - Path
+ * @param {object} config - Config
+ */
+function writeConfig(file, config) {
+  fs.mkdirSync(path.dirname(file), {recursive: true, mode: 0o700});
+  fs.writeFileSync(file, `${JSON.stringify(config, null, 2)}\n`,
+      {mode: 0o600});
+  fs.chmodSync(file, 0o600);
+}
+
+/**
+ * The functions emulator's `api` URL from the nearest
+ * firebase.json (and .firebaserc for the project ID).
+ * @param {string} cwd - Directory to search up from
+ * @param {object} env - Environment
+ * @return {string} Base URL
+ */
+function emulatorUrl(cwd, env) {
+  let dir = path.resolve(cwd);
+  while (!fs.existsSync(path.join(dir, "firebase.json"))) {
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      throw new UsageError("--emulator: no firebase.json found");
+    }
+    dir = parent;
+  }
+  const fb = JSON.parse(
+      fs.readFileSync(path.join(dir, "firebase.json"), "utf8"));
+  const emu = (fb.emulators || {}).functions || {};
+  let project = env.GCLOUD_PROJECT;
+  if (!project && fs.existsSync(path.join(dir, ".firebaserc"))) {
+    const rc = JSON.parse(
+        fs.readFileSync(path.join(dir, ".firebaserc"), "utf8"));
+    project = (rc.projects || {}).default;
+  }
+  if (!project) {
+    throw new UsageError("--emulator: set GCLOUD_PROJECT or .firebaserc");
+  }
+  const host = emu.host || "127.0.0.1";
+  const port = emu.port || 5001;
+  return `http://${host}:${port}/${project}/${DEFAULT_REGION}/api`;
+}
+
+/* ═════════════════ COMMANDS ═════════════════ */
+
+// Each command gets {client, args, opts, io, profile, config,
+// units()} and returns the JSON result and the lines to print
+const COMMANDS = {
+  async login({client, opts, io, profile}) {
+    // Later commands reuse the target logged in to
+    profile.baseUrl = client.baseUrl;
+    if (opts["api-key"]) {
+      client.apiKey = opts["api-key"];
+      const {uid} = await client.getAccount();
+      profile.apiKey = opts["api-key"];
+      delete profile.tokens;
+      return {result: {profile: io.profileName, uid, auth: "apiKey"},
+        lines: [`Stored API key for ${uid} (profile ${io.profileName})`]};
+    }
+    const email = opts.email || profile.email;
+    if (!email) throw new UsageError("--email is required");
+    const password = opts["password-stdin"] ?
+      (await io.readStdin()).trim() : io.env.OFTEN_PASSWORD;
+    if (!password) {
+      throw new UsageError("Set OFTEN_PASSWORD or use --password-stdin");
+    }
+    delete profile.apiKey;
+    client.apiKey = undefined;
+    const tokens = await client.login(email, password);
+    profile.email = email;
+    return {result: {profile: io.profileName, email,
+      expiresAt: new Date(tokens.expiresAt).toISOString()},
+    lines: [`Logged in as ${email} (profile ${io.profileName})`]};
+  },
+
+  async logout({profile, io}) {
+    delete profile.tokens;
+    delete profile.apiKey;
+    return {result: {profile: io.profileName},
+      lines: [`Logged out of profile ${io.profileName}`]};
+  },
+
+  async balance({client, units}) {
+    const account = await client.getAccount();
+    const u = await units();
+    const lines = [`Account ${account.uid} (${account.status})`];
+    for (const [c, bal] of Object.entries(account.balances || {})) {
+      const held = (account.held || {})[c] || 0;
+      lines.push(`  ${formatUnits(bal, c, u).padStart(24)}` +
+        (held ? `  (${formatUnits(held, c, u)} held)` : ""));
+    }
+    return {result: account, lines};
+  },
+
+  async history({client, opts, units}) {
+    const page = await client.getTransactions({
+      limit: opts.limit, type: opts.type,
+      currency: opts.currency, cursor: opts.cursor,
+    });
+    const u = await units();
+    const lines = page.transactions.map((t) => {
+      const sign = t.balanceAfter < t.balanceBefore ? -1 : 1;
+      return [
+        formatTime(t.createdAt).padEnd(16),
+        t.type.padEnd(19),
+        formatUnits(sign * t.amount, t.currency, u).padStart(22),
+        t.description || "",
+      ].join("  ");
+    });
+    if (!lines.length) lines.push("No transactions");
+    if (page.nextCursor) lines.push(`More: --cursor ${page.nextCursor}`);
+    return {result: page, lines};
+  },
+
+  async transfer({client, args, opts, units}) {
+    const [toAccountId, amount, currency] = args;
+    if (!toAccountId || !currency) {
+      throw new UsageError("transfer <toAccountId> <amount> <currency>");
+    }
+    const res = await client.transfer({
+      toAccountId,
+      amount: parseAmountArg(amount),
+      currency: currency.toUpperCase(),
+      description: opts.description,
+    });
+    const u = await units();
+    const c = res.currency;
+    return {result: res, lines: [
+      `Sent to ${toAccountId}` +
+        (res.fee ? ` (fee ${formatUnits(res.fee, c, u)})` : ""),
+      `Balance: ${formatUnits(res.balance, c, u)}`,
+    ]};
+  },
+
+  async convert({client, args, opts, units}) {
+    const [amount, from, to] = args;
+    if (!from || !to) throw new UsageError("convert <amount> <from> <to>");
+    const res = await client.convert({
+      amount: parseAmountArg(amount),
+      from: from.toUpperCase(),
+      to: to.toUpperCase(),
+      minReceive: opts["min-receive"] === undefined ? undefined :
+        parseAmountArg(opts["min-receive"], "--min-receive"),
+    });
+    const u = await units();
+    const {from: f, to: t} = res.converted;
+    return {result: res, lines: [
+      `Converted ${formatUnits(f.amount, f.currency, u)} → ` +
+        `${formatUnits(t.amount, t.currency, u)}`,
+      `Rate ${res.rate.value} (${res.rate.source}), fee ` +
+        formatUnits(res.fee.amount, res.fee.currency, u),
+    ]};
+  },
+
+  async chat({client, args, opts, io}) {
+    const prompt = args.join(" ");
+    if (!prompt) throw new UsageError("chat <prompt>");
+    if (!client.proxyUrl) {
+      throw new UsageError("No proxy URL: run `often configure --proxy-url`");
+    }
+    const messages = [{role: "user", content: prompt}];
+    if (opts.system) messages.unshift({role: "system", content: opts.system});
+    const {completion, billing} = await client.chatCompletion({
+      model: opts.model || DEFAULT_MODEL, messages,
+    });
+    if (billing) {
+      io.stderr.write(`[${billing.provider}] cost ` +
+        `${formatUnits(billing.costMicros, "USD")}, balance ` +
+        `${formatUnits(billing.balanceMicros, "USD")}\n`);
+    }
+    const reply = ((completion.choices || [])[0] || {}).message || {};
+    return {result: {completion, billing}, lines: [reply.content || ""]};
+  },
+
+  async deposit({client, args, units}) {
+    const [accountId, amount, currency] = args;
+    if (!accountId || !currency) {
+      throw new UsageError("deposit <accountId> <amount> <currency>");
+    }
+    const res = await client.deposit({
+      accountId,
+      amount: parseAmountArg(amount),
+      currency: currency.toUpperCase(),
+    });
+    const u = await units();
+    return {result: {accountId, ...res}, lines: [
+      `Deposited to ${accountId}. ` +
+        `Balance: ${formatUnits(res.balance, res.currency, u)}`,
+    ]};
+  },
+
+  async freeze({client, args, opts}) {
+    const [accountId] = args;
+    if (!accountId || !opts.reason) {
+      throw new UsageError("freeze <accountId> --reason R");
+    }
+    const res = await client.setAccountStatus(
+        accountId, "freeze", opts.reason);
+    return {result: res, lines: [`${accountId} is now ${res.status}`]};
+  },
+
+  async reconcile({client, args}) {
+    const report = await client.reconcile(args[0]);
+    const lines = [
+      `${report.status}: ${report.accountsChecked} account(s) ` +
+        `checked, ${report.issueCount} issue(s) (report ${report.id})`,
+      ...(report.issues || []).map((i) => `  ${JSON.stringify(i)}`),
+    ];
+    return {result: report, lines};
+  },
+
+  async configure({opts, profile, io}) {
+    if (opts.emulator) {
+      profile.baseUrl = emulatorUrl(io.cwd, io.env);
+    }
+    if (opts["base-url"]) profile.baseUrl = opts["base-url"];
+    if (opts["proxy-url"]) profile.proxyUrl = opts["proxy-url"];
+    const {baseUrl = null, proxyUrl = null} = profile;
+    return {result: {profile: io.profileName, baseUrl, proxyUrl}, lines: [
+      `Profile ${io.profileName}`,
+      `  bank:  ${baseUrl || "(not set)"}`,
+      `  proxy: ${proxyUrl || "(not set)"}`,
+    ]};
+  },
+
+  async profiles({config, io}) {
+    const rows = Object.entries(config.profiles).map(([name, p]) => ({
+      name,
+      baseUrl: p.baseUrl || null,
+      identity: p.apiKey ? "api key" : p.email || null,
+      active: name === io.profileName,
+    }));
+    return {result: {profiles: rows}, lines: rows.length ?
+      rows.map((r) => `${r.active ? "*" : " "} ${r.name.padEnd(12)} ` +
+        `${r.identity || "-"}  ${r.baseUrl || ""}`) :
+      ["No profiles yet; run `often configure`"]};
+  },
+};
+const ADMIN_COMMANDS = ["deposit", "freeze", "reconcile"];
+// Commands that never call the bank
+const LOCAL_COMMANDS = ["logout", "configure", "profiles"];
+
+/* ═════════════════ MAIN ═════════════════ */
+
+/**
+ * Run one command line.
+ * @param {string[]} argv - Arguments after `often`
+ * @param {object} [io] - {env, cwd, stdout, stderr,
+ *   readStdin, fetch}; process defaults
+ * @return {Promise<number>} Exit status
+ */
+async function main(argv, io = {}) {
+  io = {
+    env: process.env,
+    cwd: process.cwd(),
+    stdout: process.stdout,
+    stderr: process.stderr,
+    readStdin: () => fs.promises.readFile(0, "utf8"),
+    ...io,
+  };
+  let opts = {};
+  try {
+    const parsed = parseArgs({
+      args: argv, options: OPTIONS, allowPositionals: true,
+    });
+    opts = parsed.values;
+    const [name, ...args] = parsed.positionals;
+    if (opts.help || !name) {
+      io.stdout.write(`${USAGE}\n`);
+      return name || opts.help ? 0 : 2;
+    }
+    const command = COMMANDS[name];
+    if (!command) throw new UsageError(`Unknown command: ${name}`);
+
+    const file = configPath(io.env);
+    const config = readConfig(file);
+    io.profileName = opts.profile || io.env.OFTEN_PROFILE || "default";
+    const profile = config.profiles[io.profileName] || {};
+    config.profiles[io.profileName] = profile;
+
+    let client = null;
+    if (!LOCAL_COMMANDS.includes(name)) {
+      const baseUrl = opts["base-url"] ||
+        (opts.emulator && emulatorUrl(io.cwd, io.env)) ||
+        io.env.OFTEN_BASE_URL || profile.baseUrl;
+      if (!baseUrl) {
+        throw new UsageError(
+            "No bank URL: run `often configure`, or pass --base-url");
+      }
+      const admin = ADMIN_COMMANDS.includes(name);
+      if (admin && !io.env.ADMIN_API_KEY) {
+        throw new UsageError(`${name} needs ADMIN_API_KEY`);
+      }
+      client = new OftenClient({
+        baseUrl,
+        proxyUrl: opts["proxy-url"] || io.env.OFTEN_PROXY_URL ||
+          profile.proxyUrl,
+        apiKey: profile.apiKey,
+        tokens: profile.tokens,
+        adminKey: io.env.ADMIN_API_KEY,
+        onTokens: (tokens) => {
+          profile.tokens = tokens;
+          writeConfig(file, config);
+        },
+        fetch: io.fetch,
+      });
+    }
+
+    let units = null;
+    const {result, lines} = await command({
+      client, args, opts, io, profile, config,
+      // JSON output stays in smallest units; skip the lookup
+      units: () => units || (units = opts.json ?
+        Promise.resolve(UNITS) : loadUnits(client)),
+    });
+    if (["login", "logout", "configure"].includes(name)) {
+      writeConfig(file, config);
+    }
+    io.stdout.write(opts.json ?
+      `${JSON.stringify(result, null, 2)}\n` : `${lines.join("\n")}\n`);
+    return 0;
+  } catch (err) {
+    if (err instanceof OftenError) {
+      if (opts.json) {
+        io.stdout.write(`${JSON.stringify({error: {
+          code: err.code, message: err.message, status: err.status,
+        }}, null, 2)}\n`);
+      } else {
+        io.stderr.write(`error: ${err.code}: ${err.message}\n`);
+      }
+      return 1;
+    }
+    if (err instanceof UsageError ||
+      String(err.code).startsWith("ERR_PARSE_ARGS_")) {
+      io.stderr.write(`often: ${err.message}\n`);
+      return 2;
+    }
+    throw err;
+  }
+}
+
+module.exports = {
+  main,
+  formatUnits,
+  parseAmountArg,
+  formatTime,
+  emulatorUrl,
+  UNITS,
+};
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  }, (err) => {
+    process.stderr.write(`often: ${err.stack || err.message}\n`);
+    process.exitCode = 1;
+  });
+}
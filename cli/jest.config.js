@@ -0,0 +1,5 @@
+module.exports = {
+  testEnvironment: "node",
+  testMatch: ["**/test/**/*.test.js"],
+  testTimeout: 30000,
+};
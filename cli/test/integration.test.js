@@ -0,0 +1,347 @@
+/**
+ * Integration Tests – `often` commands against a fake bank & proxy
+ *
+ * Covers:
+ *  - Login with a password or an API key, stored per profile (0600)
+ *  - Refreshed tokens written back to the profile
+ *  - Agent commands: balance, history, transfer, convert, chat
+ *  - Operator commands with ADMIN_API_KEY: deposit, freeze, reconcile
+ *  - --json output and error exit statuses
+ *  - Targets: configure, --emulator, --base-url
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {main} = require("../index");
+
+const BANK = "https://bank.test/api";
+const PROXY = "https://proxy.test";
+const CURRENCIES = {currencies: [
+  {code: "USD", decimals: 6, enabled: true},
+  {code: "ETH", decimals: 9, enabled: true},
+]};
+
+/* ── Fake services: a queue of replies per "METHOD path" ── */
+
+let routes;
+let calls;
+let dir;
+let configFile;
+
+function reply(status, body, headers = {}) {
+  return {status, body, headers};
+}
+
+function on(method, path, ...replies) {
+  routes[`${method} ${path}`] = replies;
+}
+
+async function fakeFetch(url, init) {
+  const {pathname, search, origin} = new URL(url);
+  const key = `${init.method} ${pathname}`;
+  calls.push({key, origin, search, headers: init.headers, body: init.body && JSON.parse(init.body)});
+  const queue = routes[key];
+  if (!queue || !queue.length) throw new Error(`unexpected ${key}`);
+  const next = queue.length > 1 ? queue.shift() : queue[0];
+  return new Response(JSON.stringify(next.body), {status: next.status, headers: next.headers});
+}
+
+/** Run `often ...args`; resolves to {code, out, err}. */
+async function often(args, {env = {}, stdin = "", cwd = dir} = {}) {
+  let out = "";
+  let err = "";
+  const code = await main(args, {
+    env: {OFTEN_CONFIG: configFile, ...env},
+    cwd,
+    stdout: {write: (s) => (out += s)},
+    stderr: {write: (s) => (err += s)},
+    readStdin: async () => stdin,
+    fetch: fakeFetch,
+  });
+  return {code, out, err};
+}
+
+function config() {
+  return JSON.parse(fs.readFileSync(configFile, "utf8"));
+}
+
+function saveProfile(profile, name = "default") {
+  fs.mkdirSync(path.dirname(configFile), {recursive: true});
+  fs.writeFileSync(configFile, JSON.stringify({profiles: {[name]: profile}}));
+}
+
+function session(expiresAt = Date.now() + 3_600_000) {
+  return {idToken: "id-1", refreshToken: "refresh-1", expiresAt};
+}
+
+beforeEach(() => {
+  routes = {};
+  calls = [];
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "often-cli-"));
+  configFile = path.join(dir, "often", "config.json");
+  on("GET", "/api/v1/currencies", reply(200, CURRENCIES));
+});
+
+afterEach(() => fs.rmSync(dir, {recursive: true, force: true}));
+
+/* ═══════════════════════════════════════════════
+   1. Profiles & Login
+   ═══════════════════════════════════════════════ */
+
+describe("profiles", () => {
+  test("login stores the session in the profile, readable by the owner only", async () => {
+    on("POST", "/api/v1/auth/login", reply(200, {idToken: "id-1", refreshToken: "refresh-1", expiresIn: "3600"}));
+
+    const res = await often(["login", "--email", "a@x.io", "--base-url", BANK], {env: {OFTEN_PASSWORD: "secret-pw"}});
+
+    expect(res).toMatchObject({code: 0, out: "Logged in as a@x.io (profile default)\n"});
+    expect(calls[0].body).toEqual({email: "a@x.io", password: "secret-pw"});
+    const {profiles} = config();
+    expect(profiles.default).toMatchObject({
+      baseUrl: BANK, email: "a@x.io", tokens: {idToken: "id-1", refreshToken: "refresh-1"},
+    });
+    expect(fs.statSync(configFile).mode & 0o777).toBe(0o600);
+  });
+
+  test("reads the password from stdin", async () => {
+    on("POST", "/api/v1/auth/login", reply(200, {idToken: "id-1", refreshToken: "refresh-1", expiresIn: "3600"}));
+
+    const res = await often(["login", "--email", "a@x.io", "--password-stdin", "--base-url", BANK],
+        {stdin: "from-stdin\n"});
+
+    expect(res.code).toBe(0);
+    expect(calls[0].body.password).toBe("from-stdin");
+  });
+
+  test("keeps profiles apart", async () => {
+    saveProfile({baseUrl: BANK, tokens: session()});
+
+    on("GET", "/api/v1/accounts/me", reply(200, {uid: "agent-b", balances: {}, status: "active"}));
+    const login = await often(["login", "--api-key", "ok_live_abc", "--profile", "ci", "--base-url", BANK]);
+    expect(login.out).toBe("Stored API key for agent-b (profile ci)\n");
+    expect((await often(["balance", "--profile", "ci"])).code).toBe(0);
+
+    expect(calls.map((c) => c.headers.Authorization)).toEqual(Array(3).fill("Bearer ok_live_abc"));
+    const {profiles} = config();
+    expect(profiles.default.tokens.idToken).toBe("id-1");
+    expect(profiles.ci).toEqual({baseUrl: BANK, apiKey: "ok_live_abc"});
+
+    const list = await often(["profiles", "--json"]);
+    expect(JSON.parse(list.out).profiles).toEqual([
+      {name: "default", baseUrl: BANK, identity: null, active: true},
+      {name: "ci", baseUrl: BANK, identity: "api key", active: false},
+    ]);
+  });
+
+  test("writes refreshed tokens back to the profile", async () => {
+    saveProfile({baseUrl: BANK, tokens: session(Date.now() + 1000)});
+    on("POST", "/api/v1/auth/refresh", reply(200, {idToken: "id-2", refreshToken: "refresh-2", expiresIn: "3600"}));
+    on("GET", "/api/v1/accounts/me", reply(200, {uid: "agent-a", balances: {}, status: "active"}));
+
+    expect((await often(["balance"])).code).toBe(0);
+    expect(config().profiles.default.tokens).toMatchObject({idToken: "id-2", refreshToken: "refresh-2"});
+  });
+
+  test("logout forgets the credentials but keeps the target", async () => {
+    saveProfile({baseUrl: BANK, email: "a@x.io", tokens: session()});
+
+    await often(["logout"]);
+
+    expect(config().profiles.default).toEqual({baseUrl: BANK, email: "a@x.io"});
+  });
+
+  test("configure --emulator points the profile at firebase.json's functions emulator", async () => {
+    const res = await often(["configure", "--emulator", "--proxy-url", PROXY, "--profile", "local"],
+        {cwd: __dirname});
+
+    expect(res.code).toBe(0);
+    expect(config().profiles.local).toEqual({
+      baseUrl: "http://127.0.0.1:5001/ext-hub/us-central1/api", proxyUrl: PROXY,
+    });
+  });
+});
+
+/* ═══════════════════════════════════════════════
+   2. Agent Commands
+   ═══════════════════════════════════════════════ */
+
+describe("agent commands", () => {
+  beforeEach(() => saveProfile({baseUrl: BANK, proxyUrl: PROXY, tokens: session()}));
+
+  test("balance pretty-prints with the bank's units", async () => {
+    on("GET", "/api/v1/accounts/me", reply(200, {
+      uid: "agent-a", status: "active",
+      balances: {USD: 12_500_000, ETH: 1_500_000_000}, held: {USD: 500_000},
+    }));
+
+    const res = await often(["balance"]);
+
+    expect(res.code).toBe(0);
+    expect(res.out).toContain("Account agent-a (active)");
+    expect(res.out).toContain("12.50 USD  (0.50 USD held)");
+    expect(res.out).toContain("1.50 ETH");
+  });
+
+  test("--json prints the raw response", async () => {
+    const account = {uid: "agent-a", status: "active", balances: {USD: 1}};
+    on("GET", "/api/v1/accounts/me", reply(200, account));
+
+    const res = await often(["balance", "--json"]);
+
+    expect(JSON.parse(res.out)).toEqual(account);
+    expect(calls.map((c) => c.key)).toEqual(["GET /api/v1/accounts/me"]);
+  });
+
+  test("history passes filters and signs outflows", async () => {
+    on("GET", "/api/v1/accounts/me/transactions", reply(200, {
+      transactions: [
+        {type: "transfer_out", currency: "USD", amount: 1_500_000, balanceBefore: 5_000_000,
+          balanceAfter: 3_500_000, description: "Payment", createdAt: {_seconds: 1_792_000_000}},
+        {type: "deposit", currency: "USD", amount: 5_000_000, balanceBefore: 0, balanceAfter: 5_000_000},
+      ],
+      nextCursor: "c2",
+    }));
+
+    const res = await often(["history", "--limit", "2", "--currency", "USD"]);
+
+    expect(calls[0].search).toBe("?limit=2&currency=USD");
+    const lines = res.out.trim().split("\n");
+    expect(lines[0]).toMatch(/transfer_out\s+-1\.50 USD {2}Payment$/);
+    expect(lines[1]).toMatch(/deposit\s+5\.00 USD/);
+    expect(lines[2]).toBe("More: --cursor c2");
+  });
+
+  test("transfer sends the decimal amount with an idempotency key", async () => {
+    on("POST", "/api/v1/transfers", reply(200, {currency: "USD", balance: 3_490_000, fee: 10_000}));
+
+    const res = await often(["transfer", "agent-b", "1.5", "usd", "--description", "Thanks"]);
+
+    expect(calls[0].body).toEqual({toAccountId: "agent-b", amount: "1.5", currency: "USD", description: "Thanks"});
+    expect(calls[0].headers["Idempotency-Key"]).toBeTruthy();
+    expect(res.out).toBe("Sent to agent-b (fee 0.01 USD)\nBalance: 3.49 USD\n");
+  });
+
+  test("convert prints both legs", async () => {
+    on("POST", "/api/v1/conversions", reply(200, {
+      converted: {from: {currency: "USD", amount: 3_500_000}, to: {currency: "ETH", amount: 1_000_000}},
+      fee: {currency: "USD", amount: 0},
+      rate: {value: 0.000285714, source: "fixed"},
+    }));
+
+    const res = await often(["convert", "3500000u", "USD", "ETH", "--min-receive", "0.001"]);
+
+    expect(calls[0].body).toEqual({amount: 3_500_000, from: "USD", to: "ETH", minReceive: "0.001"});
+    expect(res.out).toContain("Converted 3.50 USD → 0.001 ETH");
+  });
+
+  test("chat prints the reply and reports billing on stderr", async () => {
+    on("POST", "/v1/chat/completions", reply(200, {
+      choices: [{index: 0, message: {role: "assistant", content: "Hi!"}, finish_reason: "stop"}],
+    }, {"X-Often-Cost-Micros": "1200", "X-Often-Balance-Micros": "4998800", "X-Often-Provider": "openai"}));
+
+    const res = await often(["chat", "Say", "hi", "--system", "Be brief"]);
+
+    expect(calls[0].origin).toBe(PROXY);
+    expect(calls[0].body).toEqual({model: "gpt-4o-mini", messages: [
+      {role: "system", content: "Be brief"}, {role: "user", content: "Say hi"},
+    ]});
+    expect(res.out).toBe("Hi!\n");
+    expect(res.err).toBe("[openai] cost 0.0012 USD, balance 4.9988 USD\n");
+  });
+
+  test("API errors exit 1 with the code", async () => {
+    on("POST", "/api/v1/transfers",
+        reply(402, {error: {code: "insufficient_funds", message: "Insufficient funds"}}));
+
+    const res = await often(["transfer", "agent-b", "100", "USD"]);
+    expect(res).toMatchObject({code: 1, err: "error: insufficient_funds: Insufficient funds\n"});
+
+    const json = await often(["transfer", "agent-b", "100", "USD", "--json"]);
+    expect(JSON.parse(json.out)).toEqual({
+      error: {code: "insufficient_funds", message: "Insufficient funds", status: 402},
+    });
+  });
+
+  test("an empty profile is told to log in", async () => {
+    saveProfile({baseUrl: BANK});
+
+    const res = await often(["balance"]);
+
+    expect(res).toMatchObject({code: 1, err: "error: unauthenticated: Not logged in\n"});
+    expect(calls).toEqual([]);
+  });
+});
+
+/* ═══════════════════════════════════════════════
+   3. Operator Commands
+   ═══════════════════════════════════════════════ */
+
+describe("operator commands", () => {
+  const env = {ADMIN_API_KEY: "admin-secret", OFTEN_BASE_URL: BANK};
+
+  test("deposit uses the admin key", async () => {
+    on("POST", "/api/v1/deposits", reply(200, {currency: "USD", balance: 10_000_000}));
+
+    const res = await often(["deposit", "agent-a", "10", "USD"], {env});
+
+    expect(calls[0].headers["x-admin-key"]).toBe("admin-secret");
+    expect(calls[0].body).toEqual({accountId: "agent-a", amount: "10", currency: "USD"});
+    expect(res.out).toBe("Deposited to agent-a. Balance: 10.00 USD\n");
+  });
+
+  test("freeze needs a reason", async () => {
+    on("POST", "/api/v1/accounts/agent-a/freeze",
+        reply(200, {accountId: "agent-a", status: "frozen", reason: "fraud review"}));
+
+    expect((await often(["freeze", "agent-a"], {env})).code).toBe(2);
+    const res = await often(["freeze", "agent-a", "--reason", "fraud review"], {env});
+
+    expect(calls[0].body).toEqual({reason: "fraud review"});
+    expect(res.out).toBe("agent-a is now frozen\n");
+  });
+
+  test("reconcile reports drift", async () => {
+    on("POST", "/api/v1/reconciliation", reply(200, {
+      id: "r1", scope: "all", status: "drift", accountsChecked: 3, issueCount: 1,
+      issues: [{accountId: "agent-a", currency: "USD", kind: "balance_mismatch"}],
+    }));
+
+    const res = await often(["reconcile"], {env});
+
+    expect(res.out).toContain("drift: 3 account(s) checked, 1 issue(s) (report r1)");
+    expect(res.out).toContain("balance_mismatch");
+  });
+
+  test("refuse to run without ADMIN_API_KEY", async () => {
+    const res = await often(["deposit", "agent-a", "10", "USD"], {env: {OFTEN_BASE_URL: BANK}});
+
+    expect(res).toMatchObject({code: 2, err: "often: deposit needs ADMIN_API_KEY\n"});
+    expect(calls).toEqual([]);
+  });
+});
+
+/* ═══════════════════════════════════════════════
+   4. Usage
+   ═══════════════════════════════════════════════ */
+
+describe("usage", () => {
+  test("unknown commands and options exit 2", async () => {
+    expect(await often(["nope"])).toMatchObject({code: 2, err: "often: Unknown command: nope\n"});
+    expect((await often(["balance", "--bogus"])).code).toBe(2);
+  });
+
+  test("no target configured", async () => {
+    const res = await often(["balance"]);
+
+    expect(res.code).toBe(2);
+    expect(res.err).toContain("No bank URL");
+  });
+
+  test("--help prints usage", async () => {
+    const res = await often(["--help"]);
+
+    expect(res.code).toBe(0);
+    expect(res.out).toContain("Operator commands (ADMIN_API_KEY)");
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Unit Tests – CLI helpers
+ *
+ * Covers:
+ *  - Amount formatting with UNITS
+ *  - Amount arguments (decimal strings and smallest units)
+ *  - Ledger timestamps
+ *  - Emulator URL from firebase.json and .firebaserc
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {formatUnits, parseAmountArg, formatTime, emulatorUrl, UNITS} = require("../index");
+
+/* ═══════════════════════════════════════════════
+   1. Formatting
+   ═══════════════════════════════════════════════ */
+
+describe("formatUnits", () => {
+  test("keeps two decimals and trims the rest", () => {
+    expect(formatUnits(12_500_000, "USD")).toBe("12.50 USD");
+    expect(formatUnits(1_234_567, "USD")).toBe("1.234567 USD");
+    expect(formatUnits(0, "USD")).toBe("0.00 USD");
+  });
+
+  test("uses each currency's decimals", () => {
+    expect(formatUnits(1, "ETH")).toBe("0.000000001 ETH");
+    expect(formatUnits(150_000_000, "BTC")).toBe("1.50 BTC");
+  });
+
+  test("signs negative amounts", () => {
+    expect(formatUnits(-2_000_000, "USDC")).toBe("-2.00 USDC");
+  });
+
+  test("accepts a registry from the bank", () => {
+    expect(formatUnits(1234, "EURC", {...UNITS, EURC: 100})).toBe("12.34 EURC");
+    expect(formatUnits(5, "JPY", {JPY: 1})).toBe("5 JPY");
+  });
+
+  test("prints raw units for unknown currencies", () => {
+    expect(formatUnits(42, "XYZ")).toBe("42 XYZ");
+  });
+});
+
+/* ═══════════════════════════════════════════════
+   2. Amount Arguments
+   ═══════════════════════════════════════════════ */
+
+describe("parseAmountArg", () => {
+  test("passes decimal strings through for the bank to scale", () => {
+    expect(parseAmountArg("1.5")).toBe("1.5");
+    expect(parseAmountArg("3")).toBe("3");
+  });
+
+  test("reads a trailing u as smallest units", () => {
+    expect(parseAmountArg("1500000u")).toBe(1_500_000);
+  });
+
+  test("rejects anything else", () => {
+    expect(() => parseAmountArg("-1")).toThrow("amount must look like");
+    expect(() => parseAmountArg("1e6")).toThrow();
+    expect(() => parseAmountArg(undefined)).toThrow("amount is required");
+  });
+});
+
+describe("formatTime", () => {
+  test("reads Firestore timestamps and ISO strings", () => {
+    expect(formatTime({_seconds: 1_760_000_000, _nanoseconds: 0})).toBe("2025-10-09 08:53");
+    expect(formatTime("2026-10-19T12:30:00Z")).toBe("2026-10-19 12:30");
+    expect(formatTime(undefined)).toBe("");
+  });
+});
+
+/* ═══════════════════════════════════════════════
+   3. Emulator Target
+   ═══════════════════════════════════════════════ */
+
+describe("emulatorUrl", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "often-cli-"));
+  });
+
+  afterEach(() => fs.rmSync(dir, {recursive: true, force: true}));
+
+  test("reads the repo's firebase.json from a subdirectory", () => {
+    expect(emulatorUrl(__dirname, {})).toBe("http://127.0.0.1:5001/ext-hub/us-central1/api");
+  });
+
+  test("uses the configured host and port, and GCLOUD_PROJECT", () => {
+    fs.writeFileSync(path.join(dir, "firebase.json"),
+        JSON.stringify({emulators: {functions: {host: "0.0.0.0", port: 5101}}}));
+
+    expect(emulatorUrl(dir, {GCLOUD_PROJECT: "demo-often"})).toBe("http://0.0.0.0:5101/demo-often/us-central1/api");
+  });
+
+  test("needs a project ID", () => {
+    fs.writeFileSync(path.join(dir, "firebase.json"), "{}");
+
+    expect(() => emulatorUrl(dir, {})).toThrow("GCLOUD_PROJECT");
+  });
+});
@@ -1,17 +1,40 @@
 /**
  * Often AI – Bank for Agents
- * Firebase Cloud Functions: auth, accounts, deposits,
- * transfers, currency conversion.
+ * Firebase Cloud Functions: auth, agent API keys, accounts,
+ * child accounts, spending policies, deposits, transfers,
+ * batch transfers, refunds & reversals, holds,
+ * withdrawals, statements, currency conversion, ledger
+ * webhooks, reconciliation, double-entry journal, fees,
+ * currency registry, limit/stop conversion orders, and a
+ * versioned REST router (`api`) over all of the above,
+ * described by openapi.json (served by `openapi`).
  *
  * ENV (must set before deploy):
  *   FIREBASE_WEB_API_KEY – project Web API Key
  *   ADMIN_API_KEY        – secret for admin operations
+ *   FROZEN_CAN_RECEIVE   – "true" lets frozen accounts
+ *                          receive transfers and deposits
+ *   RATE_SOURCES         – comma list of rate providers
+ *                          (coingecko, coinbase, fixed)
+ *   RATE_MAX_AGE_MS      – refuse conversions on rates older
+ *                          than this (default 5 minutes)
+ *   FIXED_RATES          – JSON USD prices for "fixed"
+ *   RATE_LIMITS          – JSON per-endpoint limit overrides
+ *                          ({limit, windowMs, by, overrides})
+ *   RATE_LIMIT_STORE     – "firestore" (default, shared by
+ *                          all instances) or "memory"
  */
 
 const {setGlobalOptions} = require("firebase-functions");
 const {onRequest} = require("firebase-functions/v2/https");
+const {onSchedule} = require("firebase-functions/v2/scheduler");
+const {onDocumentCreated} = require("firebase-functions/v2/firestore");
 const admin = require("firebase-admin");
 const logger = require("firebase-functions/logger");
+const crypto = require("crypto");
+const dns = require("dns").promises;
+const net = require("net");
+const OPENAPI = require("./openapi.json");
 
 admin.initializeApp();
 setGlobalOptions({maxInstances: 10});
@@ -24,61 +47,634 @@ if (!API_KEY) {
 
 const CORS = {cors: true};
 
-const SUPPORTED = ["USD", "USDC", "ETH", "BTC", "SOL"];
-const UNITS = {
-  USD: 1_000_000,
-  USDC: 1_000_000,
-  ETH: 1_000_000_000,
-  BTC: 100_000_000,
-  SOL: 1_000_000_000,
+/* ───────── currency registry ───────── */
+
+// currencies/{code} docs hold {decimals, rateSourceId,
+// enabled} and override or extend the built-in entries
+// below. rateSourceId is the CoinGecko coin ID; USD is the
+// pricing base and has none. Disabled currencies keep their
+// balances but accept no new activity.
+const DEFAULT_CURRENCIES = {
+  USD: {decimals: 6, rateSourceId: null, enabled: true},
+  USDC: {decimals: 6, rateSourceId: "usd-coin", enabled: true},
+  ETH: {decimals: 9, rateSourceId: "ethereum", enabled: true},
+  BTC: {decimals: 8, rateSourceId: "bitcoin", enabled: true},
+  SOL: {decimals: 9, rateSourceId: "solana", enabled: true},
 };
+const CURRENCY_TTL = 60_000;
+const CURRENCY_CODE_RE = /^[A-Z][A-Z0-9]{1,9}$/;
+// Balances are JS numbers: 9 decimals still leaves nine
+// million whole units below Number.MAX_SAFE_INTEGER
+const MAX_DECIMALS = 9;
 
-const EMPTY_BALANCES = Object.fromEntries(
-    SUPPORTED.map((c) => [c, 0]),
-);
+let currencyCache = {entries: DEFAULT_CURRENCIES, loadedAt: 0};
 
-/* ───────── exchange rate cache ───────── */
+/**
+ * Load the currency registry, cached for CURRENCY_TTL.
+ * Handlers call this before validating currencies; the
+ * synchronous accessors below read the loaded copy.
+ * @param {boolean} [force] - Bypass the cache
+ * @return {object} Map of code to registry entry
+ */
+async function loadCurrencies(force) {
+  if (!force && Date.now() - currencyCache.loadedAt < CURRENCY_TTL) {
+    return currencyCache.entries;
+  }
+  const snap = await db.collection("currencies").get();
+  const entries = {...DEFAULT_CURRENCIES};
+  for (const d of snap.docs) {
+    entries[d.id] = {...entries[d.id], ...d.data()};
+  }
+  currencyCache = {entries, loadedAt: Date.now()};
+  return entries;
+}
 
-let rateCache = null;
-let rateCacheExp = 0;
-const RATE_TTL = 60_000;
+/**
+ * Registry entry of a currency, enabled or not.
+ * @param {string} code - Currency code
+ * @return {object|null} {decimals, rateSourceId, enabled}
+ */
+function currencyEntry(code) {
+  const {entries} = currencyCache;
+  return typeof code === "string" && Object.hasOwn(entries, code) ?
+    entries[code] : null;
+}
+
+/**
+ * Codes of every registered currency, including disabled ones.
+ * @return {string[]} Currency codes
+ */
+function currencyCodes() {
+  return Object.keys(currencyCache.entries);
+}
 
 /**
- * Fetch USD exchange rates for supported currencies.
- * @return {object} Map of currency → USD price
+ * Codes of currencies open for new activity.
+ * @return {string[]} Currency codes
  */
-async function getExchangeRates() {
-  if (rateCache && Date.now() < rateCacheExp) {
-    return rateCache;
+function supportedCurrencies() {
+  return currencyCodes().filter((c) => currencyEntry(c).enabled);
+}
+
+/**
+ * Smallest units per whole unit of a currency.
+ * @param {string} code - Currency code
+ * @return {number} 10^decimals
+ */
+function currencyUnits(code) {
+  return 10 ** currencyEntry(code).decimals;
+}
+
+/**
+ * Zero balance for every enabled currency.
+ * @return {object} Map of code to 0
+ */
+function emptyBalances() {
+  return Object.fromEntries(supportedCurrencies().map((c) => [c, 0]));
+}
+
+/**
+ * Validate a currency code against the registry.
+ * @param {string} currency - Currency code
+ * @param {boolean} [existing] - Also accept disabled
+ *   currencies, for reads and moves of funds already held
+ * @return {object|null} {error, code}, or null if valid
+ */
+function currencyError(currency, existing) {
+  const entry = currencyEntry(currency);
+  if (entry && (existing || entry.enabled)) return null;
+  if (entry) {
+    return {
+      error: `Currency ${currency} is disabled`,
+      code: "currency_disabled",
+    };
   }
-  const url =
-    "https://api.coingecko.com/api/v3/simple/price" +
-    "?ids=ethereum,bitcoin,solana,usd-coin" +
-    "&vs_currencies=usd";
-  try {
-    const r = await fetch(url);
+  return {
+    error: `Unsupported currency. Use: ${supportedCurrencies()}`,
+    code: "unsupported_currency",
+  };
+}
+
+/**
+ * Validate an admin registry update. Only the fields present
+ * are returned, so an update can flip `enabled` alone.
+ * @param {object} body - Request body
+ * @return {object} {code, fields} or {error}
+ */
+function parseCurrency(body) {
+  const {code, decimals, rateSourceId, enabled} = body;
+  if (typeof code !== "string" || !CURRENCY_CODE_RE.test(code)) {
+    return {error: "code must be 2-10 uppercase letters or digits"};
+  }
+  if (decimals !== undefined && (!Number.isInteger(decimals) ||
+    decimals < 0 || decimals > MAX_DECIMALS)) {
+    return {error: `decimals must be an integer from 0 to ${MAX_DECIMALS}`};
+  }
+  if (rateSourceId !== undefined && rateSourceId !== null &&
+    (typeof rateSourceId !== "string" || !rateSourceId)) {
+    return {error: "rateSourceId must be a string or null"};
+  }
+  if (enabled !== undefined && typeof enabled !== "boolean") {
+    return {error: "enabled must be a boolean"};
+  }
+  const fields = Object.fromEntries(
+      Object.entries({decimals, rateSourceId, enabled})
+          .filter(([, v]) => v !== undefined),
+  );
+  return {code, fields};
+}
+
+/* ───────── amounts ───────── */
+
+const DECIMAL_AMOUNT_RE = /^(\d+)(?:\.(\d+))?$/;
+
+/**
+ * Parse a request amount of a registered currency: either an
+ * integer count of smallest units or an exact decimal string
+ * of whole units ("12.345678" USD is 12_345_678).
+ * @param {*} value - Value from the request body
+ * @param {string} currency - Currency code
+ * @param {string} [field] - Field name for error messages
+ * @return {object} {amount} in smallest units, or {error}
+ */
+function parseAmount(value, currency, field = "amount") {
+  const {decimals} = currencyEntry(currency);
+  let amount = NaN;
+  if (typeof value === "number") {
+    if (!Number.isInteger(value)) {
+      return {
+        error: `${field} in smallest units must be an integer; ` +
+          "send a decimal string for fractional amounts",
+      };
+    }
+    amount = value;
+  } else if (typeof value === "string") {
+    const m = DECIMAL_AMOUNT_RE.exec(value);
+    if (m && (m[2] || "").length > decimals) {
+      return {
+        error: `${field} has more than ${decimals} decimal ` +
+          `places for ${currency}`,
+      };
+    }
+    if (m) {
+      amount = Number(BigInt(m[1] + (m[2] || "").padEnd(decimals, "0")));
+    }
+  }
+  if (!Number.isSafeInteger(amount) || amount <= 0) {
+    return {
+      error: `${field} must be a positive integer of smallest ` +
+        "units or a decimal string",
+    };
+  }
+  return {amount};
+}
+
+/**
+ * Format smallest units as an exact decimal string with the
+ * currency's full precision, e.g. 12_500_000 USD → "12.500000".
+ * @param {number} amount - Amount in smallest units
+ * @param {string} currency - Currency code
+ * @return {string} Decimal string
+ */
+function formatAmount(amount, currency) {
+  const entry = currencyEntry(currency);
+  if (!entry || !entry.decimals) return String(amount);
+  const {decimals} = entry;
+  const digits = String(Math.abs(amount)).padStart(decimals + 1, "0");
+  return `${amount < 0 ? "-" : ""}${digits.slice(0, -decimals)}.` +
+    digits.slice(-decimals);
+}
+
+/**
+ * Format every amount of a currency → amount map.
+ * @param {object} balances - Map of currency to smallest units
+ * @return {object} Map of currency to decimal string
+ */
+function formatBalances(balances) {
+  return Object.fromEntries(Object.entries(balances || {})
+      .map(([c, n]) => [c, formatAmount(n, c)]));
+}
+
+// Every `type` a transactions/{id} entry can have
+const LEDGER_TYPES = [
+  "deposit", "transfer_in", "transfer_out", "conversion",
+  "refund_in", "refund_out", "reversal_in", "reversal_out",
+  "withdrawal", "withdrawal_reversal", "llm_usage", "fee",
+];
+
+/**
+ * Spendable amount of a currency: balance minus active holds.
+ * @param {object} account - accounts/{uid} document data
+ * @param {string} currency - Currency code
+ * @return {number} Available amount in smallest units
+ */
+function availableBalance(account, currency) {
+  const bal = (account.balances || {})[currency] || 0;
+  const held = (account.held || {})[currency] || 0;
+  return bal - held;
+}
+
+/* ───────── account status ───────── */
+
+/**
+ * Throw unless the account may spend or convert funds.
+ * @param {object} account - accounts/{uid} document data
+ */
+function assertCanSend(account) {
+  const status = account.status || "active";
+  if (status === "frozen") throw new Error("ACCOUNT_FROZEN");
+  if (status === "closed") throw new Error("ACCOUNT_CLOSED");
+}
+
+/**
+ * Throw unless the account may receive funds. Frozen
+ * accounts receive only when FROZEN_CAN_RECEIVE is set.
+ * @param {object} account - accounts/{uid} document data
+ * @param {string} code - Error code to throw
+ */
+function assertCanReceive(account, code) {
+  const status = account.status || "active";
+  if (status === "active") return;
+  if (status === "frozen" &&
+    process.env.FROZEN_CAN_RECEIVE === "true") return;
+  throw new Error(code);
+}
+
+const ACCOUNT_STATUS_ERRORS = {
+  ACCOUNT_FROZEN: ["account_frozen", "Account is frozen"],
+  ACCOUNT_CLOSED: ["account_closed", "Account is closed"],
+  ACCOUNT_INACTIVE: ["account_inactive", "Account cannot receive funds"],
+  RECIPIENT_INACTIVE: [
+    "recipient_inactive",
+    "Recipient account cannot receive funds",
+  ],
+};
+
+/**
+ * Map account-status errors thrown inside transactions.
+ * @param {Error} err - Thrown error
+ * @param {object} res - Express response
+ * @return {boolean} True if a response was sent
+ */
+function sendStatusError(err, res) {
+  if (!ACCOUNT_STATUS_ERRORS[err.message]) return false;
+  const [code, error] = ACCOUNT_STATUS_ERRORS[err.message];
+  res.status(403).json({error, code});
+  return true;
+}
+
+/* ───────── double-entry journal ───────── */
+
+// Counterparties for money entering or leaving agent wallets.
+// Issuance goes negative by the amount deposited and not yet
+// withdrawn; the others accumulate what the bank has earned
+// or holds for FX.
+const SYSTEM_ACCOUNTS = {
+  issuance: "systemAccounts/issuance",
+  fxDesk: "systemAccounts/fx_desk",
+  llmRevenue: "systemAccounts/llm_revenue",
+  fees: "systemAccounts/fees",
+};
+
+/**
+ * Journal path of an agent account.
+ * @param {string} uid - Account ID
+ * @return {string} Document path
+ */
+function agentAccount(uid) {
+  return `accounts/${uid}`;
+}
+
+/**
+ * Turn postings into balanced journal lines: each posting
+ * debits `from` and credits `to` by the same amount.
+ * @param {object[]} postings - [{from, to, currency, amount}]
+ * @return {object} {lines, totals} where totals maps
+ *   currency to total debits (= total credits)
+ */
+function journalLines(postings) {
+  const lines = [];
+  const totals = {};
+  for (const {from, to, currency, amount} of postings) {
+    if (!amount) continue;
+    if (!Number.isSafeInteger(amount) || amount < 0) {
+      throw new Error("BAD_POSTING");
+    }
+    lines.push(
+        {account: from, currency, debit: amount, credit: 0},
+        {account: to, currency, debit: 0, credit: amount},
+    );
+    totals[currency] = (totals[currency] || 0) + amount;
+  }
+  return {lines, totals};
+}
+
+/**
+ * Write a balanced journal entry and apply its postings to
+ * system account balances. Agent balances are updated by the
+ * caller, which already holds their snapshots.
+ * @param {object} tx - Firestore transaction
+ * @param {string} type - Business event, e.g. "deposit"
+ * @param {object[]} postings - [{from, to, currency, amount}]
+ * @param {object} [ref] - Pre-allocated journal doc ref
+ * @return {string} Journal entry ID
+ */
+function writeJournal(tx, type, postings, ref) {
+  const {lines, totals} = journalLines(postings);
+  for (const l of lines) {
+    if (!l.account.startsWith("systemAccounts/")) continue;
+    tx.set(db.doc(l.account), {
+      balances: {
+        [l.currency]: admin.firestore.FieldValue
+            .increment(l.credit - l.debit),
+      },
+    }, {merge: true});
+  }
+  const jRef = ref || db.collection("journal").doc();
+  tx.create(jRef, {
+    type,
+    lines,
+    totals,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return jRef.id;
+}
+
+/* ───────── fees ───────── */
+
+// feeSchedules/{operation} holds `rates: {CUR: {flat, bps}}`.
+// Transfers pay flat + bps of the amount on top, in the
+// transfer currency. Conversions pay a bps spread out of the
+// converted amount, keyed by the target currency.
+const FEE_OPERATIONS = ["transfer", "convert"];
+const MAX_FEE_BPS = 10_000;
+
+/**
+ * Fee owed on an amount under a schedule; percentages round
+ * up to the next smallest unit.
+ * @param {object|null} rate - {flat, bps} or null
+ * @param {number} amount - Amount in smallest units
+ * @return {number} Fee in smallest units
+ */
+function computeFee(rate, amount) {
+  if (!rate) return 0;
+  const pct = (BigInt(amount) * BigInt(rate.bps || 0) +
+    9_999n) / 10_000n;
+  return (rate.flat || 0) + Number(pct);
+}
+
+/**
+ * Validate an admin fee schedule update.
+ * @param {object} body - Request body
+ * @return {object} {operation, currency, rate} or
+ *   {error[, code]}
+ */
+function parseFeeRate(body) {
+  const {operation, currency, flat = 0, bps = 0} = body;
+  if (!FEE_OPERATIONS.includes(operation)) {
+    return {error: `operation must be one of ${FEE_OPERATIONS}`};
+  }
+  const invalid = currencyError(currency, true);
+  if (invalid) return invalid;
+  if (!Number.isSafeInteger(flat) || flat < 0 ||
+    !Number.isInteger(bps) || bps < 0 || bps > MAX_FEE_BPS) {
+    return {
+      error: "flat must be a non-negative integer and bps " +
+        `an integer from 0 to ${MAX_FEE_BPS}`,
+    };
+  }
+  if (operation === "convert" && flat) {
+    return {error: "convert fees are a bps spread only"};
+  }
+  return {operation, currency, rate: {flat, bps}};
+}
+
+/**
+ * Read the fee rates for an operation inside a transaction.
+ * @param {object} tx - Firestore transaction
+ * @param {string} operation - One of FEE_OPERATIONS
+ * @return {object} Map of currency to {flat, bps}
+ */
+async function readFeeRates(tx, operation) {
+  const snap = await tx.get(db.doc(`feeSchedules/${operation}`));
+  return snap.exists ? snap.data().rates || {} : {};
+}
+
+/**
+ * Charge a fee to an agent: ledger entry and balance update.
+ * The caller adds the returned posting to its journal entry.
+ * @param {object} tx - Firestore transaction
+ * @param {object} f - {accountId, currency, amount,
+ *   balanceBefore, journalId, metadata}
+ * @return {object} {balanceAfter, posting}
+ */
+function writeFee(tx, f) {
+  const {accountId, currency, amount, balanceBefore} = f;
+  const balanceAfter = balanceBefore - amount;
+  tx.update(db.doc(`accounts/${accountId}`), {
+    [`balances.${currency}`]: balanceAfter,
+  });
+  tx.create(db.collection("transactions").doc(), {
+    accountId,
+    type: "fee",
+    currency,
+    amount,
+    balanceBefore,
+    balanceAfter,
+    description: `${currency} ${f.metadata.feeFor} fee`,
+    metadata: f.metadata,
+    journalId: f.journalId,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return {
+    balanceAfter,
+    posting: {
+      from: agentAccount(accountId),
+      to: SYSTEM_ACCOUNTS.fees,
+      currency,
+      amount,
+    },
+  };
+}
+
+/* ───────── exchange rates ───────── */
+
+// Each provider resolves to a map of currency → USD price.
+// RATE_SOURCES picks which ones are queried; their prices
+// are combined per currency by median.
+const RATE_PROVIDERS = {
+  coingecko: async () => {
+    const ids = Object.fromEntries(currencyCodes()
+        .filter((c) => currencyEntry(c).rateSourceId)
+        .map((c) => [c, currencyEntry(c).rateSourceId]));
+    const r = await fetch(
+        "https://api.coingecko.com/api/v3/simple/price" +
+        `?ids=${Object.values(ids).join(",")}` +
+        "&vs_currencies=usd");
     const d = await r.json();
-    if (!d.ethereum) throw new Error("Bad CoinGecko resp");
-    rateCache = {
+    if (!Object.values(ids).some((id) => d[id])) {
+      throw new Error("Bad CoinGecko resp");
+    }
+    return {
       USD: 1,
-      USDC: d["usd-coin"].usd,
-      ETH: d.ethereum.usd,
-      BTC: d.bitcoin.usd,
-      SOL: d.solana.usd,
+      ...Object.fromEntries(Object.entries(ids)
+          .filter(([, id]) => d[id])
+          .map(([c, id]) => [c, d[id].usd])),
     };
-    rateCacheExp = Date.now() + RATE_TTL;
-    return rateCache;
+  },
+  coinbase: async () => {
+    const r = await fetch(
+        "https://api.coinbase.com/v2/exchange-rates?currency=USD");
+    const d = await r.json();
+    const perUsd = (d.data || {}).rates;
+    if (!perUsd) throw new Error("Bad Coinbase resp");
+    return Object.fromEntries(currencyCodes()
+        .filter((c) => Number(perUsd[c]) > 0)
+        .map((c) => [c, 1 / Number(perUsd[c])]));
+  },
+  // Offline testing: prices from the FIXED_RATES JSON map
+  fixed: async () => ({
+    USD: 1,
+    ...JSON.parse(process.env.FIXED_RATES || "{}"),
+  }),
+};
+const RATE_TTL = 60_000;
+const DEFAULT_RATE_MAX_AGE = 5 * 60_000;
+
+let rateCache = null;
+
+/**
+ * Drop the cached rate snapshot, e.g. after the registry
+ * changes which currencies are priced.
+ */
+function clearRateCache() {
+  rateCache = null;
+}
+
+/**
+ * Configured rate sources, in order.
+ * @return {string[]} Provider names
+ */
+function rateSources() {
+  return (process.env.RATE_SOURCES || "coingecko")
+      .split(",").map((x) => x.trim()).filter(Boolean);
+}
+
+/**
+ * Oldest rate snapshot convert will still trade on.
+ * @return {number} Max age in ms
+ */
+function rateMaxAge() {
+  const v = parseInt(process.env.RATE_MAX_AGE_MS, 10);
+  return Number.isFinite(v) && v >= 0 ? v : DEFAULT_RATE_MAX_AGE;
+}
+
+/**
+ * Combine provider results into one snapshot: the median
+ * price per currency, the names of the sources used and
+ * the fetch time of the oldest of them. Currencies no
+ * source prices are left out.
+ * @param {object[]} results - [{source, rates, fetchedAt}]
+ * @return {object} {rates, source, timestamp}
+ */
+function medianRates(results) {
+  const rates = {};
+  for (const c of currencyCodes()) {
+    const xs = results
+        .map((r) => r.rates[c])
+        .filter((x) => Number.isFinite(x) && x > 0)
+        .sort((a, b) => a - b);
+    if (!xs.length) continue;
+    const mid = Math.floor(xs.length / 2);
+    rates[c] = xs.length % 2 ? xs[mid] : (xs[mid - 1] + xs[mid]) / 2;
+  }
+  return {
+    rates,
+    source: results.map((r) => r.source).join(","),
+    timestamp: Math.min(...results.map((r) => r.fetchedAt)),
+  };
+}
+
+
+/**
+ * USD exchange rates for registered currencies. Refreshes
+ * every RATE_TTL; if every source fails, falls back to the
+ * last snapshot until it is older than RATE_MAX_AGE_MS, then
+ * throws RATES_UNAVAILABLE.
+ * @return {object} {rates, source, timestamp}
+ */
+async function rateSnapshot() {
+  const sources = rateSources();
+  const key = sources.join(",");
+  const maxAge = rateMaxAge();
+  const cached = rateCache && rateCache.key === key ?
+    rateCache.snapshot : null;
+  const age = cached ? Date.now() - cached.timestamp : Infinity;
+  if (age < Math.min(RATE_TTL, maxAge)) return cached;
+
+  const settled = await Promise.allSettled(sources.map(
+      async (source) => {
+        const provider = RATE_PROVIDERS[source];
+        if (!provider) throw new Error(`Unknown rate source ${source}`);
+        const rates = await provider();
+        return {source, rates, fetchedAt: Date.now()};
+      }));
+  const ok = settled
+      .filter((r) => r.status === "fulfilled")
+      .map((r) => r.value);
+  settled.filter((r) => r.status === "rejected")
+      .forEach((r) => logger.warn("Rate source failed", r.reason));
+
+  try {
+    if (!ok.length) throw new Error("RATES_UNAVAILABLE");
+    const snapshot = medianRates(ok);
+    rateCache = {key, snapshot};
+    return snapshot;
   } catch (err) {
-    if (rateCache) return rateCache; // stale fallback
-    throw err;
+    if (cached && age <= maxAge) return cached; // stale fallback
+    throw new Error("RATES_UNAVAILABLE");
+  }
+}
+
+/**
+ * Current rate snapshot, refusing one that lacks a price
+ * for any of the given currencies.
+ * @param {string[]} [required] - Currencies that must be priced
+ * @return {object} {rates, source, timestamp}
+ */
+async function getExchangeRates(required = []) {
+  const snapshot = await rateSnapshot();
+  if (required.some((c) => !snapshot.rates[c])) {
+    throw new Error("RATES_UNAVAILABLE");
   }
+  return snapshot;
 }
 
 /* ───────── currency conversion (BigInt) ───────── */
 
+// USD prices are fixed-point with 12 decimals, so tokens
+// priced far below a cent still convert exactly
+const PRICE_SCALE = 1e12;
+
+/**
+ * A currency's USD price as a scaled BigInt.
+ * @param {object} rates - USD prices per whole unit
+ * @param {string} c - Currency code
+ * @return {bigint} Price times PRICE_SCALE
+ */
+function scaledPrice(rates, c) {
+  const price = rates[c];
+  const scaled = Number.isFinite(price) && price > 0 ?
+    BigInt(Math.round(price * PRICE_SCALE)) : 0n;
+  // Missing, zero or below the scale: no usable rate
+  if (scaled <= 0n) throw new Error("RATES_UNAVAILABLE");
+  return scaled;
+}
+
 /**
  * Convert an amount between two currencies using BigInt
- * to avoid overflow on intermediate products.
+ * to avoid overflow on intermediate products. Throws
+ * RATES_UNAVAILABLE if either price is missing or zero.
  * @param {string} from - Source currency
  * @param {string} to - Target currency
  * @param {number} amount - Amount in source smallest unit
@@ -87,40 +683,120 @@ async function getExchangeRates() {
  */
 function convertCurrency(from, to, amount, rates) {
   if (from === to) return amount;
-  // price in cents to keep integers
-  const fromCents = BigInt(Math.round(rates[from] * 100));
-  const toCents = BigInt(Math.round(rates[to] * 100));
+  const fromPrice = scaledPrice(rates, from);
+  const toPrice = scaledPrice(rates, to);
   const a = BigInt(amount);
-  const fromU = BigInt(UNITS[from]);
-  const toU = BigInt(UNITS[to]);
+  const fromU = BigInt(currencyUnits(from));
+  const toU = BigInt(currencyUnits(to));
   // a * (fromPrice / fromUnits) = USD value
   // USD value * (toUnits / toPrice) = target amount
-  const result = (a * fromCents * toU) / (fromU * toCents);
+  const result = (a * fromPrice * toU) / (fromU * toPrice);
   return Number(result);
 }
 
+/* ───────── agent API keys ───────── */
+
+const AGENT_KEY_PREFIX = "ok_live_";
+const AGENT_KEY_SCOPES = [
+  "transfer", "convert", "read", "llm", "children",
+];
+
+/**
+ * Generate a new random agent API key.
+ * @return {string} Raw key (shown to the owner once)
+ */
+function generateAgentKey() {
+  return AGENT_KEY_PREFIX +
+    crypto.randomBytes(24).toString("base64url");
+}
+
+/**
+ * Hash an agent API key. Only the hash is stored and it
+ * doubles as the `apiKeys` document ID for lookups.
+ * @param {string} key - Raw agent API key
+ * @return {string} Hex SHA-256 digest
+ */
+function hashAgentKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+/**
+ * Validate a requested scope list.
+ * @param {*} scopes - Value from the request body
+ * @return {boolean} True if a non-empty list of known scopes
+ */
+function isValidScopeList(scopes) {
+  return Array.isArray(scopes) && scopes.length > 0 &&
+    scopes.every((s) => AGENT_KEY_SCOPES.includes(s));
+}
+
 /* ───────── auth helpers ───────── */
 
 /**
- * Verify Firebase ID token from Authorization header.
+ * Authenticate the bearer credential from the Authorization
+ * header: either a Firebase ID token or an agent API key.
+ * Firebase tokens carry every scope; API keys only the
+ * scopes they were created with.
  * @param {object} req - Express request
  * @param {object} res - Express response
+ * @param {string} [scope] - Scope the endpoint requires
  * @return {object|null} Decoded token or null
  */
-async function verifyIdToken(req, res) {
+async function verifyIdToken(req, res, scope) {
   const hdr = req.headers.authorization || "";
   if (!hdr.startsWith("Bearer ")) {
     res.status(401).json({error: "Unauthorized"});
     return null;
   }
+  const token = hdr.substring(7);
+  if (token.startsWith(AGENT_KEY_PREFIX)) {
+    return verifyAgentKey(token, req, res, scope);
+  }
   try {
     const decoded = await admin.auth()
-        .verifyIdToken(hdr.substring(7));
+        .verifyIdToken(token);
     req.user = decoded;
     return decoded;
   } catch (err) {
     logger.error("Token verify failed", err);
-    res.status(401).json({error: "Invalid token"});
+    res.status(401).json({error: "Invalid token", code: "invalid_token"});
+    return null;
+  }
+}
+
+/**
+ * Look up an agent API key by hash and check its scope.
+ * @param {string} key - Raw agent API key
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {string} [scope] - Scope the endpoint requires
+ * @return {object|null} Key principal or null
+ */
+async function verifyAgentKey(key, req, res, scope) {
+  try {
+    const snap = await db.doc(`apiKeys/${hashAgentKey(key)}`)
+        .get();
+    const data = snap.exists ? snap.data() : null;
+    if (!data || data.revokedAt) {
+      res.status(401).json({error: "Invalid API key", code: "invalid_api_key"});
+      return null;
+    }
+    if (scope && !(data.scopes || []).includes(scope)) {
+      res.status(403).json({
+        error: `API key lacks the "${scope}" scope`,
+        code: "insufficient_scope",
+      });
+      return null;
+    }
+    req.user = {
+      uid: data.accountId,
+      apiKeyId: snap.id,
+      scopes: data.scopes,
+    };
+    return req.user;
+  } catch (err) {
+    logger.error("API key verify failed", err);
+    res.status(401).json({error: "Invalid API key", code: "invalid_api_key"});
     return null;
   }
 }
@@ -172,31 +848,162 @@ function isValidEmail(v) {
 
 /* ───────── rate limiting ───────── */
 
-const rateMap = new Map();
+// Fixed windows counted in a store every instance shares
+// (openai-proxy keeps a copy of this limiter in step).
+// Each endpoint keys by client IP or by caller uid; the
+// RATE_LIMITS env JSON overrides any field per endpoint,
+// e.g. {"transfer": {"limit": 20, "overrides": {"uid-1": 200}}}
+// "transfer" also counts batch items and child funding;
+// "convert" also counts conversion orders.
 const RATE_WINDOW = 60_000;
-const RATE_LIMITS = {signup: 5, login: 10, refresh: 30};
+const RATE_LIMITS = {
+  signup: {limit: 5, by: "ip"},
+  login: {limit: 10, by: "ip"},
+  refresh: {limit: 30, by: "ip"},
+  transfer: {limit: 60, by: "uid"},
+  convert: {limit: 30, by: "uid"},
+};
+const DEFAULT_RATE_LIMIT = 10;
+
+const rateMap = new Map();
+
+// Counter stores, chosen by RATE_LIMIT_STORE. Each adds
+// `hits` to `key` in the window starting at `start` and
+// resolves to the count so far.
+const RATE_LIMIT_STORES = {
+  // Shared by all instances; expiresAt is a TTL field. An
+  // atomic increment does not contend under bursts the way
+  // a read-modify-write transaction would.
+  firestore: async (key, start, windowMs, hits) => {
+    const id = crypto.createHash("sha256")
+        .update(`${key}:${start}`).digest("hex");
+    const ref = db.doc(`rateLimits/${id}`);
+    await ref.set({
+      key,
+      count: admin.firestore.FieldValue.increment(hits),
+      expiresAt: admin.firestore.Timestamp.fromMillis(
+          start + windowMs,
+      ),
+    }, {merge: true});
+    return (await ref.get()).data().count;
+  },
+  // Per instance; for tests and single-instance setups
+  memory: async (key, start, windowMs, hits) => {
+    const id = `${key}:${start}`;
+    const entry = rateMap.get(id) ||
+      {count: 0, expiresAt: start + windowMs};
+    entry.count += hits;
+    rateMap.set(id, entry);
+    return entry.count;
+  },
+};
+
+/**
+ * Check a merged rate limit rule before it is used.
+ * @param {object} rule - {limit, windowMs, by, overrides}
+ * @return {boolean} True if every field is usable
+ */
+function isValidRateRule(rule) {
+  const {limit, windowMs, by, overrides} = rule;
+  const isLimit = (n) => Number.isSafeInteger(n) && n >= 0;
+  return isLimit(limit) &&
+    Number.isSafeInteger(windowMs) && windowMs > 0 &&
+    ["ip", "uid"].includes(by) &&
+    !!overrides && typeof overrides === "object" &&
+    !Array.isArray(overrides) &&
+    Object.values(overrides).every(isLimit);
+}
+
+/**
+ * Effective limit for an endpoint: defaults merged with
+ * the RATE_LIMITS env override, or the defaults alone if
+ * the override is unusable.
+ * @param {string} endpoint - Rate limit bucket name
+ * @return {object} {limit, windowMs, by, overrides}
+ */
+function rateLimitRule(endpoint) {
+  const defaults = {
+    limit: DEFAULT_RATE_LIMIT,
+    windowMs: RATE_WINDOW,
+    by: "ip",
+    overrides: {},
+    ...RATE_LIMITS[endpoint],
+  };
+  let env = {};
+  try {
+    env = JSON.parse(process.env.RATE_LIMITS || "{}") || {};
+  } catch (err) {
+    logger.warn("Ignoring malformed RATE_LIMITS", err);
+  }
+  const rule = {...defaults, ...env[endpoint]};
+  if (isValidRateRule(rule)) return rule;
+  logger.warn(`Ignoring invalid RATE_LIMITS.${endpoint}`,
+      env[endpoint]);
+  return defaults;
+}
+
+/**
+ * Counter store named by RATE_LIMIT_STORE; an unknown name
+ * falls back to Firestore rather than disabling limits.
+ * @return {Function} Store from RATE_LIMIT_STORES
+ */
+function rateLimitStore() {
+  const name = process.env.RATE_LIMIT_STORE || "firestore";
+  if (Object.hasOwn(RATE_LIMIT_STORES, name)) {
+    return RATE_LIMIT_STORES[name];
+  }
+  logger.warn(`Unknown RATE_LIMIT_STORE "${name}", using firestore`);
+  return RATE_LIMIT_STORES.firestore;
+}
+
+/**
+ * Client IP, preferring the first X-Forwarded-For hop.
+ * @param {object} req - Express request
+ * @return {string} IP or "unknown"
+ */
+function clientIp(req) {
+  const fwd = req.headers["x-forwarded-for"];
+  return req.ip ||
+    (fwd && String(fwd).split(",")[0].trim()) || "unknown";
+}
 
 /**
- * Per-IP rate limiter (in-memory, per-instance).
+ * Count a request against its endpoint's limit and set the
+ * X-RateLimit-* headers; over the limit, sends 429 with
+ * Retry-After. Fails open if the store is unreachable.
  * @param {string} endpoint - Rate limit bucket name
  * @param {object} req - Express request
  * @param {object} res - Express response
- * @return {boolean} True if allowed
+ * @param {string} [uid] - Caller, for uid-keyed limits
+ * @param {number} [hits] - Operations in the request; a
+ *   batch is let through if the window had room when it
+ *   arrived, and all of its items are counted
+ * @return {Promise<boolean>} True if allowed
  */
-function checkRateLimit(endpoint, req, res) {
-  const ip = req.ip ||
-    req.headers["x-forwarded-for"] || "unknown";
-  const key = `${endpoint}:${ip}`;
+async function checkRateLimit(endpoint, req, res, uid, hits = 1) {
+  const rule = rateLimitRule(endpoint);
+  const who = rule.by === "uid" && uid ? uid : clientIp(req);
+  const limit = rule.overrides[who] ?? rule.limit;
   const now = Date.now();
-  const entry = rateMap.get(key);
+  const start = now - (now % rule.windowMs);
+  const store = rateLimitStore();
 
-  if (!entry || now - entry.start > RATE_WINDOW) {
-    rateMap.set(key, {start: now, count: 1});
+  let count;
+  try {
+    count = await store(
+        `${endpoint}:${who}`, start, rule.windowMs, hits);
+  } catch (err) {
+    logger.warn("Rate limit store unavailable", err);
     return true;
   }
 
-  entry.count++;
-  if (entry.count > (RATE_LIMITS[endpoint] || 10)) {
+  const resetAt = start + rule.windowMs;
+  res.set("X-RateLimit-Limit", String(limit));
+  res.set("X-RateLimit-Remaining", String(Math.max(0, limit - count)));
+  res.set("X-RateLimit-Reset", String(Math.ceil(resetAt / 1000)));
+  if (count - hits >= limit) {
+    res.set("Retry-After",
+        String(Math.max(1, Math.ceil((resetAt - now) / 1000))));
     res.status(429).json({
       error: "Too many requests. Try again later.",
     });
@@ -205,30 +1012,533 @@ function checkRateLimit(endpoint, req, res) {
   return true;
 }
 
-// Lazy cleanup every 5 minutes
+// Lazy cleanup of the memory store every 5 minutes
 setInterval(() => {
   const now = Date.now();
   for (const [k, v] of rateMap) {
-    if (now - v.start > RATE_WINDOW) rateMap.delete(k);
+    if (v.expiresAt <= now) rateMap.delete(k);
   }
 }, 5 * 60_000).unref();
 
-/* ═════════════════ AUTH ═════════════════ */
+/* ───────── idempotency ───────── */
 
-exports.signup = onRequest(CORS, async (req, res) => {
-  if (req.method !== "POST") {
-    return res.status(405).json({error: "Use POST"});
+const IDEMPOTENCY_TTL = 24 * 60 * 60_000;
+const IDEMPOTENCY_KEY_MAX = 255;
+
+/**
+ * Serialize a value with object keys sorted, so logically
+ * equal request bodies hash the same.
+ * @param {*} v - JSON-compatible value
+ * @return {string} Canonical JSON
+ */
+function stableStringify(v) {
+  if (Array.isArray(v)) {
+    return `[${v.map(stableStringify).join(",")}]`;
   }
-  if (!checkRateLimit("signup", req, res)) return;
-  const {email, password} = req.body || {};
-  if (!email || !password) {
-    return res.status(400).json({
-      error: "email & password required",
-    });
+  if (v && typeof v === "object") {
+    const keys = Object.keys(v).sort();
+    return `{${keys.map((k) =>
+      `${JSON.stringify(k)}:${stableStringify(v[k])}`,
+    ).join(",")}}`;
   }
-  if (!isValidEmail(email)) {
-    return res.status(400).json({
-      error: "Invalid email format",
+  return JSON.stringify(v);
+}
+
+/**
+ * Resolve the Idempotency-Key header for a request. Keys
+ * are namespaced by endpoint and principal so two agents
+ * cannot collide. Sends 400 for malformed keys.
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {string} endpoint - Endpoint name
+ * @param {string} principal - Caller uid, or "admin"
+ * @return {object|null} {ref, requestHash} (ref is null
+ *   without a header), or null if rejected
+ */
+function idempotencyFor(req, res, endpoint, principal) {
+  const key = req.headers["idempotency-key"];
+  if (key === undefined) return {ref: null};
+  if (
+    typeof key !== "string" ||
+    !key.length ||
+    key.length > IDEMPOTENCY_KEY_MAX
+  ) {
+    res.status(400).json({
+      error: "Idempotency-Key must be 1-255 characters",
+    });
+    return null;
+  }
+  const id = crypto.createHash("sha256")
+      .update(`${endpoint}:${principal}:${key}`)
+      .digest("hex");
+  return {
+    ref: db.doc(`idempotencyKeys/${id}`),
+    requestHash: crypto.createHash("sha256")
+        .update(stableStringify(req.body || {}))
+        .digest("hex"),
+  };
+}
+
+/**
+ * Read a stored idempotent result inside a transaction.
+ * Must run before the transaction's first write.
+ * @param {object} tx - Firestore transaction
+ * @param {object} idem - Result of idempotencyFor
+ * @return {object|null} Stored {status, body} to replay
+ */
+async function readIdempotent(tx, idem) {
+  if (!idem.ref) return null;
+  const snap = await tx.get(idem.ref);
+  if (!snap.exists) return null;
+  const rec = snap.data();
+  if (rec.expiresAt && rec.expiresAt.toMillis() < Date.now()) {
+    return null;
+  }
+  if (rec.requestHash !== idem.requestHash) {
+    throw new Error("IDEMPOTENCY_CONFLICT");
+  }
+  return {status: rec.status, body: rec.body, replayed: true};
+}
+
+/**
+ * Store a result in the same transaction that produced it.
+ * @param {object} tx - Firestore transaction
+ * @param {object} idem - Result of idempotencyFor
+ * @param {object} result - {status, body}
+ * @return {object} The result, for chaining
+ */
+function saveIdempotent(tx, idem, result) {
+  if (idem.ref) {
+    tx.set(idem.ref, {
+      requestHash: idem.requestHash,
+      status: result.status,
+      body: result.body,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      expiresAt: admin.firestore.Timestamp.fromMillis(
+          Date.now() + IDEMPOTENCY_TTL,
+      ),
+    });
+  }
+  return result;
+}
+
+/**
+ * Send a (possibly replayed) handler result.
+ * @param {object} res - Express response
+ * @param {object} result - {status, body, replayed}
+ * @return {object} Express response
+ */
+function sendResult(res, result) {
+  if (result.replayed) res.set("Idempotent-Replayed", "true");
+  return res.status(result.status).json(result.body);
+}
+
+/* ───────── spending policies ───────── */
+
+// Daily limits count outflows, transfer fees included, in
+// hourly buckets on accounts/{uid}.policySpend, so the rolling
+// 24h total is read from the account instead of the ledger.
+// Only currencies with a daily limit are counted, from when
+// the limit is set.
+const DAY_MS = 24 * 60 * 60_000;
+const SPEND_BUCKET_MS = 60 * 60_000;
+const POLICY_LIST_MAX = 500;
+const POLICY_ERRORS = {
+  POLICY_PER_TRANSACTION: [
+    "policy_per_transaction_limit",
+    "Amount plus fees exceeds the per-transaction limit",
+  ],
+  POLICY_DAILY_LIMIT: [
+    "policy_daily_limit",
+    "Amount plus fees would exceed the rolling 24h outflow limit",
+  ],
+  POLICY_NOT_ALLOWLISTED: [
+    "policy_counterparty_not_allowed",
+    "Counterparty is not on the allowlist",
+  ],
+  POLICY_DENYLISTED: [
+    "policy_counterparty_denied",
+    "Counterparty is on the denylist",
+  ],
+};
+
+/**
+ * Validate a per-currency limit map.
+ * @param {*} v - Value from the request body
+ * @return {boolean} True if null/undefined or a valid map
+ */
+function isValidLimitMap(v) {
+  if (v === undefined || v === null) return true;
+  if (typeof v !== "object" || Array.isArray(v)) return false;
+  return Object.entries(v).every(([c, n]) =>
+    !currencyError(c, true) && Number.isSafeInteger(n) && n > 0,
+  );
+}
+
+/**
+ * Validate a counterparty allow/deny list.
+ * @param {*} v - Value from the request body
+ * @return {boolean} True if null/undefined or a valid list
+ */
+function isValidAccountList(v) {
+  if (v === undefined || v === null) return true;
+  return Array.isArray(v) && v.length <= POLICY_LIST_MAX &&
+    v.every((id) => typeof id === "string" && id.length);
+}
+
+/**
+ * Build a normalized policy document from a request body.
+ * @param {object} body - Request body
+ * @return {object} {policy} or {error}
+ */
+function parsePolicy(body) {
+  const {
+    maxPerTransaction, dailyLimit, allowlist, denylist,
+  } = body;
+  if (!isValidLimitMap(maxPerTransaction) ||
+    !isValidLimitMap(dailyLimit)) {
+    return {
+      error: "maxPerTransaction and dailyLimit must map " +
+        `${currencyCodes()} to positive integers`,
+    };
+  }
+  if (!isValidAccountList(allowlist) ||
+    !isValidAccountList(denylist)) {
+    return {
+      error: "allowlist and denylist must be arrays of " +
+        `<= ${POLICY_LIST_MAX} account IDs`,
+    };
+  }
+  return {
+    policy: {
+      maxPerTransaction: maxPerTransaction || {},
+      dailyLimit: dailyLimit || {},
+      allowlist: allowlist ? [...new Set(allowlist)] : null,
+      denylist: denylist ? [...new Set(denylist)] : null,
+    },
+  };
+}
+
+/**
+ * Key of the hourly spend bucket a time falls in.
+ * @param {number} ms - Epoch milliseconds
+ * @return {string} Bucket key
+ */
+function spendBucket(ms) {
+  return `h${Math.floor(ms / SPEND_BUCKET_MS)}`;
+}
+
+/**
+ * Spend buckets that still overlap the last 24 hours.
+ * @param {object} account - accounts/{uid} document data
+ * @return {object} Map of bucket key to {currency: amount}
+ */
+function recentSpend(account) {
+  const oldest = Math.floor((Date.now() - DAY_MS) / SPEND_BUCKET_MS);
+  return Object.fromEntries(
+      Object.entries(account.policySpend || {})
+          .filter(([k]) => Number(k.slice(1)) >= oldest),
+  );
+}
+
+/**
+ * Total policy-counted outflow per currency in the buckets.
+ * @param {object} buckets - Result of recentSpend
+ * @return {object} Map of currency to amount spent
+ */
+function spentToday(buckets) {
+  const spent = {};
+  for (const bucket of Object.values(buckets)) {
+    for (const [c, n] of Object.entries(bucket)) {
+      spent[c] = (spent[c] || 0) + n;
+    }
+  }
+  return spent;
+}
+
+/**
+ * Check an outflow against the account's spending policy
+ * and count it toward the daily limit. Runs inside a
+ * transaction after all of its reads: it writes the spend
+ * counter when a daily limit applies. A batch passes every
+ * outflow at once so the limit sees their combined total.
+ * @param {object} tx - Firestore transaction
+ * @param {string} uid - Spending account
+ * @param {object|object[]} outflows - {currency, amount,
+ *   fee, counterparty} or a list of them; fee defaults to 0
+ * @return {string|null} Spend bucket counted in, if any
+ */
+async function enforcePolicy(tx, uid, outflows) {
+  const list = [].concat(outflows);
+  const snap = await tx.get(db.doc(`policies/${uid}`));
+  if (!snap.exists) return null;
+  const p = snap.data();
+
+  const totals = {};
+  for (const {currency, amount, fee = 0, counterparty} of list) {
+    const max = (p.maxPerTransaction || {})[currency];
+    if (max !== undefined && amount + fee > max) {
+      throw new Error("POLICY_PER_TRANSACTION");
+    }
+    if (counterparty) {
+      if (p.allowlist && !p.allowlist.includes(counterparty)) {
+        throw new Error("POLICY_NOT_ALLOWLISTED");
+      }
+      if (p.denylist && p.denylist.includes(counterparty)) {
+        throw new Error("POLICY_DENYLISTED");
+      }
+    }
+    totals[currency] = (totals[currency] || 0) + amount + fee;
+  }
+
+  const capped = Object.keys(totals)
+      .filter((c) => (p.dailyLimit || {})[c] !== undefined);
+  if (!capped.length) return null;
+  const ref = db.doc(`accounts/${uid}`);
+  const buckets = recentSpend((await tx.get(ref)).data() || {});
+  const spent = spentToday(buckets);
+  for (const currency of capped) {
+    if ((spent[currency] || 0) + totals[currency] >
+      p.dailyLimit[currency]) {
+      throw new Error("POLICY_DAILY_LIMIT");
+    }
+  }
+
+  const key = spendBucket(Date.now());
+  const bucket = {...buckets[key]};
+  for (const c of capped) bucket[c] = (bucket[c] || 0) + totals[c];
+  tx.update(ref, {policySpend: {...buckets, [key]: bucket}});
+  return key;
+}
+
+/**
+ * Give back spend counted toward the daily limit, as when a
+ * withdrawal is rejected. Amounts whose bucket has left the
+ * 24h window no longer count, so there is nothing to undo.
+ * @param {object} tx - Firestore transaction
+ * @param {object} account - {ref, data} read in tx
+ * @param {string|null} key - Bucket the spend was counted in
+ * @param {string} currency - Currency code
+ * @param {number} amount - Amount in smallest units
+ */
+function refundSpend(tx, account, key, currency, amount) {
+  const buckets = recentSpend(account.data);
+  if (!key || !(buckets[key] || {})[currency]) return;
+  const bucket = {...buckets[key]};
+  bucket[currency] = Math.max(bucket[currency] - amount, 0);
+  tx.update(account.ref, {policySpend: {...buckets, [key]: bucket}});
+}
+
+/**
+ * Largest single outflow of a currency the spending policy
+ * allows right now. Runs inside a transaction, before any
+ * of its writes.
+ * @param {object} tx - Firestore transaction
+ * @param {string} uid - Spending account
+ * @param {string} currency - Currency code
+ * @return {number} Amount in smallest units, or Infinity
+ */
+async function policyHeadroom(tx, uid, currency) {
+  const snap = await tx.get(db.doc(`policies/${uid}`));
+  if (!snap.exists) return Infinity;
+  const p = snap.data();
+  const max = (p.maxPerTransaction || {})[currency];
+  const daily = (p.dailyLimit || {})[currency];
+  const room = max === undefined ? Infinity : max;
+  if (daily === undefined) return room;
+  const account = await tx.get(db.doc(`accounts/${uid}`));
+  const spent = spentToday(recentSpend(account.data() || {}));
+  return Math.max(Math.min(room, daily - (spent[currency] || 0)), 0);
+}
+
+/**
+ * Map policy violations thrown inside transactions.
+ * @param {Error} err - Thrown error
+ * @param {object} res - Express response
+ * @return {boolean} True if a response was sent
+ */
+function sendPolicyError(err, res) {
+  if (!POLICY_ERRORS[err.message]) return false;
+  const [code, error] = POLICY_ERRORS[err.message];
+  res.status(403).json({error, code});
+  return true;
+}
+
+/* ───────── ledger queries ───────── */
+
+/**
+ * Encode a page position as an opaque cursor string.
+ * @param {string} id - Last document ID on the page
+ * @return {string} base64url cursor
+ */
+function encodeCursor(id) {
+  return Buffer.from(JSON.stringify({id})).toString("base64url");
+}
+
+/**
+ * Decode a cursor produced by encodeCursor.
+ * @param {string} cursor - Cursor from a previous page
+ * @return {string|null} Document ID, or null if malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const {id} = JSON.parse(
+        Buffer.from(String(cursor), "base64url").toString());
+    return typeof id === "string" && id ? id : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Parse a from/to query bound: ISO 8601 or epoch millis.
+ * @param {string} v - Query string value
+ * @return {object|null} Firestore Timestamp, or null
+ */
+function parseTimeBound(v) {
+  const ms = /^\d+$/.test(v) ? Number(v) : Date.parse(v);
+  return Number.isFinite(ms) ?
+    admin.firestore.Timestamp.fromMillis(ms) : null;
+}
+
+/**
+ * Validate getTransactions query filters.
+ * @param {object} query - req.query
+ * @return {object} {filters} or {error[, code]}
+ */
+function parseLedgerFilters(query) {
+  const {type, currency, counterparty, from, to} = query;
+  if (type !== undefined && !LEDGER_TYPES.includes(type)) {
+    return {error: `type must be one of ${LEDGER_TYPES}`};
+  }
+  const invalid = currency === undefined ? null :
+    currencyError(currency, true);
+  if (invalid) return invalid;
+  if (counterparty !== undefined && !counterparty) {
+    return {error: "counterparty must be an account ID"};
+  }
+  const fromTs = from === undefined ? null : parseTimeBound(from);
+  const toTs = to === undefined ? null : parseTimeBound(to);
+  if ((from !== undefined && !fromTs) ||
+    (to !== undefined && !toTs)) {
+    return {
+      error: "from and to must be ISO 8601 dates or epoch ms",
+    };
+  }
+  if (fromTs && toTs && fromTs.toMillis() > toTs.toMillis()) {
+    return {error: "from must not be after to"};
+  }
+  return {filters: {type, currency, counterparty, fromTs, toTs}};
+}
+
+/* ───────── statements ───────── */
+
+const STATEMENT_MAX_LINES = 5000;
+const STATEMENT_CSV_COLUMNS = [
+  "date", "transactionId", "type", "description",
+  "amount", "balanceBefore", "balanceAfter", "metadata",
+];
+
+/**
+ * Resolve a statement period from `period` (YYYY-MM) or
+ * `from`/`to` query bounds; `to` is exclusive.
+ * @param {object} query - req.query
+ * @return {object} {fromTs, toTs} or {error}
+ */
+function parseStatementPeriod(query) {
+  const {period, from, to} = query;
+  if (period !== undefined) {
+    const m = /^(\d{4})-(\d{2})$/.exec(period);
+    if (!m || m[2] < "01" || m[2] > "12") {
+      return {error: "period must be YYYY-MM"};
+    }
+    const start = Date.UTC(Number(m[1]), Number(m[2]) - 1, 1);
+    const end = Date.UTC(Number(m[1]), Number(m[2]), 1);
+    return {
+      fromTs: admin.firestore.Timestamp.fromMillis(start),
+      toTs: admin.firestore.Timestamp.fromMillis(end),
+    };
+  }
+  const fromTs = from === undefined ? null : parseTimeBound(from);
+  const toTs = to === undefined ? null : parseTimeBound(to);
+  if (!fromTs || !toTs || fromTs.toMillis() >= toTs.toMillis()) {
+    return {
+      error: "period (YYYY-MM) or from < to " +
+        "(ISO 8601 or epoch ms) required",
+    };
+  }
+  return {fromTs, toTs};
+}
+
+/**
+ * Turn a ledger entry into a statement line for one
+ * currency. Conversions show up in the target currency
+ * statement as a credit of `toAmount`.
+ * @param {string} id - Transaction ID
+ * @param {object} t - Ledger entry
+ * @param {string} currency - Statement currency
+ * @return {object} Statement line
+ */
+function statementLine(id, t, currency) {
+  const m = t.metadata || {};
+  const into = t.currency !== currency;
+  // Conversions written before toBalance* existed have no
+  // running balance on the target side
+  const before = into ? m.toBalanceBefore ?? null : t.balanceBefore;
+  const after = into ? m.toBalanceAfter ?? null : t.balanceAfter;
+  return {
+    date: toIso(t.createdAt),
+    transactionId: id,
+    type: t.type,
+    description: t.description || "",
+    amount: into ? m.toAmount : after - before,
+    balanceBefore: before,
+    balanceAfter: after,
+    metadata: m,
+  };
+}
+
+/**
+ * Render a statement as CSV: one row per line, metadata
+ * as a JSON cell, opening/closing balances as header rows.
+ * @param {object} st - Statement from getStatement
+ * @return {string} CSV text
+ */
+function statementCsv(st) {
+  const cell = (v) => {
+    const str = typeof v === "object" ? JSON.stringify(v) : String(v);
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, "\"\"")}"` : str;
+  };
+  const rows = [
+    ["account", st.accountId],
+    ["currency", st.currency],
+    ["from", st.from],
+    ["to", st.to],
+    ["openingBalance", st.openingBalance],
+    ["closingBalance", st.closingBalance],
+    [],
+    STATEMENT_CSV_COLUMNS,
+    ...st.lines.map((l) => STATEMENT_CSV_COLUMNS.map((c) => l[c])),
+  ];
+  return rows.map((r) => r.map(cell).join(",")).join("\n") + "\n";
+}
+
+/* ═════════════════ AUTH ═════════════════ */
+
+exports.signup = onRequest(CORS, async (req, res) => {
+  if (req.method !== "POST") {
+    return res.status(405).json({error: "Use POST"});
+  }
+  if (!(await checkRateLimit("signup", req, res))) return;
+  const {email, password} = req.body || {};
+  if (!email || !password) {
+    return res.status(400).json({
+      error: "email & password required",
+    });
+  }
+  if (!isValidEmail(email)) {
+    return res.status(400).json({
+      error: "Invalid email format",
     });
   }
   if (typeof password !== "string" || password.length < 8) {
@@ -238,10 +1548,11 @@ exports.signup = onRequest(CORS, async (req, res) => {
   }
 
   try {
+    await loadCurrencies();
     const user = await admin.auth()
         .createUser({email, password});
     await db.doc(`accounts/${user.uid}`).set({
-      balances: {...EMPTY_BALANCES},
+      balances: emptyBalances(),
       status: "active",
       email,
       createdAt:
@@ -261,7 +1572,7 @@ exports.login = onRequest(CORS, async (req, res) => {
   if (req.method !== "POST") {
     return res.status(405).json({error: "Use POST"});
   }
-  if (!checkRateLimit("login", req, res)) return;
+  if (!(await checkRateLimit("login", req, res))) return;
   const {email, password} = req.body || {};
   if (!email || !password) {
     return res.status(400).json({
@@ -276,6 +1587,7 @@ exports.login = onRequest(CORS, async (req, res) => {
     logger.error("Login error", err);
     return res.status(401).json({
       error: "Invalid email or password",
+      code: "invalid_credentials",
     });
   }
 });
@@ -284,7 +1596,7 @@ exports.refresh = onRequest(CORS, async (req, res) => {
   if (req.method !== "POST") {
     return res.status(405).json({error: "Use POST"});
   }
-  if (!checkRateLimit("refresh", req, res)) return;
+  if (!(await checkRateLimit("refresh", req, res))) return;
   const {refreshToken} = req.body || {};
   if (!refreshToken) {
     return res.status(400).json({
@@ -322,95 +1634,389 @@ exports.refresh = onRequest(CORS, async (req, res) => {
   }
 });
 
+/* ═════════════════ API KEYS ═════════════════ */
+
+/**
+ * Reject API-key principals on key-management endpoints so
+ * a leaked key cannot mint or revoke other keys.
+ * @param {object} user - Authenticated principal
+ * @param {object} res - Express response
+ * @param {string} [what] - What the endpoint manages
+ * @return {boolean} True if the caller used a Firebase token
+ */
+function requireSession(user, res, what = "API keys") {
+  if (user.apiKeyId) {
+    res.status(403).json({
+      error: `API keys cannot manage ${what}`,
+      code: "session_required",
+    });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Reject a non-admin request that names an account other
+ * than the caller's, e.g. /v1/accounts/:accountId/policy.
+ * @param {object} user - Authenticated principal
+ * @param {string} [accountId] - Account named by the request
+ * @param {object} res - Express response
+ * @return {boolean} True if the request targets the caller
+ */
+function requireOwnAccount(user, accountId, res) {
+  if (accountId && accountId !== user.uid) {
+    res.status(403).json({
+      error: "Only the admin key can access other accounts",
+    });
+    return false;
+  }
+  return true;
+}
+
+exports.createApiKey = onRequest(CORS, async (req, res) => {
+  if (req.method !== "POST") {
+    return res.status(405).json({error: "Use POST"});
+  }
+  const user = await verifyIdToken(req, res);
+  if (!user || !requireSession(user, res)) return;
+
+  const {name, scopes} = req.body || {};
+  if (!isValidScopeList(scopes)) {
+    return res.status(400).json({
+      error: `scopes required. Use: ${AGENT_KEY_SCOPES}`,
+    });
+  }
+  if (name !== undefined &&
+    (typeof name !== "string" || name.length > 100)) {
+    return res.status(400).json({
+      error: "name must be a string of <= 100 characters",
+    });
+  }
+
+  try {
+    const acct = await db.doc(`accounts/${user.uid}`).get();
+    if (!acct.exists) {
+      return res.status(404).json({
+        error: "Account not found",
+        code: "account_not_found",
+      });
+    }
+    const key = generateAgentKey();
+    const id = hashAgentKey(key);
+    const uniqueScopes = [...new Set(scopes)];
+    await db.doc(`apiKeys/${id}`).create({
+      accountId: user.uid,
+      name: name || null,
+      prefix: key.substring(0, AGENT_KEY_PREFIX.length + 6),
+      scopes: uniqueScopes,
+      revokedAt: null,
+      createdAt:
+        admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return res.status(201).json({
+      id, key, name: name || null, scopes: uniqueScopes,
+    });
+  } catch (err) {
+    logger.error("Create API key error", err);
+    return res.status(500).json({
+      error: "API key creation failed",
+    });
+  }
+});
+
+exports.listApiKeys = onRequest(CORS, async (req, res) => {
+  const user = await verifyIdToken(req, res);
+  if (!user || !requireSession(user, res)) return;
+
+  const snaps = await db.collection("apiKeys")
+      .where("accountId", "==", user.uid)
+      .get();
+  const apiKeys = snaps.docs.map((d) => {
+    const k = d.data();
+    return {
+      id: d.id,
+      name: k.name,
+      prefix: k.prefix,
+      scopes: k.scopes,
+      createdAt: k.createdAt,
+      revokedAt: k.revokedAt,
+    };
+  });
+  return res.json({apiKeys});
+});
+
+exports.revokeApiKey = onRequest(CORS, async (req, res) => {
+  if (req.method !== "POST") {
+    return res.status(405).json({error: "Use POST"});
+  }
+  const user = await verifyIdToken(req, res);
+  if (!user || !requireSession(user, res)) return;
+
+  const {id} = req.body || {};
+  if (!id || typeof id !== "string") {
+    return res.status(400).json({error: "id required"});
+  }
+
+  try {
+    await db.runTransaction(async (tx) => {
+      const ref = db.doc(`apiKeys/${id}`);
+      const snap = await tx.get(ref);
+      if (!snap.exists || snap.data().accountId !== user.uid) {
+        throw new Error("KEY_NOT_FOUND");
+      }
+      if (!snap.data().revokedAt) {
+        tx.update(ref, {
+          revokedAt:
+            admin.firestore.FieldValue.serverTimestamp(),
+        });
+      }
+    });
+    return res.json({id, revoked: true});
+  } catch (err) {
+    if (err.message === "KEY_NOT_FOUND") {
+      return res.status(404).json({
+        error: "API key not found",
+        code: "api_key_not_found",
+      });
+    }
+    logger.error("Revoke API key error", err);
+    return res.status(500).json({
+      error: "API key revocation failed",
+    });
+  }
+});
+
 /* ═════════════════ ACCOUNT ═════════════════ */
 
 exports.getAccount = onRequest(CORS, async (req, res) => {
-  const user = await verifyIdToken(req, res);
+  const user = await verifyIdToken(req, res, "read");
   if (!user) return;
 
-  const snap = await db.doc(`accounts/${user.uid}`).get();
+  const [snap] = await Promise.all([
+    db.doc(`accounts/${user.uid}`).get(),
+    loadCurrencies(),
+  ]);
   if (!snap.exists) {
     return res.status(404).json({
       error: "Account not found",
+      code: "account_not_found",
     });
   }
   const d = snap.data();
+  const held = {...emptyBalances(), ...d.held};
+  const available = Object.fromEntries(
+      Object.keys(d.balances || {}).map((c) => [
+        c, availableBalance(d, c),
+      ]),
+  );
   return res.json({
     uid: user.uid,
     balances: d.balances,
+    available,
+    held,
+    formatted: {
+      balances: formatBalances(d.balances),
+      available: formatBalances(available),
+      held: formatBalances(held),
+    },
     status: d.status,
-    supportedCurrencies: SUPPORTED,
+    supportedCurrencies: supportedCurrencies(),
   });
 });
 
 exports.getTransactions = onRequest(
     CORS, async (req, res) => {
-      const user = await verifyIdToken(req, res);
+      const user = await verifyIdToken(req, res, "read");
       if (!user) return;
 
+      await loadCurrencies();
+      const {filters, error, code} = parseLedgerFilters(req.query);
+      if (error) return res.status(400).json({error, code});
       const limit = Math.min(
           parseInt(req.query.limit, 10) || 50, 100,
       );
+      // `startAfter` (a raw document ID) is still accepted
+      // from older clients
+      const {cursor, startAfter} = req.query;
+      const afterId = cursor !== undefined ?
+        decodeCursor(cursor) : startAfter;
+      if (cursor !== undefined && !afterId) {
+        return res.status(400).json({error: "Invalid cursor"});
+      }
+
       let q = db.collection("transactions")
-          .where("accountId", "==", user.uid)
-          .orderBy("createdAt", "desc")
-          .limit(limit);
+          .where("accountId", "==", user.uid);
+      if (filters.type) q = q.where("type", "==", filters.type);
+      if (filters.currency) {
+        q = q.where("currency", "==", filters.currency);
+      }
+      if (filters.counterparty) {
+        q = q.where(
+            "metadata.counterparty", "==", filters.counterparty);
+      }
+      if (filters.fromTs) {
+        q = q.where("createdAt", ">=", filters.fromTs);
+      }
+      if (filters.toTs) q = q.where("createdAt", "<=", filters.toTs);
+      q = q.orderBy("createdAt", "desc").limit(limit);
 
-      if (req.query.startAfter) {
-        const cur = await db.doc(
-            `transactions/${req.query.startAfter}`,
-        ).get();
-        if (cur.exists) q = q.startAfter(cur);
+      if (afterId) {
+        const cur = await db.doc(`transactions/${afterId}`).get();
+        if (cur.exists && cur.data().accountId === user.uid) {
+          q = q.startAfter(cur);
+        } else if (cursor !== undefined) {
+          return res.status(400).json({error: "Invalid cursor"});
+        }
       }
 
       const snaps = await q.get();
       const txs = snaps.docs.map((d) => ({
         id: d.id, ...d.data(),
       }));
-      return res.json({transactions: txs});
+      const nextCursor = snaps.docs.length === limit ?
+        encodeCursor(snaps.docs[limit - 1].id) : null;
+      return res.json({transactions: txs, nextCursor});
     },
 );
 
-/* ═════════════════ DEPOSIT (admin) ═════════════════ */
+/* ═════════════════ STATEMENTS ═════════════════ */
 
-exports.deposit = onRequest(CORS, async (req, res) => {
-  if (req.method !== "POST") {
-    return res.status(405).json({error: "Use POST"});
+exports.getStatement = onRequest(CORS, async (req, res) => {
+  let accountId = req.query.accountId;
+  if (isAdmin(req)) {
+    if (!accountId) {
+      return res.status(400).json({error: "accountId required"});
+    }
+  } else {
+    const user = await verifyIdToken(req, res, "read");
+    if (!user || !requireOwnAccount(user, accountId, res)) return;
+    accountId = user.uid;
   }
-  if (!isAdmin(req)) {
-    return res.status(403).json({error: "Forbidden"});
+
+  const {currency} = req.query;
+  const format = req.query.format || "json";
+  await loadCurrencies();
+  const invalid = currencyError(currency, true);
+  if (invalid) return res.status(400).json(invalid);
+  if (!["json", "csv"].includes(format)) {
+    return res.status(400).json({error: "format must be json or csv"});
   }
-  const {accountId, amount, currency} = req.body || {};
-  if (
-    !accountId ||
-    typeof amount !== "number" ||
-    amount <= 0
-  ) {
-    return res.status(400).json({
-      error: "accountId and positive amount required",
+  const {fromTs, toTs, error} = parseStatementPeriod(req.query);
+  if (error) return res.status(400).json({error});
+
+  const ledger = db.collection("transactions")
+      .where("accountId", "==", accountId);
+  // Entries in the currency, plus conversions into it
+  const [direct, converted] = await Promise.all([
+    ledger.where("currency", "==", currency),
+    ledger.where("metadata.toCurrency", "==", currency),
+  ].map((q) => q
+      .where("createdAt", ">=", fromTs)
+      .where("createdAt", "<", toTs)
+      .orderBy("createdAt", "desc")
+      .limit(STATEMENT_MAX_LINES + 1)
+      .get()));
+  const docs = [...direct.docs, ...converted.docs];
+  if (docs.length > STATEMENT_MAX_LINES) {
+    return res.status(422).json({
+      error: `More than ${STATEMENT_MAX_LINES} lines; ` +
+        "request a shorter period",
+      code: "statement_too_large",
     });
   }
-  if (!SUPPORTED.includes(currency)) {
+  const lines = docs
+      .sort((a, b) => a.data().createdAt.toMillis() -
+        b.data().createdAt.toMillis())
+      .map((d) => statementLine(d.id, d.data(), currency));
+
+  let openingBalance = lines.length ? lines[0].balanceBefore : 0;
+  if (!lines.length) {
+    // Quiet period: carry the last balance from before it
+    const prior = await Promise.all([
+      ledger.where("currency", "==", currency),
+      ledger.where("metadata.toCurrency", "==", currency),
+    ].map((q) => q
+        .where("createdAt", "<", fromTs)
+        .orderBy("createdAt", "desc")
+        .limit(1)
+        .get()));
+    const last = prior.flatMap((p) => p.docs)
+        .sort((a, b) => b.data().createdAt.toMillis() -
+          a.data().createdAt.toMillis())[0];
+    if (last) {
+      openingBalance =
+        statementLine(last.id, last.data(), currency).balanceAfter;
+    }
+  }
+
+  const statement = {
+    accountId,
+    currency,
+    from: toIso(fromTs),
+    to: toIso(toTs),
+    openingBalance,
+    closingBalance: lines.length ?
+      lines[lines.length - 1].balanceAfter : openingBalance,
+    lines,
+  };
+  if (format === "json") return res.json(statement);
+
+  const day = statement.from.slice(0, 10);
+  res.set("Content-Type", "text/csv; charset=utf-8");
+  res.set("Content-Disposition", "attachment; filename=" +
+    `"statement-${accountId}-${currency}-${day}.csv"`);
+  return res.send(statementCsv(statement));
+});
+
+/* ═════════════════ DEPOSIT (admin) ═════════════════ */
+
+exports.deposit = onRequest(CORS, async (req, res) => {
+  if (req.method !== "POST") {
+    return res.status(405).json({error: "Use POST"});
+  }
+  if (!isAdmin(req)) {
+    return res.status(403).json({error: "Forbidden"});
+  }
+  const body = req.body || {};
+  const {accountId, currency} = body;
+  if (!accountId || body.amount === undefined) {
     return res.status(400).json({
-      error: `Unsupported currency. Use: ${SUPPORTED}`,
+      error: "accountId and positive amount required",
     });
   }
+  await loadCurrencies();
+  const invalid = currencyError(currency);
+  if (invalid) return res.status(400).json(invalid);
+  const {amount, error} = parseAmount(body.amount, currency);
+  if (error) return res.status(400).json({error});
+
+  const idem = idempotencyFor(req, res, "deposit", "admin");
+  if (!idem) return;
 
   try {
-    let balAfter;
-    await db.runTransaction(async (tx) => {
+    const result = await db.runTransaction(async (tx) => {
+      const prior = await readIdempotent(tx, idem);
+      if (prior) return prior;
+
       const ref = db.doc(`accounts/${accountId}`);
       const snap = await tx.get(ref);
       if (!snap.exists) {
         throw new Error("ACCOUNT_NOT_FOUND");
       }
+      assertCanReceive(snap.data(), "ACCOUNT_INACTIVE");
       const bal = snap.data().balances || {};
       const cur = bal[currency] || 0;
-      balAfter = cur + amount;
+      const balAfter = cur + amount;
 
       tx.update(ref, {
         [`balances.${currency}`]: balAfter,
       });
+      const journalId = writeJournal(tx, "deposit", [{
+        from: SYSTEM_ACCOUNTS.issuance,
+        to: agentAccount(accountId),
+        currency,
+        amount,
+      }]);
       tx.create(db.collection("transactions").doc(), {
         accountId,
         type: "deposit",
@@ -419,57 +2025,479 @@ exports.deposit = onRequest(CORS, async (req, res) => {
         balanceBefore: cur,
         balanceAfter: balAfter,
         description: `${currency} deposit`,
+        journalId,
         createdAt:
           admin.firestore.FieldValue.serverTimestamp(),
       });
+      return saveIdempotent(tx, idem, {
+        status: 200,
+        body: {currency, balance: balAfter},
+      });
     });
 
-    return res.json({currency, balance: balAfter});
+    return sendResult(res, result);
   } catch (err) {
+    if (err.message === "IDEMPOTENCY_CONFLICT") {
+      return res.status(409).json({
+        error: "Idempotency-Key reused with a different request",
+        code: "idempotency_conflict",
+      });
+    }
     if (err.message === "ACCOUNT_NOT_FOUND") {
       return res.status(404).json({
         error: "Account not found",
+        code: "account_not_found",
       });
     }
+    if (sendStatusError(err, res)) return;
     logger.error("Deposit error", err);
     return res.status(500).json({error: "Deposit failed"});
   }
 });
 
+/* ═════════════════ SYSTEM ACCOUNTS (admin) ═════════════════ */
+
+exports.getSystemAccounts = onRequest(CORS, async (req, res) => {
+  if (!isAdmin(req)) {
+    return res.status(403).json({error: "Forbidden"});
+  }
+  await loadCurrencies();
+  const snaps = await Promise.all(Object.values(SYSTEM_ACCOUNTS)
+      .map((path) => db.doc(path).get()));
+  const accounts = snaps.map((snap) => ({
+    id: snap.id,
+    balances: {
+      ...emptyBalances(),
+      ...(snap.exists ? snap.data().balances : {}),
+    },
+  }));
+  return res.json({accounts});
+});
+
+/* ═════════════════ CURRENCIES (admin) ═════════════════ */
+
+exports.upsertCurrency = onRequest(CORS, async (req, res) => {
+  if (req.method !== "POST") {
+    return res.status(405).json({error: "Use POST"});
+  }
+  if (!isAdmin(req)) {
+    return res.status(403).json({error: "Forbidden"});
+  }
+  const {code, fields, error} = parseCurrency(req.body || {});
+  if (error) return res.status(400).json({error});
+
+  try {
+    const ref = db.doc(`currencies/${code}`);
+    const result = await db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      const current = snap.exists ?
+        {...DEFAULT_CURRENCIES[code], ...snap.data()} :
+        DEFAULT_CURRENCIES[code] || null;
+      if (!current && fields.decimals === undefined) {
+        throw new Error("DECIMALS_REQUIRED");
+      }
+      // Balances are stored in the smallest unit, so its size
+      // cannot change once a currency exists
+      if (current && fields.decimals !== undefined &&
+        fields.decimals !== current.decimals) {
+        throw new Error("DECIMALS_IMMUTABLE");
+      }
+      const entry = {
+        decimals: current ? current.decimals : fields.decimals,
+        rateSourceId: current ? current.rateSourceId : null,
+        enabled: current ? current.enabled : true,
+        ...fields,
+      };
+      tx.set(ref, {
+        ...entry,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return {created: !current, entry};
+    });
+
+    await loadCurrencies(true);
+    clearRateCache();
+    logger.info("Currency updated", {code, ...result.entry});
+    return res.status(result.created ? 201 : 200)
+        .json({code, ...result.entry});
+  } catch (err) {
+    if (err.message === "DECIMALS_REQUIRED") {
+      return res.status(400).json({
+        error: "decimals required for a new currency",
+      });
+    }
+    if (err.message === "DECIMALS_IMMUTABLE") {
+      return res.status(409).json({
+        error: "decimals cannot change once a currency exists",
+        code: "decimals_immutable",
+      });
+    }
+    logger.error("Currency update error", err);
+    return res.status(500).json({error: "Currency update failed"});
+  }
+});
+
+exports.listCurrencies = onRequest(CORS, async (req, res) => {
+  if (!isAdmin(req)) {
+    const user = await verifyIdToken(req, res, "read");
+    if (!user) return;
+  }
+  const entries = await loadCurrencies();
+  const currencies = Object.entries(entries)
+      .map(([code, e]) => ({
+        code,
+        decimals: e.decimals,
+        rateSourceId: e.rateSourceId,
+        enabled: e.enabled,
+      }));
+  return res.json({currencies});
+});
+
+/* ═════════════════ FEES (admin) ═════════════════ */
+
+exports.setFeeSchedule = onRequest(CORS, async (req, res) => {
+  if (req.method !== "POST") {
+    return res.status(405).json({error: "Use POST"});
+  }
+  if (!isAdmin(req)) {
+    return res.status(403).json({error: "Forbidden"});
+  }
+  await loadCurrencies();
+  const {operation, currency, rate, error, code} =
+    parseFeeRate(req.body || {});
+  if (error) return res.status(400).json({error, code});
+
+  await db.doc(`feeSchedules/${operation}`).set({
+    rates: {[currency]: rate},
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  }, {merge: true});
+  return res.json({operation, currency, ...rate});
+});
+
+exports.getFeeSchedules = onRequest(CORS, async (req, res) => {
+  if (!isAdmin(req)) {
+    const user = await verifyIdToken(req, res, "read");
+    if (!user) return;
+  }
+  const snaps = await Promise.all(FEE_OPERATIONS
+      .map((op) => db.doc(`feeSchedules/${op}`).get()));
+  const schedules = Object.fromEntries(snaps.map((snap, i) => [
+    FEE_OPERATIONS[i],
+    snap.exists ? snap.data().rates || {} : {},
+  ]));
+  return res.json({schedules});
+});
+
+/* ═════════════════ ACCOUNT STATUS (admin) ═════════════════ */
+
+const STATUS_TRANSITIONS = {
+  freeze: {from: ["active"], to: "frozen"},
+  unfreeze: {from: ["frozen"], to: "active"},
+  close: {from: ["active", "frozen"], to: "closed"},
+};
+
+/**
+ * Build an admin handler that moves an account between
+ * statuses and records the change in accountEvents.
+ * @param {string} action - Key of STATUS_TRANSITIONS
+ * @return {Function} Request handler
+ */
+function statusHandler(action) {
+  const {from, to} = STATUS_TRANSITIONS[action];
+  return async (req, res) => {
+    if (req.method !== "POST") {
+      return res.status(405).json({error: "Use POST"});
+    }
+    if (!isAdmin(req)) {
+      return res.status(403).json({error: "Forbidden"});
+    }
+    const {accountId, reason} = req.body || {};
+    if (
+      !accountId ||
+      typeof reason !== "string" ||
+      !reason.trim() ||
+      reason.length > 500
+    ) {
+      return res.status(400).json({
+        error: "accountId and reason (<= 500 chars) required",
+      });
+    }
+
+    try {
+      await db.runTransaction(async (tx) => {
+        const ref = db.doc(`accounts/${accountId}`);
+        const snap = await tx.get(ref);
+        if (!snap.exists) {
+          throw new Error("ACCOUNT_NOT_FOUND");
+        }
+        const acct = snap.data();
+        const current = acct.status || "active";
+        if (!from.includes(current)) {
+          throw new Error("BAD_TRANSITION");
+        }
+        if (to === "closed") {
+          const funded = Object.keys(acct.balances || {})
+              .some((c) => acct.balances[c] ||
+                (acct.held || {})[c]);
+          if (funded) throw new Error("ACCOUNT_NOT_EMPTY");
+          if (acct.parentId) {
+            const parentRef = db.doc(`accounts/${acct.parentId}`);
+            const parent = await tx.get(parentRef);
+            if (parent.exists) {
+              releaseChildSlot(tx, {id: parent.id, data: parent.data()});
+            }
+          }
+        }
+        tx.update(ref, {
+          status: to,
+          statusReason: reason,
+          statusUpdatedAt:
+            admin.firestore.FieldValue.serverTimestamp(),
+        });
+        tx.create(db.collection("accountEvents").doc(), {
+          accountId,
+          type: "status_change",
+          from: current,
+          to,
+          reason,
+          createdAt:
+            admin.firestore.FieldValue.serverTimestamp(),
+        });
+      });
+      return res.json({accountId, status: to, reason});
+    } catch (err) {
+      if (err.message === "ACCOUNT_NOT_FOUND") {
+        return res.status(404).json({
+          error: "Account not found",
+          code: "account_not_found",
+        });
+      }
+      if (err.message === "BAD_TRANSITION") {
+        return res.status(409).json({
+          error: `Only ${from.join("/")} accounts can be ` +
+            `moved to ${to}`,
+          code: "invalid_state",
+        });
+      }
+      if (err.message === "ACCOUNT_NOT_EMPTY") {
+        return res.status(409).json({
+          error: "Account still holds funds; transfer " +
+            "them out before closing",
+        });
+      }
+      logger.error(`Account ${action} error`, err);
+      return res.status(500).json({
+        error: `Account ${action} failed`,
+      });
+    }
+  };
+}
+
+exports.freezeAccount = onRequest(CORS, statusHandler("freeze"));
+exports.unfreezeAccount =
+  onRequest(CORS, statusHandler("unfreeze"));
+exports.closeAccount = onRequest(CORS, statusHandler("close"));
+
+/* ═════════════════ SPENDING POLICIES ═════════════════ */
+
+/**
+ * Resolve whose policy a request targets: any account for
+ * the admin key, otherwise the caller's own account (naming
+ * another one is rejected).
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {boolean} write - Whether the policy is changed
+ * @return {object|null} {accountId, byAdmin} or null
+ */
+async function policyTarget(req, res, write) {
+  if (isAdmin(req)) {
+    const accountId =
+      (req.body || {}).accountId || req.query.accountId;
+    if (!accountId) {
+      res.status(400).json({error: "accountId required"});
+      return null;
+    }
+    return {accountId, byAdmin: true};
+  }
+  const user = await verifyIdToken(req, res, "read");
+  if (!user) return null;
+  const named = (req.body || {}).accountId || req.query.accountId;
+  if (!requireOwnAccount(user, named, res)) return null;
+  // Agents holding API keys must not loosen their own limits
+  if (write && !requireSession(user, res)) return null;
+  return {accountId: user.uid, byAdmin: false};
+}
+
+exports.setSpendingPolicy = onRequest(CORS, async (req, res) => {
+  if (req.method !== "POST") {
+    return res.status(405).json({error: "Use POST"});
+  }
+  const target = await policyTarget(req, res, true);
+  if (!target) return;
+
+  await loadCurrencies();
+  const {policy, error} = parsePolicy(req.body || {});
+  if (error) return res.status(400).json({error});
+
+  try {
+    await db.runTransaction(async (tx) => {
+      const aSnap = await tx.get(
+          db.doc(`accounts/${target.accountId}`));
+      if (!aSnap.exists) throw new Error("ACCOUNT_NOT_FOUND");
+      const ref = db.doc(`policies/${target.accountId}`);
+      const cur = await tx.get(ref);
+      if (!target.byAdmin && cur.exists && cur.data().locked) {
+        throw new Error("POLICY_LOCKED");
+      }
+      tx.set(ref, {
+        ...policy,
+        accountId: target.accountId,
+        locked: target.byAdmin && req.body.locked === true,
+        updatedBy: target.byAdmin ? "admin" : target.accountId,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+    return res.json({accountId: target.accountId, ...policy});
+  } catch (err) {
+    if (err.message === "ACCOUNT_NOT_FOUND") {
+      return res.status(404).json({
+        error: "Account not found",
+        code: "account_not_found",
+      });
+    }
+    if (err.message === "POLICY_LOCKED") {
+      return res.status(403).json({
+        error: "Policy is locked by an administrator",
+        code: "policy_locked",
+      });
+    }
+    logger.error("Set policy error", err);
+    return res.status(500).json({
+      error: "Policy update failed",
+    });
+  }
+});
+
+exports.getSpendingPolicy = onRequest(CORS, async (req, res) => {
+  const target = await policyTarget(req, res, false);
+  if (!target) return;
+
+  const snap = await db.doc(`policies/${target.accountId}`).get();
+  if (!snap.exists) {
+    return res.json({accountId: target.accountId, policy: null});
+  }
+  const p = snap.data();
+  return res.json({
+    accountId: target.accountId,
+    policy: {
+      maxPerTransaction: p.maxPerTransaction,
+      dailyLimit: p.dailyLimit,
+      allowlist: p.allowlist,
+      denylist: p.denylist,
+      locked: p.locked,
+      updatedAt: p.updatedAt,
+    },
+  });
+});
+
 /* ═════════════════ TRANSFER ═════════════════ */
 
+/**
+ * Write a transfer whose account snapshots were already
+ * read in the same transaction: both balance updates plus
+ * the transfer_out/transfer_in ledger pair.
+ * @param {object} tx - Firestore transaction
+ * @param {object} t - {fromId, toId, fromBal, toBal,
+ *   currency, amount, description, metadata, kind}; kind
+ *   prefixes the entry types and defaults to "transfer".
+ *   Pass journalId when the caller journals the posting
+ *   itself, e.g. one entry for a whole batch.
+ * @return {object} {fromAfter, toAfter, posting}
+ */
+function writeTransfer(tx, t) {
+  const {fromId, toId, fromBal, toBal, currency, amount} = t;
+  const fromAfter = fromBal - amount;
+  const toAfter = toBal + amount;
+  const desc = t.description || "Transfer";
+  const kind = t.kind || "transfer";
+  const posting = {
+    from: agentAccount(fromId),
+    to: agentAccount(toId),
+    currency,
+    amount,
+  };
+  const journalId = t.journalId ||
+    writeJournal(tx, kind, [posting]);
+
+  tx.update(db.doc(`accounts/${fromId}`), {
+    [`balances.${currency}`]: fromAfter,
+  });
+  tx.update(db.doc(`accounts/${toId}`), {
+    [`balances.${currency}`]: toAfter,
+  });
+  tx.create(db.collection("transactions").doc(), {
+    accountId: fromId,
+    type: `${kind}_out`,
+    currency,
+    amount,
+    balanceBefore: fromBal,
+    balanceAfter: fromAfter,
+    description: desc,
+    metadata: {counterparty: toId, ...t.metadata},
+    journalId,
+    createdAt:
+      admin.firestore.FieldValue.serverTimestamp(),
+  });
+  tx.create(db.collection("transactions").doc(), {
+    accountId: toId,
+    type: `${kind}_in`,
+    currency,
+    amount,
+    balanceBefore: toBal,
+    balanceAfter: toAfter,
+    description: desc,
+    metadata: {counterparty: fromId, ...t.metadata},
+    journalId,
+    createdAt:
+      admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return {fromAfter, toAfter, posting};
+}
+
 exports.transfer = onRequest(CORS, async (req, res) => {
   if (req.method !== "POST") {
     return res.status(405).json({error: "Use POST"});
   }
-  const user = await verifyIdToken(req, res);
+  const user = await verifyIdToken(req, res, "transfer");
   if (!user) return;
+  if (!(await checkRateLimit("transfer", req, res, user.uid))) return;
 
-  const {toAccountId, amount, currency, description} =
-    req.body || {};
-  if (
-    !toAccountId ||
-    typeof amount !== "number" ||
-    amount <= 0
-  ) {
+  const body = req.body || {};
+  const {toAccountId, currency, description} = body;
+  if (!toAccountId || body.amount === undefined) {
     return res.status(400).json({
       error: "toAccountId and positive amount required",
     });
   }
-  if (!SUPPORTED.includes(currency)) {
-    return res.status(400).json({
-      error: `Unsupported currency. Use: ${SUPPORTED}`,
-    });
-  }
+  await loadCurrencies();
+  const invalid = currencyError(currency);
+  if (invalid) return res.status(400).json(invalid);
+  const {amount, error} = parseAmount(body.amount, currency);
+  if (error) return res.status(400).json({error});
   if (toAccountId === user.uid) {
     return res.status(400).json({
       error: "Cannot transfer to yourself",
     });
   }
 
+  const idem = idempotencyFor(req, res, "transfer", user.uid);
+  if (!idem) return;
+
   try {
-    let senderAfter;
-    await db.runTransaction(async (tx) => {
+    const result = await db.runTransaction(async (tx) => {
+      const prior = await readIdempotent(tx, idem);
+      if (prior) return prior;
+
       const sRef = db.doc(`accounts/${user.uid}`);
       const rRef = db.doc(`accounts/${toAccountId}`);
       const [sSnap, rSnap] = await Promise.all([
@@ -481,62 +2509,80 @@ exports.transfer = onRequest(CORS, async (req, res) => {
       if (!rSnap.exists) {
         throw new Error("RECIPIENT_NOT_FOUND");
       }
+      assertCanSend(sSnap.data());
+      assertCanReceive(rSnap.data(), "RECIPIENT_INACTIVE");
+      const rates = await readFeeRates(tx, "transfer");
+      const fee = computeFee(rates[currency], amount);
+      await enforcePolicy(tx, user.uid, {
+        currency, amount, fee, counterparty: toAccountId,
+      });
 
-      const sBal =
-        (sSnap.data().balances || {})[currency] || 0;
-      if (sBal < amount) {
+      if (availableBalance(sSnap.data(), currency) < amount + fee) {
         throw new Error("INSUFFICIENT_FUNDS");
       }
-      const rBal =
-        (rSnap.data().balances || {})[currency] || 0;
-      senderAfter = sBal - amount;
-
-      tx.update(sRef, {
-        [`balances.${currency}`]: senderAfter,
-      });
-      tx.update(rRef, {
-        [`balances.${currency}`]: rBal + amount,
-      });
-
-      const desc = description || "Transfer";
-      tx.create(db.collection("transactions").doc(), {
-        accountId: user.uid,
-        type: "transfer_out",
+      const journalRef = db.collection("journal").doc();
+      const {fromAfter, posting} = writeTransfer(tx, {
+        fromId: user.uid,
+        toId: toAccountId,
+        fromBal: (sSnap.data().balances || {})[currency] || 0,
+        toBal: (rSnap.data().balances || {})[currency] || 0,
         currency,
         amount,
-        balanceBefore: sBal,
-        balanceAfter: senderAfter,
-        description: desc,
-        metadata: {counterparty: toAccountId},
-        createdAt:
-          admin.firestore.FieldValue.serverTimestamp(),
+        description,
+        metadata: fee ? {fee} : {},
+        journalId: journalRef.id,
       });
-      tx.create(db.collection("transactions").doc(), {
-        accountId: toAccountId,
-        type: "transfer_in",
-        currency,
-        amount,
-        balanceBefore: rBal,
-        balanceAfter: rBal + amount,
-        description: desc,
-        metadata: {counterparty: user.uid},
-        createdAt:
-          admin.firestore.FieldValue.serverTimestamp(),
+      const postings = [posting];
+      let senderAfter = fromAfter;
+      if (fee) {
+        const charged = writeFee(tx, {
+          accountId: user.uid,
+          currency,
+          amount: fee,
+          balanceBefore: fromAfter,
+          journalId: journalRef.id,
+          metadata: {feeFor: "transfer", counterparty: toAccountId},
+        });
+        postings.push(charged.posting);
+        senderAfter = charged.balanceAfter;
+      }
+      writeJournal(tx, "transfer", postings, journalRef);
+      return saveIdempotent(tx, idem, {
+        status: 200,
+        body: {
+          currency,
+          balance: senderAfter,
+          fee,
+          formatted: {
+            balance: formatAmount(senderAfter, currency),
+            fee: formatAmount(fee, currency),
+          },
+        },
       });
     });
 
-    return res.json({currency, balance: senderAfter});
+    return sendResult(res, result);
   } catch (err) {
+    if (err.message === "IDEMPOTENCY_CONFLICT") {
+      return res.status(409).json({
+        error: "Idempotency-Key reused with a different request",
+        code: "idempotency_conflict",
+      });
+    }
     if (err.message === "INSUFFICIENT_FUNDS") {
       return res.status(402).json({
         error: "Insufficient funds",
+        code: "insufficient_funds",
       });
     }
     if (err.message === "RECIPIENT_NOT_FOUND") {
       return res.status(404).json({
         error: "Recipient account not found",
+        code: "recipient_not_found",
       });
     }
+    if (sendStatusError(err, res)) return;
+    if (sendPolicyError(err, res)) return;
     logger.error("Transfer error", err);
     return res.status(500).json({
       error: "Transfer failed",
@@ -544,114 +2590,3397 @@ exports.transfer = onRequest(CORS, async (req, res) => {
   }
 });
 
-/* ═════════════════ CONVERT ═════════════════ */
+/* ═════════════════ BATCH TRANSFER ═════════════════ */
 
-exports.convert = onRequest(CORS, async (req, res) => {
-  if (req.method !== "POST") {
-    return res.status(405).json({error: "Use POST"});
-  }
-  const user = await verifyIdToken(req, res);
-  if (!user) return;
+// Each item writes two balance updates and two ledger
+// entries; 100 items plus one journal entry and the
+// idempotency record stay under Firestore's 500 writes per
+// transaction.
+const MAX_BATCH_TRANSFERS = 100;
 
-  const {from, to, amount} = req.body || {};
-  if (
-    !from || !to ||
-    typeof amount !== "number" ||
-    amount <= 0
-  ) {
-    return res.status(400).json({
-      error: "from, to, and positive amount required",
-    });
+/**
+ * Validate the items of a batch transfer request.
+ * @param {*} items - req.body.transfers
+ * @param {string} uid - Sending account
+ * @return {string|null} Error message, or null if valid
+ */
+function batchTransferError(items, uid) {
+  if (!Array.isArray(items) || !items.length) {
+    return "transfers must be a non-empty array";
   }
-  if (from === to) {
-    return res.status(400).json({
-      error: "Cannot convert to same currency",
-    });
+  if (items.length > MAX_BATCH_TRANSFERS) {
+    return `At most ${MAX_BATCH_TRANSFERS} transfers per batch`;
   }
-  if (
-    !SUPPORTED.includes(from) ||
-    !SUPPORTED.includes(to)
-  ) {
-    return res.status(400).json({
-      error: `Unsupported. Use: ${SUPPORTED}`,
-    });
+  for (const [i, item] of items.entries()) {
+    const {toAccountId, amount, currency, description} =
+      item || {};
+    if (
+      !toAccountId ||
+      typeof toAccountId !== "string" ||
+      amount === undefined
+    ) {
+      return `transfers[${i}]: toAccountId and ` +
+        "positive amount required";
+    }
+    const {error} = currencyError(currency) ||
+      parseAmount(amount, currency);
+    if (error) return `transfers[${i}]: ${error}`;
+    if (toAccountId === uid) {
+      return `transfers[${i}]: Cannot transfer to yourself`;
+    }
+    if (description !== undefined &&
+      typeof description !== "string") {
+      return `transfers[${i}]: description must be a string`;
+    }
   }
+  return null;
+}
 
-  // Fetch rate OUTSIDE the transaction
-  const rates = await getExchangeRates();
-  const converted = convertCurrency(
-      from, to, amount, rates,
-  );
-  if (converted <= 0) {
-    return res.status(400).json({
-      error: "Amount too small to convert",
-    });
+exports.batchTransfer = onRequest(CORS, async (req, res) => {
+  if (req.method !== "POST") {
+    return res.status(405).json({error: "Use POST"});
   }
+  const user = await verifyIdToken(req, res, "transfer");
+  if (!user) return;
+
+  const {transfers, description} = req.body || {};
+  await loadCurrencies();
+  const invalid = batchTransferError(transfers, user.uid);
+  if (invalid) return res.status(400).json({error: invalid});
+  // Each item counts as one transfer
+  if (!(await checkRateLimit(
+      "transfer", req, res, user.uid, transfers.length))) return;
+  const items = transfers.map((t) => ({
+    ...t,
+    amount: parseAmount(t.amount, t.currency).amount,
+  }));
+
+  const idem = idempotencyFor(
+      req, res, "batchTransfer", user.uid);
+  if (!idem) return;
 
   try {
-    let balances;
-    await db.runTransaction(async (tx) => {
-      const ref = db.doc(`accounts/${user.uid}`);
-      const snap = await tx.get(ref);
-      if (!snap.exists) {
-        throw new Error("ACCOUNT_NOT_FOUND");
+    const result = await db.runTransaction(async (tx) => {
+      const prior = await readIdempotent(tx, idem);
+      if (prior) return prior;
+
+      const ids = [...new Set(items.map((t) => t.toAccountId))];
+      const [sSnap, ...rSnaps] = await Promise.all([
+        tx.get(db.doc(`accounts/${user.uid}`)),
+        ...ids.map((id) => tx.get(db.doc(`accounts/${id}`))),
+      ]);
+      if (!sSnap.exists) {
+        throw new Error("SENDER_NOT_FOUND");
       }
-      const bals = snap.data().balances || {};
-      const fromBal = bals[from] || 0;
-      if (fromBal < amount) {
-        throw new Error("INSUFFICIENT_FUNDS");
+      assertCanSend(sSnap.data());
+      const recipients = {};
+      rSnaps.forEach((snap, i) => {
+        if (!snap.exists) {
+          throw new Error("RECIPIENT_NOT_FOUND");
+        }
+        assertCanReceive(snap.data(), "RECIPIENT_INACTIVE");
+        recipients[ids[i]] = snap.data().balances || {};
+      });
+      const rates = await readFeeRates(tx, "transfer");
+      const itemFees = items.map((t) =>
+        computeFee(rates[t.currency], t.amount));
+      await enforcePolicy(tx, user.uid, items.map((t, i) => ({
+        currency: t.currency,
+        amount: t.amount,
+        fee: itemFees[i],
+        counterparty: t.toAccountId,
+      })));
+      const totals = {};
+      const fees = {};
+      for (const [i, t] of items.entries()) {
+        totals[t.currency] = (totals[t.currency] || 0) + t.amount;
+        fees[t.currency] = (fees[t.currency] || 0) + itemFees[i];
+      }
+      for (const [currency, total] of Object.entries(totals)) {
+        const owed = total + fees[currency];
+        if (availableBalance(sSnap.data(), currency) < owed) {
+          throw new Error("INSUFFICIENT_FUNDS");
+        }
       }
-      const toBal = bals[to] || 0;
 
-      balances = {
-        ...bals,
-        [from]: fromBal - amount,
-        [to]: toBal + converted,
-      };
-      tx.update(ref, {
-        [`balances.${from}`]: fromBal - amount,
-        [`balances.${to}`]: toBal + converted,
-      });
-      tx.create(db.collection("transactions").doc(), {
-        accountId: user.uid,
-        type: "conversion",
-        currency: from,
-        amount,
-        balanceBefore: fromBal,
-        balanceAfter: fromBal - amount,
-        description: `Convert ${from} → ${to}`,
-        metadata: {
-          fromCurrency: from,
-          toCurrency: to,
-          fromAmount: amount,
-          toAmount: converted,
-          rateUsed: rates[from] / rates[to],
+      // Running balances, so repeated recipients and
+      // currencies chain balanceBefore/balanceAfter correctly
+      const batchId = db.collection("transactions").doc().id;
+      const journalRef = db.collection("journal").doc();
+      const postings = [];
+      const senderBal = {...(sSnap.data().balances || {})};
+      const recipientBal = Object.fromEntries(
+          ids.map((id) => [id, {...recipients[id]}]));
+      for (const [i, t] of items.entries()) {
+        const {fromAfter, toAfter, posting} = writeTransfer(tx, {
+          fromId: user.uid,
+          toId: t.toAccountId,
+          fromBal: senderBal[t.currency] || 0,
+          toBal: recipientBal[t.toAccountId][t.currency] || 0,
+          currency: t.currency,
+          amount: t.amount,
+          description: t.description || description,
+          metadata: itemFees[i] ?
+            {batchId, fee: itemFees[i]} : {batchId},
+          journalId: journalRef.id,
+        });
+        postings.push(posting);
+        senderBal[t.currency] = fromAfter;
+        recipientBal[t.toAccountId][t.currency] = toAfter;
+      }
+      // One fee entry per currency keeps the batch inside
+      // the write limit
+      for (const [currency, fee] of Object.entries(fees)) {
+        if (!fee) continue;
+        const charged = writeFee(tx, {
+          accountId: user.uid,
+          currency,
+          amount: fee,
+          balanceBefore: senderBal[currency],
+          journalId: journalRef.id,
+          metadata: {feeFor: "transfer", batchId},
+        });
+        postings.push(charged.posting);
+        senderBal[currency] = charged.balanceAfter;
+      }
+      writeJournal(tx, "batch_transfer", postings, journalRef);
+
+      return saveIdempotent(tx, idem, {
+        status: 200,
+        body: {
+          batchId,
+          count: items.length,
+          totals,
+          fees,
+          balances: Object.fromEntries(Object.keys(totals)
+              .map((c) => [c, senderBal[c]])),
         },
-        createdAt:
-          admin.firestore.FieldValue.serverTimestamp(),
       });
     });
 
-    return res.json({
-      converted: {
-        from: {currency: from, amount},
-        to: {currency: to, amount: converted},
-      },
-      balances,
-    });
+    return sendResult(res, result);
   } catch (err) {
+    if (err.message === "IDEMPOTENCY_CONFLICT") {
+      return res.status(409).json({
+        error: "Idempotency-Key reused with a different request",
+        code: "idempotency_conflict",
+      });
+    }
     if (err.message === "INSUFFICIENT_FUNDS") {
       return res.status(402).json({
         error: "Insufficient funds",
+        code: "insufficient_funds",
       });
     }
-    logger.error("Convert error", err);
+    if (err.message === "RECIPIENT_NOT_FOUND") {
+      return res.status(404).json({
+        error: "Recipient account not found",
+        code: "recipient_not_found",
+      });
+    }
+    if (sendStatusError(err, res)) return;
+    if (sendPolicyError(err, res)) return;
+    logger.error("Batch transfer error", err);
     return res.status(500).json({
-      error: "Conversion failed",
+      error: "Batch transfer failed",
     });
   }
 });
 
+/* ═════════════════ REFUNDS & REVERSALS ═════════════════ */
+
+/**
+ * Read a received transfer and both accounts it touched,
+ * checking that some of it is still refundable.
+ * Refund state lives on the original transfer_in entry.
+ * @param {object} tx - Firestore transaction
+ * @param {string} txId - ID of the transfer_in entry
+ * @return {object} {ref, entry, remaining, payee, payer}
+ *   where payee received the transfer and payer sent it
+ */
+async function loadRefundable(tx, txId) {
+  const ref = db.doc(`transactions/${txId}`);
+  const snap = await tx.get(ref);
+  if (!snap.exists || snap.data().type !== "transfer_in") {
+    throw new Error("TRANSFER_NOT_FOUND");
+  }
+  const entry = snap.data();
+  const remaining = entry.amount - (entry.refundedAmount || 0);
+  if (entry.status === "reversed" || remaining <= 0) {
+    throw new Error("ALREADY_REFUNDED");
+  }
+  const payerId = (entry.metadata || {}).counterparty;
+  const [payee, payer] = await Promise.all([
+    tx.get(db.doc(`accounts/${entry.accountId}`)),
+    tx.get(db.doc(`accounts/${payerId}`)),
+  ]);
+  if (!payee.exists || !payer.exists) {
+    throw new Error("ACCOUNT_NOT_FOUND");
+  }
+  return {ref, entry, remaining, payee, payer};
+}
+
+/**
+ * Move funds back from payee to payer and record the
+ * refund on the original entry. A forced move may take the
+ * payee's balance below zero: the shortfall is owed, and
+ * blocks spending until later credits cover it.
+ * @param {object} tx - Firestore transaction
+ * @param {object} r - Result of loadRefundable
+ * @param {object} opts - {kind, amount, reason, status, force}
+ * @return {object} {refundedAmount, status, balance}
+ */
+function writeRefund(tx, r, opts) {
+  const {kind, amount, reason} = opts;
+  const {entry, payee, payer} = r;
+  const {currency} = entry;
+  if (!opts.force && availableBalance(payee.data(), currency) < amount) {
+    throw new Error("INSUFFICIENT_FUNDS");
+  }
+  const {fromAfter} = writeTransfer(tx, {
+    fromId: payee.id,
+    toId: payer.id,
+    fromBal: (payee.data().balances || {})[currency] || 0,
+    toBal: (payer.data().balances || {})[currency] || 0,
+    currency,
+    amount,
+    kind,
+    description: reason ||
+      (kind === "refund" ? "Refund" : "Reversal"),
+    metadata: {originalTransactionId: r.ref.id},
+  });
+  const refundedAmount = (entry.refundedAmount || 0) + amount;
+  const status = opts.status ||
+    (refundedAmount < entry.amount ?
+      "partially_refunded" : "refunded");
+  tx.update(r.ref, {
+    refundedAmount,
+    status,
+    refundedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return {refundedAmount, status, balance: fromAfter};
+}
+
+const REFUND_ERRORS = {
+  TRANSFER_NOT_FOUND: [404, "Received transfer not found",
+    "transfer_not_found"],
+  ACCOUNT_NOT_FOUND: [404, "Account not found", "account_not_found"],
+  ALREADY_REFUNDED: [409,
+    "Transfer has already been fully refunded or reversed",
+    "already_refunded"],
+  REFUND_EXCEEDS_TRANSFER: [400,
+    "Amount exceeds the refundable remainder", "invalid_request"],
+  INVALID_AMOUNT: [400, "amount must be a positive integer of " +
+    "smallest units or a decimal string", "invalid_request"],
+  INSUFFICIENT_FUNDS: [402, "Insufficient funds", "insufficient_funds"],
+  IDEMPOTENCY_CONFLICT: [409,
+    "Idempotency-Key reused with a different request",
+    "idempotency_conflict"],
+};
+
+/**
+ * Map refund and reversal errors thrown inside transactions.
+ * @param {Error} err - Thrown error
+ * @param {object} res - Express response
+ * @return {boolean} True if a response was sent
+ */
+function sendRefundError(err, res) {
+  if (!REFUND_ERRORS[err.message]) return false;
+  const [status, error, code] = REFUND_ERRORS[err.message];
+  res.status(status).json({error, code});
+  return true;
+}
+
+exports.refundTransfer = onRequest(CORS, async (req, res) => {
+  if (req.method !== "POST") {
+    return res.status(405).json({error: "Use POST"});
+  }
+  const user = await verifyIdToken(req, res, "transfer");
+  if (!user) return;
+
+  const {transactionId, amount, reason} = req.body || {};
+  if (
+    !transactionId ||
+    typeof transactionId !== "string" ||
+    (reason !== undefined &&
+      (typeof reason !== "string" || reason.length > 500))
+  ) {
+    return res.status(400).json({
+      error: "transactionId required; reason <= 500 chars",
+    });
+  }
+  await loadCurrencies();
+
+  const idem = idempotencyFor(req, res, "refundTransfer", user.uid);
+  if (!idem) return;
+
+  try {
+    const result = await db.runTransaction(async (tx) => {
+      const prior = await readIdempotent(tx, idem);
+      if (prior) return prior;
+
+      const r = await loadRefundable(tx, transactionId);
+      if (r.entry.accountId !== user.uid) {
+        throw new Error("TRANSFER_NOT_FOUND");
+      }
+      // The amount's precision depends on the transfer currency
+      const parsed = amount === undefined ? {amount: r.remaining} :
+        parseAmount(amount, r.entry.currency);
+      if (parsed.error) throw new Error("INVALID_AMOUNT");
+      const refund = parsed.amount;
+      if (refund > r.remaining) {
+        throw new Error("REFUND_EXCEEDS_TRANSFER");
+      }
+      assertCanSend(r.payee.data());
+      assertCanReceive(r.payer.data(), "RECIPIENT_INACTIVE");
+
+      const out = writeRefund(tx, r, {
+        kind: "refund", amount: refund, reason,
+      });
+      return saveIdempotent(tx, idem, {
+        status: 200,
+        body: {
+          transactionId,
+          currency: r.entry.currency,
+          amount: refund,
+          ...out,
+        },
+      });
+    });
+
+    return sendResult(res, result);
+  } catch (err) {
+    if (sendRefundError(err, res)) return;
+    if (sendStatusError(err, res)) return;
+    logger.error("Refund error", err);
+    return res.status(500).json({error: "Refund failed"});
+  }
+});
+
+exports.reverseTransfer = onRequest(CORS, async (req, res) => {
+  if (req.method !== "POST") {
+    return res.status(405).json({error: "Use POST"});
+  }
+  if (!isAdmin(req)) {
+    return res.status(403).json({error: "Forbidden"});
+  }
+  const {transactionId, reason} = req.body || {};
+  if (
+    !transactionId ||
+    typeof transactionId !== "string" ||
+    typeof reason !== "string" ||
+    !reason.trim() ||
+    reason.length > 500
+  ) {
+    return res.status(400).json({
+      error: "transactionId and reason (<= 500 chars) required",
+    });
+  }
+
+  try {
+    const out = await db.runTransaction(async (tx) => {
+      const r = await loadRefundable(tx, transactionId);
+      // Forced: the payee's status does not matter, but
+      // funds never go back into a closed account
+      if (r.payer.data().status === "closed") {
+        throw new Error("RECIPIENT_INACTIVE");
+      }
+      // Forced: it goes through even if the payee has since
+      // spent or held the funds, leaving a shortfall owed
+      const {currency} = r.entry;
+      const shortfall = Math.max(
+          0, r.remaining - availableBalance(r.payee.data(), currency),
+      );
+      const result = writeRefund(tx, r, {
+        kind: "reversal",
+        amount: r.remaining,
+        reason,
+        status: "reversed",
+        force: true,
+      });
+      tx.create(db.collection("accountEvents").doc(), {
+        accountId: r.payee.id,
+        type: "reversal",
+        transactionId,
+        amount: r.remaining,
+        currency,
+        shortfall,
+        reason,
+        createdAt:
+          admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return {currency, amount: r.remaining, ...result, shortfall};
+    });
+    return res.json({transactionId, reason, ...out});
+  } catch (err) {
+    if (sendRefundError(err, res)) return;
+    if (sendStatusError(err, res)) return;
+    logger.error("Reversal error", err);
+    return res.status(500).json({error: "Reversal failed"});
+  }
+});
+
+/* ═════════════════ CONVERT ═════════════════ */
+
+// How long a quote's rate and fee stay locked
+const QUOTE_TTL_MS = 30_000;
+
+/**
+ * Validate the currencies and amount of a conversion.
+ * @param {object} body - {from, to, amount}
+ * @return {string|null} Error message, or null if valid
+ */
+function conversionError({from, to, amount}) {
+  if (!from || !to || amount === undefined) {
+    return "from, to, and positive amount required";
+  }
+  if (from === to) return "Cannot convert to same currency";
+  return (currencyError(from) || currencyError(to) ||
+    parseAmount(amount, from)).error || null;
+}
+
+/**
+ * Apply a priced conversion to an account read in the same
+ * transaction: balances, journal and the ledger entry.
+ * @param {object} tx - Firestore transaction
+ * @param {object} c - {uid, account, from, to, amount,
+ *   received, fee, rate, metadata}
+ * @return {object} Balances after the conversion
+ */
+function writeConversion(tx, c) {
+  const {uid, from, to, amount, received, fee} = c;
+  const bals = c.account.balances || {};
+  const fromBal = bals[from] || 0;
+  const toBal = bals[to] || 0;
+  const balances = {
+    ...bals,
+    [from]: fromBal - amount,
+    [to]: toBal + received,
+  };
+  tx.update(db.doc(`accounts/${uid}`), {
+    [`balances.${from}`]: fromBal - amount,
+    [`balances.${to}`]: toBal + received,
+  });
+  // The FX desk buys `from` and sells `to`; the spread
+  // is kept back from the agent as fee revenue
+  const journalId = writeJournal(tx, "conversion", [
+    {
+      from: agentAccount(uid),
+      to: SYSTEM_ACCOUNTS.fxDesk,
+      currency: from,
+      amount,
+    },
+    {
+      from: SYSTEM_ACCOUNTS.fxDesk,
+      to: agentAccount(uid),
+      currency: to,
+      amount: received,
+    },
+    {
+      from: SYSTEM_ACCOUNTS.fxDesk,
+      to: SYSTEM_ACCOUNTS.fees,
+      currency: to,
+      amount: fee,
+    },
+  ]);
+  tx.create(db.collection("transactions").doc(), {
+    accountId: uid,
+    type: "conversion",
+    currency: from,
+    amount,
+    balanceBefore: fromBal,
+    balanceAfter: fromBal - amount,
+    description: `Convert ${from} → ${to}`,
+    metadata: {
+      fromCurrency: from,
+      toCurrency: to,
+      fromAmount: amount,
+      toAmount: received,
+      toBalanceBefore: toBal,
+      toBalanceAfter: toBal + received,
+      rateUsed: c.rate,
+      fee,
+      feeCurrency: to,
+      ...c.metadata,
+    },
+    journalId,
+    createdAt:
+      admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return balances;
+}
+
+exports.quoteConversion = onRequest(CORS, async (req, res) => {
+  if (req.method !== "POST") {
+    return res.status(405).json({error: "Use POST"});
+  }
+  const user = await verifyIdToken(req, res, "convert");
+  if (!user) return;
+
+  const body = req.body || {};
+  const {from, to} = body;
+  await loadCurrencies();
+  const invalid = conversionError(body);
+  if (invalid) return res.status(400).json({error: invalid});
+  const {amount} = parseAmount(body.amount, from);
+
+  try {
+    const [fx, fees] = await Promise.all([
+      getExchangeRates([from, to]),
+      db.doc("feeSchedules/convert").get(),
+    ]);
+    const {rates} = fx;
+    const converted = convertCurrency(from, to, amount, rates);
+    const feeRates = fees.exists ? fees.data().rates || {} : {};
+    const fee = computeFee(feeRates[to], converted);
+    const receive = converted - fee;
+    if (converted <= 0 || receive <= 0) {
+      return res.status(400).json({
+        error: "Amount too small to convert",
+      });
+    }
+
+    const rate = rates[from] / rates[to];
+    const expiresAt = Date.now() + QUOTE_TTL_MS;
+    const ref = db.collection("quotes").doc();
+    await ref.create({
+      accountId: user.uid,
+      from,
+      to,
+      amount,
+      receive,
+      fee,
+      rate,
+      rateSource: fx.source,
+      rateTimestamp: fx.timestamp,
+      status: "open",
+      expiresAt: admin.firestore.Timestamp.fromMillis(expiresAt),
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return res.status(201).json({
+      quoteId: ref.id,
+      from,
+      to,
+      amount,
+      receive,
+      fee: {currency: to, amount: fee},
+      rate,
+      rateSource: fx.source,
+      rateTimestamp: new Date(fx.timestamp).toISOString(),
+      expiresAt: new Date(expiresAt).toISOString(),
+    });
+  } catch (err) {
+    if (err.message === "RATES_UNAVAILABLE") {
+      return res.status(503).json({
+        error: "Exchange rates unavailable or stale",
+        code: "rate_unavailable",
+      });
+    }
+    logger.error("Quote error", err);
+    return res.status(500).json({error: "Quote failed"});
+  }
+});
+
+exports.convert = onRequest(CORS, async (req, res) => {
+  if (req.method !== "POST") {
+    return res.status(405).json({error: "Use POST"});
+  }
+  const user = await verifyIdToken(req, res, "convert");
+  if (!user) return;
+  if (!(await checkRateLimit("convert", req, res, user.uid))) return;
+
+  const body = req.body || {};
+  const {quoteId} = body;
+  await loadCurrencies();
+
+  // A quote fixes from/to/amount; the request may repeat
+  // them but not change them
+  let quote = null;
+  if (quoteId !== undefined) {
+    const qSnap = typeof quoteId === "string" && quoteId ?
+      await db.doc(`quotes/${quoteId}`).get() : null;
+    if (!qSnap || !qSnap.exists ||
+      qSnap.data().accountId !== user.uid) {
+      return res.status(404).json({
+        error: "Quote not found",
+        code: "quote_not_found",
+      });
+    }
+    quote = qSnap.data();
+    const mismatch = ["from", "to"].some((k) =>
+      body[k] !== undefined && body[k] !== quote[k]) ||
+      (body.amount !== undefined &&
+        parseAmount(body.amount, quote.from).amount !== quote.amount);
+    if (mismatch) {
+      return res.status(400).json({
+        error: "from, to and amount must match the quote",
+      });
+    }
+  }
+  const {from, to} = quote || body;
+  const invalid = conversionError(quote || body);
+  if (invalid) return res.status(400).json({error: invalid});
+  const {amount} = quote || parseAmount(body.amount, from);
+  let minReceive;
+  if (body.minReceive !== undefined) {
+    const parsed = parseAmount(body.minReceive, to, "minReceive");
+    if (parsed.error) return res.status(400).json({error: parsed.error});
+    minReceive = parsed.amount;
+  }
+
+  const idem = idempotencyFor(req, res, "convert", user.uid);
+  if (!idem) return;
+
+  // Fetch rate OUTSIDE the transaction; a quote carries its own
+  let fx = quote && {
+    rates: null,
+    rate: quote.rate,
+    source: quote.rateSource,
+    timestamp: quote.rateTimestamp,
+  };
+  let converted = 0;
+  if (!quote) {
+    try {
+      fx = {...await getExchangeRates([from, to])};
+      converted = convertCurrency(from, to, amount, fx.rates);
+    } catch (err) {
+      return res.status(503).json({
+        error: "Exchange rates unavailable or stale",
+        code: "rate_unavailable",
+      });
+    }
+    fx.rate = fx.rates[from] / fx.rates[to];
+    if (converted <= 0) {
+      return res.status(400).json({
+        error: "Amount too small to convert",
+      });
+    }
+  }
+
+  try {
+    const result = await db.runTransaction(async (tx) => {
+      const prior = await readIdempotent(tx, idem);
+      if (prior) return prior;
+
+      const ref = db.doc(`accounts/${user.uid}`);
+      const qRef = quote && db.doc(`quotes/${quoteId}`);
+      const [snap, qSnap] = await Promise.all([
+        tx.get(ref), qRef && tx.get(qRef),
+      ]);
+      if (!snap.exists) {
+        throw new Error("ACCOUNT_NOT_FOUND");
+      }
+      if (qSnap) {
+        if (qSnap.data().status !== "open") {
+          throw new Error("QUOTE_USED");
+        }
+        if (qSnap.data().expiresAt.toMillis() <= Date.now()) {
+          throw new Error("QUOTE_EXPIRED");
+        }
+      }
+      assertCanSend(snap.data());
+      const feeRates = !quote && await readFeeRates(tx, "convert");
+      await enforcePolicy(tx, user.uid, {currency: from, amount});
+      if (availableBalance(snap.data(), from) < amount) {
+        throw new Error("INSUFFICIENT_FUNDS");
+      }
+
+      let fee;
+      let received;
+      if (quote) {
+        ({fee, receive: received} = quote);
+      } else {
+        fee = computeFee(feeRates[to], converted);
+        received = converted - fee;
+        if (received <= 0) throw new Error("AMOUNT_TOO_SMALL");
+      }
+      if (minReceive !== undefined && received < minReceive) {
+        throw new Error("BELOW_MIN_RECEIVE");
+      }
+
+      if (qRef) {
+        tx.update(qRef, {
+          status: "used",
+          usedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      }
+      const balances = writeConversion(tx, {
+        uid: user.uid,
+        account: snap.data(),
+        from,
+        to,
+        amount,
+        received,
+        fee,
+        rate: fx.rate,
+        metadata: {
+          rateSource: fx.source,
+          rateTimestamp: new Date(fx.timestamp).toISOString(),
+          ...(quote ? {quoteId} : {}),
+        },
+      });
+      return saveIdempotent(tx, idem, {
+        status: 200,
+        body: {
+          converted: {
+            from: {currency: from, amount},
+            to: {currency: to, amount: received},
+          },
+          fee: {currency: to, amount: fee},
+          rate: {
+            value: fx.rate,
+            source: fx.source,
+            timestamp: new Date(fx.timestamp).toISOString(),
+          },
+          balances,
+          formatted: {
+            from: formatAmount(amount, from),
+            to: formatAmount(received, to),
+            fee: formatAmount(fee, to),
+            balances: formatBalances(balances),
+          },
+        },
+      });
+    });
+
+    return sendResult(res, result);
+  } catch (err) {
+    if (err.message === "IDEMPOTENCY_CONFLICT") {
+      return res.status(409).json({
+        error: "Idempotency-Key reused with a different request",
+        code: "idempotency_conflict",
+      });
+    }
+    if (err.message === "AMOUNT_TOO_SMALL") {
+      return res.status(400).json({
+        error: "Amount too small to convert after fees",
+      });
+    }
+    if (err.message === "QUOTE_USED") {
+      return res.status(409).json({
+        error: "Quote has already been used",
+        code: "quote_used",
+      });
+    }
+    if (err.message === "QUOTE_EXPIRED") {
+      return res.status(410).json({
+        error: "Quote has expired",
+        code: "quote_expired",
+      });
+    }
+    if (err.message === "BELOW_MIN_RECEIVE") {
+      return res.status(409).json({
+        error: "Conversion would receive less than minReceive",
+        code: "below_min_receive",
+      });
+    }
+    if (err.message === "INSUFFICIENT_FUNDS") {
+      return res.status(402).json({
+        error: "Insufficient funds",
+        code: "insufficient_funds",
+      });
+    }
+    if (sendStatusError(err, res)) return;
+    if (sendPolicyError(err, res)) return;
+    logger.error("Convert error", err);
+    return res.status(500).json({
+      error: "Conversion failed",
+    });
+  }
+});
+
+/* ═════════════════ CONVERSION ORDERS ═════════════════ */
+
+// Standing conversions priced by the scheduled run. `rate`
+// is units of `to` per unit of `from`, as in convert's
+// response: a limit order fills once the rate rises to its
+// target, a stop order once it falls to it. The unfilled
+// amount stays reserved in `held` like a hold.
+const ORDER_TYPES = ["limit", "stop"];
+const ORDER_STATUSES = ["open", "filled", "cancelled", "expired"];
+const ORDER_DEFAULT_TTL = 7 * 24 * 60 * 60;
+const ORDER_MAX_TTL = 90 * 24 * 60 * 60;
+const ORDER_SWEEP_BATCH = 200;
+// Each open order is re-priced every minute
+const MAX_OPEN_ORDERS = 50;
+
+/**
+ * Validate a new conversion order.
+ * @param {object} body - Request body
+ * @return {string|null} Error message, or null if valid
+ */
+function conversionOrderError(body) {
+  const {
+    type, targetRate, allowPartial,
+    expiresIn = ORDER_DEFAULT_TTL,
+  } = body;
+  const invalid = conversionError(body);
+  if (invalid) return invalid;
+  if (!ORDER_TYPES.includes(type)) {
+    return `type must be one of ${ORDER_TYPES}`;
+  }
+  if (typeof targetRate !== "number" ||
+    !Number.isFinite(targetRate) || targetRate <= 0) {
+    return "targetRate must be a positive number";
+  }
+  if (allowPartial !== undefined && typeof allowPartial !== "boolean") {
+    return "allowPartial must be a boolean";
+  }
+  if (!Number.isInteger(expiresIn) ||
+    expiresIn < 60 || expiresIn > ORDER_MAX_TTL) {
+    return `expiresIn must be 60-${ORDER_MAX_TTL} seconds`;
+  }
+  return null;
+}
+
+/**
+ * Whether an order's trigger is met at a rate.
+ * @param {object} order - orders/{id} document data
+ * @param {number} rate - Units of `to` per unit of `from`
+ * @return {boolean} True if the order should fill
+ */
+function orderTriggered(order, rate) {
+  return order.type === "limit" ?
+    rate >= order.targetRate : rate <= order.targetRate;
+}
+
+/**
+ * Public shape of an order document.
+ * @param {object} d - orders/{id} snapshot
+ * @return {object} Order summary
+ */
+function orderView(d) {
+  const v = d.data();
+  return {
+    id: d.id,
+    from: v.from,
+    to: v.to,
+    type: v.type,
+    targetRate: v.targetRate,
+    amount: v.amount,
+    remaining: v.remaining,
+    received: v.received,
+    fills: v.fills,
+    allowPartial: v.allowPartial,
+    status: v.status,
+    expiresAt: toIso(v.expiresAt),
+    createdAt: toIso(v.createdAt),
+    updatedAt: toIso(v.updatedAt),
+  };
+}
+
+/**
+ * Close an open order and release its unfilled reservation.
+ * @param {string} orderId - orders/{id}
+ * @param {string} status - "cancelled" or "expired"
+ * @param {string} [ownerId] - Required owner, if any
+ * @return {object} Updated order summary
+ */
+async function closeOrder(orderId, status, ownerId) {
+  return db.runTransaction(async (tx) => {
+    const oRef = db.doc(`orders/${orderId}`);
+    const oSnap = await tx.get(oRef);
+    if (!oSnap.exists ||
+      (ownerId && oSnap.data().accountId !== ownerId)) {
+      throw new Error("ORDER_NOT_FOUND");
+    }
+    const order = oSnap.data();
+    if (order.status !== "open") throw new Error("ORDER_NOT_OPEN");
+    const aRef = db.doc(`accounts/${order.accountId}`);
+    const aSnap = await tx.get(aRef);
+    const held = ((aSnap.data() || {}).held || {})[order.from] || 0;
+    tx.update(aRef, {
+      [`held.${order.from}`]: Math.max(held - order.remaining, 0),
+    });
+    tx.update(oRef, {
+      status,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return {
+      orderId,
+      status,
+      currency: order.from,
+      released: order.remaining,
+    };
+  });
+}
+
+/**
+ * Fill an open order at a rate snapshot, in full or, for
+ * partial orders, as far as the spending policy allows.
+ * @param {string} orderId - orders/{id}
+ * @param {object} fx - getExchangeRates snapshot
+ * @return {object|null} {filled, received}, or null when
+ *   nothing could be filled this run
+ */
+async function fillOrder(orderId, fx) {
+  return db.runTransaction(async (tx) => {
+    const oRef = db.doc(`orders/${orderId}`);
+    const oSnap = await tx.get(oRef);
+    if (!oSnap.exists) return null;
+    const order = oSnap.data();
+    if (order.status !== "open" ||
+      order.expiresAt.toMillis() <= Date.now()) return null;
+    const {accountId: uid, from, to} = order;
+    const rate = fx.rates[from] / fx.rates[to];
+    if (!orderTriggered(order, rate)) return null;
+
+    const aSnap = await tx.get(db.doc(`accounts/${uid}`));
+    assertCanSend(aSnap.data());
+    const feeRates = await readFeeRates(tx, "convert");
+    let amount = order.remaining;
+    if (order.allowPartial) {
+      amount = Math.min(amount, await policyHeadroom(tx, uid, from));
+      if (!amount) return null;
+    }
+    const converted = convertCurrency(from, to, amount, fx.rates);
+    const fee = computeFee(feeRates[to], converted);
+    const received = converted - fee;
+    if (received <= 0) return null;
+    await enforcePolicy(tx, uid, {currency: from, amount});
+
+    const acct = aSnap.data();
+    const held = (acct.held || {})[from] || 0;
+    tx.update(db.doc(`accounts/${uid}`), {
+      [`held.${from}`]: Math.max(held - amount, 0),
+    });
+    writeConversion(tx, {
+      uid,
+      account: acct,
+      from,
+      to,
+      amount,
+      received,
+      fee,
+      rate,
+      metadata: {
+        rateSource: fx.source,
+        rateTimestamp: new Date(fx.timestamp).toISOString(),
+        orderId,
+      },
+    });
+    const remaining = order.remaining - amount;
+    tx.update(oRef, {
+      remaining,
+      received: order.received + received,
+      fills: order.fills + 1,
+      status: remaining ? "open" : "filled",
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return {filled: amount, received};
+  });
+}
+
+const ORDER_ERRORS = {
+  ORDER_NOT_FOUND: [404, "Order not found", "order_not_found"],
+  ORDER_NOT_OPEN: [409, "Order is no longer open", "order_not_open"],
+  TOO_MANY_ORDERS: [409,
+    `At most ${MAX_OPEN_ORDERS} open orders per account`,
+    "limit_exceeded"],
+  INSUFFICIENT_FUNDS: [402, "Insufficient funds", "insufficient_funds"],
+  ACCOUNT_NOT_FOUND: [404, "Account not found", "account_not_found"],
+  IDEMPOTENCY_CONFLICT: [
+    409, "Idempotency-Key reused with a different request",
+    "idempotency_conflict",
+  ],
+};
+
+/**
+ * Map order errors thrown inside transactions to responses.
+ * @param {Error} err - Thrown error
+ * @param {object} res - Express response
+ * @return {boolean} True if a response was sent
+ */
+function sendOrderError(err, res) {
+  if (sendStatusError(err, res)) return true;
+  if (!ORDER_ERRORS[err.message]) return false;
+  const [status, error, code] = ORDER_ERRORS[err.message];
+  res.status(status).json({error, code});
+  return true;
+}
+
+exports.placeConversionOrder = onRequest(CORS, async (req, res) => {
+  if (req.method !== "POST") {
+    return res.status(405).json({error: "Use POST"});
+  }
+  const user = await verifyIdToken(req, res, "convert");
+  if (!user) return;
+  if (!(await checkRateLimit("convert", req, res, user.uid))) return;
+
+  const body = req.body || {};
+  await loadCurrencies();
+  const invalid = conversionOrderError(body);
+  if (invalid) return res.status(400).json({error: invalid});
+  const {from, to, type, targetRate} = body;
+  const {amount} = parseAmount(body.amount, from);
+  const allowPartial = body.allowPartial || false;
+  const expiresIn = body.expiresIn || ORDER_DEFAULT_TTL;
+
+  const idem = idempotencyFor(
+      req, res, "placeConversionOrder", user.uid);
+  if (!idem) return;
+
+  try {
+    const result = await db.runTransaction(async (tx) => {
+      const prior = await readIdempotent(tx, idem);
+      if (prior) return prior;
+
+      const aRef = db.doc(`accounts/${user.uid}`);
+      const aSnap = await tx.get(aRef);
+      if (!aSnap.exists) throw new Error("ACCOUNT_NOT_FOUND");
+      const acct = aSnap.data();
+      assertCanSend(acct);
+      if (availableBalance(acct, from) < amount) {
+        throw new Error("INSUFFICIENT_FUNDS");
+      }
+      // Placing an order also writes the account, so
+      // concurrent placements are serialized on it
+      const open = await tx.get(db.collection("orders")
+          .where("accountId", "==", user.uid)
+          .where("status", "==", "open")
+          .limit(MAX_OPEN_ORDERS));
+      if (open.size >= MAX_OPEN_ORDERS) {
+        throw new Error("TOO_MANY_ORDERS");
+      }
+
+      const expiresAt = admin.firestore.Timestamp.fromMillis(
+          Date.now() + expiresIn * 1000);
+      const oRef = db.collection("orders").doc();
+      tx.update(aRef, {
+        [`held.${from}`]: ((acct.held || {})[from] || 0) + amount,
+      });
+      tx.create(oRef, {
+        accountId: user.uid,
+        from,
+        to,
+        type,
+        targetRate,
+        amount,
+        remaining: amount,
+        received: 0,
+        fills: 0,
+        allowPartial,
+        status: "open",
+        expiresAt,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return saveIdempotent(tx, idem, {
+        status: 201,
+        body: {
+          orderId: oRef.id,
+          from,
+          to,
+          type,
+          targetRate,
+          amount,
+          allowPartial,
+          status: "open",
+          expiresAt: expiresAt.toDate().toISOString(),
+          available: availableBalance(acct, from) - amount,
+        },
+      });
+    });
+
+    return sendResult(res, result);
+  } catch (err) {
+    if (sendOrderError(err, res)) return;
+    logger.error("Place order error", err);
+    return res.status(500).json({error: "Order failed"});
+  }
+});
+
+exports.listConversionOrders = onRequest(CORS, async (req, res) => {
+  const user = await verifyIdToken(req, res, "read");
+  if (!user) return;
+
+  const {status} = req.query;
+  if (status !== undefined && !ORDER_STATUSES.includes(status)) {
+    return res.status(400).json({
+      error: `status must be one of ${ORDER_STATUSES}`,
+    });
+  }
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+  let q = db.collection("orders").where("accountId", "==", user.uid);
+  if (status) q = q.where("status", "==", status);
+  const snaps = await q.orderBy("createdAt", "desc").limit(limit).get();
+  return res.json({orders: snaps.docs.map(orderView)});
+});
+
+exports.cancelConversionOrder = onRequest(CORS, async (req, res) => {
+  if (req.method !== "POST") {
+    return res.status(405).json({error: "Use POST"});
+  }
+  const user = await verifyIdToken(req, res, "convert");
+  if (!user) return;
+
+  const {orderId} = req.body || {};
+  if (!orderId || typeof orderId !== "string") {
+    return res.status(400).json({error: "orderId required"});
+  }
+
+  try {
+    return res.json(await closeOrder(orderId, "cancelled", user.uid));
+  } catch (err) {
+    if (sendOrderError(err, res)) return;
+    logger.error("Cancel order error", err);
+    return res.status(500).json({error: "Cancel failed"});
+  }
+});
+
+/**
+ * Expire or try to fill one page of open orders.
+ * @param {Array<object>} docs - Open order snapshots
+ * @param {Function} rates - Resolves to exchange rates, or
+ *   null if unavailable (orders then only expire)
+ * @return {number} Orders filled
+ */
+async function sweepOrders(docs, rates) {
+  const now = Date.now();
+  let filled = 0;
+  for (const d of docs) {
+    const {from, to, expiresAt} = d.data();
+    if (expiresAt.toMillis() <= now) {
+      try {
+        await closeOrder(d.id, "expired");
+      } catch (err) {
+        // Filled or cancelled since the query ran
+        if (err.message !== "ORDER_NOT_OPEN") {
+          logger.error("Order expiry error", d.id, err);
+        }
+      }
+      continue;
+    }
+    const fx = await rates();
+    // Disabled or unpriced pairs wait until expiry
+    if (!fx || currencyError(from) || currencyError(to) ||
+      !fx.rates[from] || !fx.rates[to]) continue;
+    try {
+      if (await fillOrder(d.id, fx)) filled++;
+    } catch (err) {
+      logger.warn("Order not filled", d.id, err.message);
+    }
+  }
+  return filled;
+}
+
+exports.executeConversionOrders = onSchedule(
+    "every 1 minutes", async () => {
+      await loadCurrencies();
+      // Fetched once, and only if an order is still live
+      let fx;
+      const rates = async () => {
+        if (fx === undefined) {
+          fx = await getExchangeRates().catch((err) => {
+            logger.warn("Orders skipped: no exchange rates", err);
+            return null;
+          });
+        }
+        return fx;
+      };
+      // Page through every open order, oldest first, so a
+      // backlog cannot starve orders beyond the first page
+      let filled = 0;
+      let last = null;
+      for (;;) {
+        let q = db.collection("orders")
+            .where("status", "==", "open")
+            .orderBy("createdAt")
+            .limit(ORDER_SWEEP_BATCH);
+        if (last) q = q.startAfter(last);
+        const snaps = await q.get();
+        filled += await sweepOrders(snaps.docs, rates);
+        if (snaps.docs.length < ORDER_SWEEP_BATCH) break;
+        last = snaps.docs[snaps.docs.length - 1];
+      }
+      if (filled) logger.info(`Filled ${filled} conversion orders`);
+    },
+);
+
+/* ═════════════════ HOLDS ═════════════════ */
+
+const HOLD_DEFAULT_TTL = 24 * 60 * 60;
+const HOLD_MAX_TTL = 30 * 24 * 60 * 60;
+const HOLD_SWEEP_BATCH = 200;
+
+/**
+ * Release an active hold's reserved funds, marking it with
+ * a terminal status. No-op if the hold is no longer active.
+ * @param {string} holdId - holds/{id}
+ * @param {string} status - "voided" or "expired"
+ * @param {string} [ownerId] - Required owner, if any
+ * @return {object} Updated hold summary
+ */
+async function releaseHold(holdId, status, ownerId) {
+  return db.runTransaction(async (tx) => {
+    const hRef = db.doc(`holds/${holdId}`);
+    const hSnap = await tx.get(hRef);
+    if (!hSnap.exists ||
+      (ownerId && hSnap.data().accountId !== ownerId)) {
+      throw new Error("HOLD_NOT_FOUND");
+    }
+    const hold = hSnap.data();
+    if (hold.status !== "active") {
+      throw new Error("HOLD_NOT_ACTIVE");
+    }
+    const aRef = db.doc(`accounts/${hold.accountId}`);
+    const aSnap = await tx.get(aRef);
+    const held =
+      ((aSnap.data() || {}).held || {})[hold.currency] || 0;
+    tx.update(aRef, {
+      [`held.${hold.currency}`]: Math.max(held - hold.amount, 0),
+    });
+    tx.update(hRef, {
+      status,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return {
+      holdId, status, currency: hold.currency, amount: hold.amount,
+    };
+  });
+}
+
+const HOLD_ERRORS = {
+  HOLD_NOT_FOUND: [404, "Hold not found", "hold_not_found"],
+  HOLD_NOT_ACTIVE: [409, "Hold is no longer active", "hold_not_active"],
+  HOLD_EXPIRED: [409, "Hold has expired", "hold_expired"],
+  INVALID_AMOUNT: [400, "amount must be a positive integer of " +
+    "smallest units or a decimal string", "invalid_request"],
+  INSUFFICIENT_FUNDS: [402, "Insufficient funds", "insufficient_funds"],
+  RECIPIENT_NOT_FOUND: [404, "Recipient account not found",
+    "recipient_not_found"],
+  ACCOUNT_NOT_FOUND: [404, "Account not found", "account_not_found"],
+};
+
+/**
+ * Map hold errors thrown inside transactions to responses.
+ * @param {Error} err - Thrown error
+ * @param {object} res - Express response
+ * @return {boolean} True if a response was sent
+ */
+function sendHoldError(err, res) {
+  if (sendStatusError(err, res)) return true;
+  if (sendPolicyError(err, res)) return true;
+  if (!HOLD_ERRORS[err.message]) return false;
+  const [status, error, code] = HOLD_ERRORS[err.message];
+  res.status(status).json({error, code});
+  return true;
+}
+
+exports.createHold = onRequest(CORS, async (req, res) => {
+  if (req.method !== "POST") {
+    return res.status(405).json({error: "Use POST"});
+  }
+  const user = await verifyIdToken(req, res, "transfer");
+  if (!user) return;
+
+  const body = req.body || {};
+  const {
+    currency, toAccountId, description,
+    expiresIn = HOLD_DEFAULT_TTL,
+  } = body;
+  if (body.amount === undefined) {
+    return res.status(400).json({
+      error: "positive amount required",
+    });
+  }
+  await loadCurrencies();
+  const invalid = currencyError(currency);
+  if (invalid) return res.status(400).json(invalid);
+  const {amount, error} = parseAmount(body.amount, currency);
+  if (error) return res.status(400).json({error});
+  if (
+    !Number.isInteger(expiresIn) ||
+    expiresIn < 60 || expiresIn > HOLD_MAX_TTL
+  ) {
+    return res.status(400).json({
+      error: `expiresIn must be 60-${HOLD_MAX_TTL} seconds`,
+    });
+  }
+  if (toAccountId === user.uid) {
+    return res.status(400).json({
+      error: "Cannot hold funds for yourself",
+    });
+  }
+
+  try {
+    const hRef = db.collection("holds").doc();
+    const expiresAt = admin.firestore.Timestamp.fromMillis(
+        Date.now() + expiresIn * 1000,
+    );
+    let availableAfter;
+    await db.runTransaction(async (tx) => {
+      const aRef = db.doc(`accounts/${user.uid}`);
+      const aSnap = await tx.get(aRef);
+      if (!aSnap.exists) {
+        throw new Error("ACCOUNT_NOT_FOUND");
+      }
+      const acct = aSnap.data();
+      assertCanSend(acct);
+      if (availableBalance(acct, currency) < amount) {
+        throw new Error("INSUFFICIENT_FUNDS");
+      }
+      availableAfter = availableBalance(acct, currency) - amount;
+      tx.update(aRef, {
+        [`held.${currency}`]:
+          ((acct.held || {})[currency] || 0) + amount,
+      });
+      tx.create(hRef, {
+        accountId: user.uid,
+        currency,
+        amount,
+        toAccountId: toAccountId || null,
+        description: description || null,
+        status: "active",
+        expiresAt,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+
+    return res.status(201).json({
+      holdId: hRef.id,
+      currency,
+      amount,
+      status: "active",
+      expiresAt: expiresAt.toDate().toISOString(),
+      available: availableAfter,
+    });
+  } catch (err) {
+    if (sendHoldError(err, res)) return;
+    logger.error("Create hold error", err);
+    return res.status(500).json({error: "Hold failed"});
+  }
+});
+
+exports.captureHold = onRequest(CORS, async (req, res) => {
+  if (req.method !== "POST") {
+    return res.status(405).json({error: "Use POST"});
+  }
+  const user = await verifyIdToken(req, res, "transfer");
+  if (!user) return;
+
+  const {holdId, amount, toAccountId, description} =
+    req.body || {};
+  if (!holdId || typeof holdId !== "string") {
+    return res.status(400).json({error: "holdId required"});
+  }
+  await loadCurrencies();
+
+  try {
+    let result;
+    await db.runTransaction(async (tx) => {
+      const hRef = db.doc(`holds/${holdId}`);
+      const hSnap = await tx.get(hRef);
+      if (!hSnap.exists || hSnap.data().accountId !== user.uid) {
+        throw new Error("HOLD_NOT_FOUND");
+      }
+      const hold = hSnap.data();
+      if (hold.status !== "active") {
+        throw new Error("HOLD_NOT_ACTIVE");
+      }
+      if (hold.expiresAt.toMillis() <= Date.now()) {
+        throw new Error("HOLD_EXPIRED");
+      }
+      const recipient = hold.toAccountId || toAccountId;
+      if (!recipient || recipient === user.uid ||
+        (hold.toAccountId && toAccountId &&
+          toAccountId !== hold.toAccountId)) {
+        throw new Error("BAD_RECIPIENT");
+      }
+      const parsed = amount === undefined ? {amount: hold.amount} :
+        parseAmount(amount, hold.currency);
+      if (parsed.error) throw new Error("INVALID_AMOUNT");
+      const captured = parsed.amount;
+      if (captured > hold.amount) {
+        throw new Error("CAPTURE_EXCEEDS_HOLD");
+      }
+
+      const {currency} = hold;
+      const sRef = db.doc(`accounts/${user.uid}`);
+      const rRef = db.doc(`accounts/${recipient}`);
+      const [sSnap, rSnap] = await Promise.all([
+        tx.get(sRef), tx.get(rRef),
+      ]);
+      if (!rSnap.exists) {
+        throw new Error("RECIPIENT_NOT_FOUND");
+      }
+      const sData = sSnap.data();
+      assertCanSend(sData);
+      assertCanReceive(rSnap.data(), "RECIPIENT_INACTIVE");
+      await enforcePolicy(tx, user.uid, {
+        currency, amount: captured, counterparty: recipient,
+      });
+      const sHeld = (sData.held || {})[currency] || 0;
+
+      // Capturing releases the whole hold; any remainder
+      // becomes available again.
+      tx.update(sRef, {
+        [`held.${currency}`]: Math.max(sHeld - hold.amount, 0),
+      });
+      tx.update(hRef, {
+        status: "captured",
+        capturedAmount: captured,
+        toAccountId: recipient,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      const {fromAfter: senderAfter} = writeTransfer(tx, {
+        fromId: user.uid,
+        toId: recipient,
+        fromBal: (sData.balances || {})[currency] || 0,
+        toBal: (rSnap.data().balances || {})[currency] || 0,
+        currency,
+        amount: captured,
+        description: description || hold.description ||
+          "Hold capture",
+        metadata: {holdId},
+      });
+
+      result = {
+        holdId,
+        status: "captured",
+        currency,
+        captured,
+        released: hold.amount - captured,
+        toAccountId: recipient,
+        balance: senderAfter,
+      };
+    });
+
+    return res.json(result);
+  } catch (err) {
+    if (err.message === "BAD_RECIPIENT") {
+      return res.status(400).json({
+        error: "A recipient other than yourself is required " +
+          "and must match the hold's recipient",
+      });
+    }
+    if (err.message === "CAPTURE_EXCEEDS_HOLD") {
+      return res.status(400).json({
+        error: "amount exceeds the held amount",
+      });
+    }
+    if (sendHoldError(err, res)) return;
+    logger.error("Capture hold error", err);
+    return res.status(500).json({error: "Capture failed"});
+  }
+});
+
+exports.voidHold = onRequest(CORS, async (req, res) => {
+  if (req.method !== "POST") {
+    return res.status(405).json({error: "Use POST"});
+  }
+  const user = await verifyIdToken(req, res, "transfer");
+  if (!user) return;
+
+  const {holdId} = req.body || {};
+  if (!holdId || typeof holdId !== "string") {
+    return res.status(400).json({error: "holdId required"});
+  }
+
+  try {
+    return res.json(await releaseHold(holdId, "voided", user.uid));
+  } catch (err) {
+    if (sendHoldError(err, res)) return;
+    logger.error("Void hold error", err);
+    return res.status(500).json({error: "Void failed"});
+  }
+});
+
+exports.expireHolds = onSchedule("every 5 minutes", async () => {
+  const snaps = await db.collection("holds")
+      .where("status", "==", "active")
+      .where("expiresAt", "<=", admin.firestore.Timestamp.now())
+      .limit(HOLD_SWEEP_BATCH)
+      .get();
+  let expired = 0;
+  for (const d of snaps.docs) {
+    try {
+      await releaseHold(d.id, "expired");
+      expired++;
+    } catch (err) {
+      // Captured or voided since the query ran
+      if (err.message !== "HOLD_NOT_ACTIVE") {
+        logger.error("Hold expiry error", d.id, err);
+      }
+    }
+  }
+  if (expired) logger.info(`Expired ${expired} holds`);
+});
+
+/* ═════════════════ CHILD ACCOUNTS ═════════════════ */
+
+const MAX_CHILDREN = 100;
+const CHILD_DEFAULT_SCOPES = ["read", "transfer", "convert", "llm"];
+const CHILD_TX_LIMIT = 50;
+
+/**
+ * Read a child account in a transaction and check that the
+ * caller is its parent.
+ * @param {object} tx - Firestore transaction
+ * @param {string} parentId - Caller uid
+ * @param {string} childId - accounts/{id} of the child
+ * @return {object} Child snapshot
+ */
+async function getOwnChild(tx, parentId, childId) {
+  const snap = await tx.get(db.doc(`accounts/${childId}`));
+  if (!snap.exists || snap.data().parentId !== parentId) {
+    throw new Error("CHILD_NOT_FOUND");
+  }
+  return snap;
+}
+
+const CHILD_ERRORS = {
+  CHILD_NOT_FOUND: [404, "Child account not found", "child_not_found"],
+  NOT_A_PARENT: [403, "Child accounts cannot have children",
+    "not_a_parent"],
+  TOO_MANY_CHILDREN: [409, `At most ${MAX_CHILDREN} children`,
+    "conflict"],
+  CHILD_HAS_HOLDS: [409, "Child has active holds", "child_has_holds"],
+  INSUFFICIENT_FUNDS: [402, "Insufficient funds", "insufficient_funds"],
+  ACCOUNT_NOT_FOUND: [404, "Account not found", "account_not_found"],
+};
+
+/**
+ * Map child-account errors thrown inside transactions.
+ * @param {Error} err - Thrown error
+ * @param {object} res - Express response
+ * @return {boolean} True if a response was sent
+ */
+function sendChildError(err, res) {
+  if (sendStatusError(err, res)) return true;
+  if (sendPolicyError(err, res)) return true;
+  if (!CHILD_ERRORS[err.message]) return false;
+  const [status, error, code] = CHILD_ERRORS[err.message];
+  res.status(status).json({error, code});
+  return true;
+}
+
+/**
+ * Validate the requested currency/amount for fund and sweep.
+ * @param {object} body - Request body
+ * @param {boolean} optional - Whether both may be omitted
+ * @return {string|null} Error message, if invalid
+ */
+function childMoveError(body, optional) {
+  const {currency, amount} = body;
+  if (optional && currency === undefined) {
+    return amount === undefined ? null :
+      "currency required with amount";
+  }
+  // Sweeping returns funds already held, so it may move a
+  // disabled currency; funding may not
+  const invalid = currencyError(currency, optional);
+  if (invalid) return invalid.error;
+  if (optional && amount === undefined) return null;
+  if (amount === undefined) return "positive amount required";
+  return parseAmount(amount, currency).error || null;
+}
+
+exports.createChildAccount = onRequest(CORS, async (req, res) => {
+  if (req.method !== "POST") {
+    return res.status(405).json({error: "Use POST"});
+  }
+  const user = await verifyIdToken(req, res, "children");
+  if (!user) return;
+
+  const body = req.body || {};
+  const scopes = body.scopes || CHILD_DEFAULT_SCOPES;
+  if (!isValidScopeList(scopes) || scopes.includes("children")) {
+    return res.status(400).json({
+      error: `scopes must be a subset of ${CHILD_DEFAULT_SCOPES}`,
+    });
+  }
+  if (body.name !== undefined &&
+    (typeof body.name !== "string" || body.name.length > 100)) {
+    return res.status(400).json({
+      error: "name must be a string of <= 100 characters",
+    });
+  }
+  await loadCurrencies();
+  const {policy, error} = parsePolicy(body.caps || {});
+  if (error) return res.status(400).json({error});
+
+  try {
+    const childRef = db.collection("accounts").doc();
+    const key = generateAgentKey();
+    const keyId = hashAgentKey(key);
+    await db.runTransaction(async (tx) => {
+      const parentRef = db.doc(`accounts/${user.uid}`);
+      const pSnap = await tx.get(parentRef);
+      if (!pSnap.exists) throw new Error("ACCOUNT_NOT_FOUND");
+      if (pSnap.data().parentId) throw new Error("NOT_A_PARENT");
+      assertCanSend(pSnap.data());
+      // childCount serializes concurrent creates on the parent
+      // document; parents from before it existed are counted
+      // once. Closed children do not count.
+      const childCount = pSnap.data().childCount ?? (await tx.get(
+          db.collection("accounts").where("parentId", "==", user.uid),
+      )).docs.filter((d) => d.data().status !== "closed").length;
+      if (childCount >= MAX_CHILDREN) {
+        throw new Error("TOO_MANY_CHILDREN");
+      }
+      tx.update(parentRef, {childCount: childCount + 1});
+
+      tx.create(childRef, {
+        balances: emptyBalances(),
+        status: "active",
+        email: null,
+        name: body.name || null,
+        parentId: user.uid,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      // Caps are a locked spending policy: the child's keys
+      // cannot change it, only the parent or an admin can.
+      tx.set(db.doc(`policies/${childRef.id}`), {
+        ...policy,
+        accountId: childRef.id,
+        locked: true,
+        updatedBy: user.uid,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      tx.create(db.doc(`apiKeys/${keyId}`), {
+        accountId: childRef.id,
+        name: body.name || null,
+        prefix: key.substring(0, AGENT_KEY_PREFIX.length + 6),
+        scopes,
+        revokedAt: null,
+        createdBy: user.uid,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+
+    return res.status(201).json({
+      accountId: childRef.id,
+      parentId: user.uid,
+      name: body.name || null,
+      caps: policy,
+      apiKey: {id: keyId, key, scopes},
+    });
+  } catch (err) {
+    if (sendChildError(err, res)) return;
+    logger.error("Create child error", err);
+    return res.status(500).json({
+      error: "Child account creation failed",
+    });
+  }
+});
+
+exports.listChildAccounts = onRequest(CORS, async (req, res) => {
+  const user = await verifyIdToken(req, res, "read");
+  if (!user) return;
+
+  const txLimit = Math.min(
+      parseInt(req.query.transactionsLimit, 10) || 10,
+      CHILD_TX_LIMIT,
+  );
+  const snaps = await db.collection("accounts")
+      .where("parentId", "==", user.uid)
+      .get();
+  const children = await Promise.all(snaps.docs.map(async (d) => {
+    const c = d.data();
+    const [txs, pol] = await Promise.all([
+      db.collection("transactions")
+          .where("accountId", "==", d.id)
+          .orderBy("createdAt", "desc")
+          .limit(txLimit)
+          .get(),
+      db.doc(`policies/${d.id}`).get(),
+    ]);
+    const p = pol.exists ? pol.data() : {};
+    return {
+      accountId: d.id,
+      name: c.name,
+      status: c.status,
+      balances: c.balances,
+      available: Object.fromEntries(
+          Object.keys(c.balances || {}).map((cur) => [
+            cur, availableBalance(c, cur),
+          ]),
+      ),
+      caps: {
+        maxPerTransaction: p.maxPerTransaction || {},
+        dailyLimit: p.dailyLimit || {},
+        allowlist: p.allowlist || null,
+        denylist: p.denylist || null,
+      },
+      transactions: txs.docs.map((t) => ({id: t.id, ...t.data()})),
+    };
+  }));
+  return res.json({children});
+});
+
+exports.fundChildAccount = onRequest(CORS, async (req, res) => {
+  if (req.method !== "POST") {
+    return res.status(405).json({error: "Use POST"});
+  }
+  const user = await verifyIdToken(req, res, "children");
+  if (!user) return;
+  if (!(await checkRateLimit("transfer", req, res, user.uid))) return;
+
+  const {childId, currency, description} = req.body || {};
+  await loadCurrencies();
+  const invalid = !childId ? "childId required" :
+    childMoveError(req.body, false);
+  if (invalid) return res.status(400).json({error: invalid});
+  const {amount} = parseAmount(req.body.amount, currency);
+
+  try {
+    let balance;
+    await db.runTransaction(async (tx) => {
+      const cSnap = await getOwnChild(tx, user.uid, childId);
+      const pSnap = await tx.get(db.doc(`accounts/${user.uid}`));
+      const parent = pSnap.data();
+      assertCanSend(parent);
+      assertCanReceive(cSnap.data(), "RECIPIENT_INACTIVE");
+      // Children are the parent's own wallets: amount limits
+      // apply, counterparty lists do not.
+      await enforcePolicy(tx, user.uid, {currency, amount});
+      if (availableBalance(parent, currency) < amount) {
+        throw new Error("INSUFFICIENT_FUNDS");
+      }
+      ({fromAfter: balance} = writeTransfer(tx, {
+        fromId: user.uid,
+        toId: childId,
+        fromBal: (parent.balances || {})[currency] || 0,
+        toBal: (cSnap.data().balances || {})[currency] || 0,
+        currency,
+        amount,
+        description: description || "Child funding",
+        metadata: {childFunding: true},
+      }));
+    });
+    return res.json({childId, currency, amount, balance});
+  } catch (err) {
+    if (sendChildError(err, res)) return;
+    logger.error("Fund child error", err);
+    return res.status(500).json({error: "Funding failed"});
+  }
+});
+
+/**
+ * Throw if the child is closed. Unlike assertCanSend, a
+ * frozen child passes: freezing is when its parent most
+ * needs to sweep the funds back or revoke it.
+ * @param {object} child - accounts/{id} data of the child
+ */
+function assertChildOpen(child) {
+  if (child.status === "closed") throw new Error("ACCOUNT_CLOSED");
+}
+
+/**
+ * Give back a closed child's place under MAX_CHILDREN.
+ * Parents without a counter recount on their next create.
+ * @param {object} tx - Firestore transaction
+ * @param {object} parent - {id, data} of the parent
+ */
+function releaseChildSlot(tx, parent) {
+  const {childCount} = parent.data;
+  if (typeof childCount !== "number") return;
+  tx.update(db.doc(`accounts/${parent.id}`), {
+    childCount: Math.max(0, childCount - 1),
+  });
+}
+
+/**
+ * Move a child's available funds back to its parent inside
+ * a transaction whose reads are complete.
+ * @param {object} tx - Firestore transaction
+ * @param {object} parent - {id, data} of the parent
+ * @param {object} child - {id, data} of the child
+ * @param {object} [only] - {currency, amount} to restrict to
+ * @return {object} Map of currency → amount swept
+ */
+function sweepChildFunds(tx, parent, child, only) {
+  const currencies = only && only.currency ?
+    [only.currency] : Object.keys(child.data.balances || {});
+  const swept = {};
+  for (const c of currencies) {
+    const avail = availableBalance(child.data, c);
+    const amount = only && only.amount !== undefined ?
+      only.amount : avail;
+    if (amount > avail) throw new Error("INSUFFICIENT_FUNDS");
+    if (amount <= 0) continue;
+    writeTransfer(tx, {
+      fromId: child.id,
+      toId: parent.id,
+      fromBal: (child.data.balances || {})[c] || 0,
+      toBal: (parent.data.balances || {})[c] || 0,
+      currency: c,
+      amount,
+      description: "Child sweep",
+      metadata: {childSweep: true},
+    });
+    swept[c] = amount;
+  }
+  return swept;
+}
+
+exports.sweepChildAccount = onRequest(CORS, async (req, res) => {
+  if (req.method !== "POST") {
+    return res.status(405).json({error: "Use POST"});
+  }
+  const user = await verifyIdToken(req, res, "children");
+  if (!user) return;
+
+  const {childId, currency} = req.body || {};
+  await loadCurrencies();
+  const invalid = !childId ? "childId required" :
+    childMoveError(req.body, true);
+  if (invalid) return res.status(400).json({error: invalid});
+  const amount = req.body.amount === undefined ? undefined :
+    parseAmount(req.body.amount, currency).amount;
+
+  try {
+    let swept;
+    await db.runTransaction(async (tx) => {
+      const cSnap = await getOwnChild(tx, user.uid, childId);
+      const pSnap = await tx.get(db.doc(`accounts/${user.uid}`));
+      assertChildOpen(cSnap.data());
+      assertCanReceive(pSnap.data(), "ACCOUNT_INACTIVE");
+      swept = sweepChildFunds(
+          tx,
+          {id: user.uid, data: pSnap.data()},
+          {id: childId, data: cSnap.data()},
+          {currency, amount},
+      );
+    });
+    return res.json({childId, swept});
+  } catch (err) {
+    if (sendChildError(err, res)) return;
+    logger.error("Sweep child error", err);
+    return res.status(500).json({error: "Sweep failed"});
+  }
+});
+
+exports.setChildCaps = onRequest(CORS, async (req, res) => {
+  if (req.method !== "POST") {
+    return res.status(405).json({error: "Use POST"});
+  }
+  const user = await verifyIdToken(req, res, "children");
+  if (!user) return;
+
+  const {childId} = req.body || {};
+  if (!childId) {
+    return res.status(400).json({error: "childId required"});
+  }
+  await loadCurrencies();
+  const {policy, error} = parsePolicy(req.body);
+  if (error) return res.status(400).json({error});
+
+  try {
+    await db.runTransaction(async (tx) => {
+      await getOwnChild(tx, user.uid, childId);
+      tx.set(db.doc(`policies/${childId}`), {
+        ...policy,
+        accountId: childId,
+        locked: true,
+        updatedBy: user.uid,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+    return res.json({childId, caps: policy});
+  } catch (err) {
+    if (sendChildError(err, res)) return;
+    logger.error("Set child caps error", err);
+    return res.status(500).json({error: "Caps update failed"});
+  }
+});
+
+exports.revokeChildAccount = onRequest(CORS, async (req, res) => {
+  if (req.method !== "POST") {
+    return res.status(405).json({error: "Use POST"});
+  }
+  const user = await verifyIdToken(req, res, "children");
+  if (!user) return;
+
+  const {childId} = req.body || {};
+  if (!childId) {
+    return res.status(400).json({error: "childId required"});
+  }
+
+  try {
+    let swept;
+    await db.runTransaction(async (tx) => {
+      const cSnap = await getOwnChild(tx, user.uid, childId);
+      const pSnap = await tx.get(db.doc(`accounts/${user.uid}`));
+      const keys = await tx.get(db.collection("apiKeys")
+          .where("accountId", "==", childId));
+      const child = cSnap.data();
+      if (Object.values(child.held || {}).some((h) => h > 0)) {
+        throw new Error("CHILD_HAS_HOLDS");
+      }
+      assertChildOpen(child);
+      assertCanReceive(pSnap.data(), "ACCOUNT_INACTIVE");
+
+      swept = sweepChildFunds(
+          tx,
+          {id: user.uid, data: pSnap.data()},
+          {id: childId, data: child},
+      );
+      for (const k of keys.docs) {
+        if (!k.data().revokedAt) {
+          tx.update(k.ref, {
+            revokedAt:
+              admin.firestore.FieldValue.serverTimestamp(),
+          });
+        }
+      }
+      releaseChildSlot(tx, {id: user.uid, data: pSnap.data()});
+      tx.update(db.doc(`accounts/${childId}`), {
+        status: "closed",
+        statusReason: "Revoked by parent",
+        statusUpdatedAt:
+          admin.firestore.FieldValue.serverTimestamp(),
+      });
+      tx.create(db.collection("accountEvents").doc(), {
+        accountId: childId,
+        type: "status_change",
+        from: child.status || "active",
+        to: "closed",
+        reason: "Revoked by parent",
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+    return res.json({childId, status: "closed", swept});
+  } catch (err) {
+    if (sendChildError(err, res)) return;
+    logger.error("Revoke child error", err);
+    return res.status(500).json({error: "Revocation failed"});
+  }
+});
+
+/* ═════════════════ WITHDRAWALS ═════════════════ */
+
+// Funds leave the balance when the withdrawal is requested
+// (a "withdrawal" entry); rejecting returns them with a
+// "withdrawal_reversal" entry. Approve and settle only move
+// the withdrawals/{id} document along.
+const WITHDRAWAL_TRANSITIONS = {
+  approve: {from: ["pending"], to: "approved"},
+  reject: {from: ["pending", "approved"], to: "rejected"},
+  settle: {from: ["approved"], to: "settled"},
+};
+const WITHDRAWAL_STATUSES = [
+  "pending", "approved", "rejected", "settled",
+];
+
+/**
+ * Shape a withdrawal document for API responses.
+ * @param {object} d - Firestore document snapshot
+ * @return {object} Withdrawal
+ */
+function withdrawalView(d) {
+  const v = d.data();
+  return {
+    id: d.id,
+    accountId: v.accountId,
+    currency: v.currency,
+    amount: v.amount,
+    destination: v.destination,
+    status: v.status,
+    reason: v.reason || null,
+    externalReference: v.externalReference || null,
+    createdAt: toIso(v.createdAt),
+    updatedAt: toIso(v.updatedAt),
+  };
+}
+
+exports.requestWithdrawal = onRequest(CORS, async (req, res) => {
+  if (req.method !== "POST") {
+    return res.status(405).json({error: "Use POST"});
+  }
+  const user = await verifyIdToken(req, res, "transfer");
+  if (!user) return;
+
+  const body = req.body || {};
+  const {currency, destination} = body;
+  if (
+    body.amount === undefined ||
+    typeof destination !== "string" ||
+    !destination.trim() ||
+    destination.length > 256
+  ) {
+    return res.status(400).json({
+      error: "positive amount and destination " +
+        "(<= 256 chars) required",
+    });
+  }
+  await loadCurrencies();
+  const invalid = currencyError(currency);
+  if (invalid) return res.status(400).json(invalid);
+  const {amount, error} = parseAmount(body.amount, currency);
+  if (error) return res.status(400).json({error});
+
+  const idem = idempotencyFor(
+      req, res, "requestWithdrawal", user.uid);
+  if (!idem) return;
+
+  try {
+    const result = await db.runTransaction(async (tx) => {
+      const prior = await readIdempotent(tx, idem);
+      if (prior) return prior;
+
+      const ref = db.doc(`accounts/${user.uid}`);
+      const snap = await tx.get(ref);
+      if (!snap.exists) {
+        throw new Error("ACCOUNT_NOT_FOUND");
+      }
+      assertCanSend(snap.data());
+      const bucket = await enforcePolicy(
+          tx, user.uid, {currency, amount},
+      );
+      if (availableBalance(snap.data(), currency) < amount) {
+        throw new Error("INSUFFICIENT_FUNDS");
+      }
+
+      const cur = (snap.data().balances || {})[currency] || 0;
+      const wRef = db.collection("withdrawals").doc();
+      tx.update(ref, {[`balances.${currency}`]: cur - amount});
+      // Paid-out money leaves the bank: issuance shrinks
+      const journalId = writeJournal(tx, "withdrawal", [{
+        from: agentAccount(user.uid),
+        to: SYSTEM_ACCOUNTS.issuance,
+        currency,
+        amount,
+      }]);
+      tx.create(db.collection("transactions").doc(), {
+        accountId: user.uid,
+        type: "withdrawal",
+        currency,
+        amount,
+        balanceBefore: cur,
+        balanceAfter: cur - amount,
+        description: `${currency} withdrawal`,
+        metadata: {withdrawalId: wRef.id, destination},
+        journalId,
+        createdAt:
+          admin.firestore.FieldValue.serverTimestamp(),
+      });
+      tx.create(wRef, {
+        accountId: user.uid,
+        currency,
+        amount,
+        destination,
+        status: "pending",
+        // Rejecting gives the amount back to the daily limit
+        spendBucket: bucket,
+        createdAt:
+          admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt:
+          admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return saveIdempotent(tx, idem, {
+        status: 201,
+        body: {
+          id: wRef.id,
+          status: "pending",
+          currency,
+          amount,
+          destination,
+          balance: cur - amount,
+        },
+      });
+    });
+
+    return sendResult(res, result);
+  } catch (err) {
+    if (err.message === "IDEMPOTENCY_CONFLICT") {
+      return res.status(409).json({
+        error: "Idempotency-Key reused with a different request",
+        code: "idempotency_conflict",
+      });
+    }
+    if (err.message === "INSUFFICIENT_FUNDS") {
+      return res.status(402).json({
+        error: "Insufficient funds",
+        code: "insufficient_funds",
+      });
+    }
+    if (err.message === "ACCOUNT_NOT_FOUND") {
+      return res.status(404).json({
+        error: "Account not found",
+        code: "account_not_found",
+      });
+    }
+    if (sendStatusError(err, res)) return;
+    if (sendPolicyError(err, res)) return;
+    logger.error("Withdrawal request error", err);
+    return res.status(500).json({
+      error: "Withdrawal request failed",
+    });
+  }
+});
+
+exports.listWithdrawals = onRequest(
+    CORS, async (req, res) => {
+      let accountId = req.query.accountId;
+      if (!isAdmin(req)) {
+        const user = await verifyIdToken(req, res, "read");
+        if (!user) return;
+        accountId = user.uid;
+      }
+
+      const {status} = req.query;
+      if (
+        status !== undefined &&
+        !WITHDRAWAL_STATUSES.includes(status)
+      ) {
+        return res.status(400).json({
+          error: `status must be one of ${WITHDRAWAL_STATUSES}`,
+        });
+      }
+      const limit = Math.min(
+          parseInt(req.query.limit, 10) || 50, 100,
+      );
+      let q = db.collection("withdrawals");
+      if (accountId) q = q.where("accountId", "==", accountId);
+      if (status) q = q.where("status", "==", status);
+      const snaps = await q.orderBy("createdAt", "desc")
+          .limit(limit)
+          .get();
+      return res.json({withdrawals: snaps.docs.map(withdrawalView)});
+    },
+);
+
+/**
+ * Build an admin handler that moves a withdrawal along its
+ * lifecycle; rejecting also returns the funds.
+ * @param {string} action - Key of WITHDRAWAL_TRANSITIONS
+ * @return {Function} Request handler
+ */
+function withdrawalHandler(action) {
+  const {from, to} = WITHDRAWAL_TRANSITIONS[action];
+  return async (req, res) => {
+    if (req.method !== "POST") {
+      return res.status(405).json({error: "Use POST"});
+    }
+    if (!isAdmin(req)) {
+      return res.status(403).json({error: "Forbidden"});
+    }
+    const {withdrawalId, reason, externalReference} =
+      req.body || {};
+    if (
+      !withdrawalId ||
+      (reason !== undefined &&
+        (typeof reason !== "string" || reason.length > 500)) ||
+      (externalReference !== undefined &&
+        (typeof externalReference !== "string" ||
+          externalReference.length > 256))
+    ) {
+      return res.status(400).json({
+        error: "withdrawalId required; reason <= 500 chars, " +
+          "externalReference <= 256 chars",
+      });
+    }
+    if (action === "reject" && !(reason || "").trim()) {
+      return res.status(400).json({
+        error: "reason required to reject a withdrawal",
+      });
+    }
+
+    try {
+      const view = await db.runTransaction(async (tx) => {
+        const wRef = db.doc(`withdrawals/${withdrawalId}`);
+        const wSnap = await tx.get(wRef);
+        if (!wSnap.exists) {
+          throw new Error("WITHDRAWAL_NOT_FOUND");
+        }
+        const w = wSnap.data();
+        if (!from.includes(w.status)) {
+          throw new Error("BAD_TRANSITION");
+        }
+        const aRef = db.doc(`accounts/${w.accountId}`);
+        const aSnap = to === "rejected" ?
+          await tx.get(aRef) : null;
+
+        const update = {
+          status: to,
+          updatedAt:
+            admin.firestore.FieldValue.serverTimestamp(),
+        };
+        if (reason) update.reason = reason;
+        if (externalReference) {
+          update.externalReference = externalReference;
+        }
+        if (aSnap) {
+          // Funds go back even to a frozen or closed account;
+          // they were never paid out
+          const cur =
+            ((aSnap.data() || {}).balances || {})[w.currency] || 0;
+          tx.update(aRef, {
+            [`balances.${w.currency}`]: cur + w.amount,
+          });
+          refundSpend(tx, {ref: aRef, data: aSnap.data() || {}},
+              w.spendBucket, w.currency, w.amount);
+          const journalId = writeJournal(
+              tx, "withdrawal_reversal", [{
+                from: SYSTEM_ACCOUNTS.issuance,
+                to: agentAccount(w.accountId),
+                currency: w.currency,
+                amount: w.amount,
+              }]);
+          tx.create(db.collection("transactions").doc(), {
+            accountId: w.accountId,
+            type: "withdrawal_reversal",
+            currency: w.currency,
+            amount: w.amount,
+            balanceBefore: cur,
+            balanceAfter: cur + w.amount,
+            description: `${w.currency} withdrawal rejected`,
+            metadata: {withdrawalId, reason},
+            journalId,
+            createdAt:
+              admin.firestore.FieldValue.serverTimestamp(),
+          });
+        }
+        tx.update(wRef, update);
+        return {...w, ...update};
+      });
+      return res.json({
+        id: withdrawalId,
+        accountId: view.accountId,
+        currency: view.currency,
+        amount: view.amount,
+        status: to,
+        reason: view.reason || null,
+        externalReference: view.externalReference || null,
+      });
+    } catch (err) {
+      if (err.message === "WITHDRAWAL_NOT_FOUND") {
+        return res.status(404).json({
+          error: "Withdrawal not found",
+          code: "withdrawal_not_found",
+        });
+      }
+      if (err.message === "BAD_TRANSITION") {
+        return res.status(409).json({
+          error: `Only ${from.join("/")} withdrawals can be ` +
+            `moved to ${to}`,
+          code: "invalid_state",
+        });
+      }
+      logger.error(`Withdrawal ${action} error`, err);
+      return res.status(500).json({
+        error: `Withdrawal ${action} failed`,
+      });
+    }
+  };
+}
+
+exports.approveWithdrawal =
+  onRequest(CORS, withdrawalHandler("approve"));
+exports.rejectWithdrawal =
+  onRequest(CORS, withdrawalHandler("reject"));
+exports.settleWithdrawal =
+  onRequest(CORS, withdrawalHandler("settle"));
+
+/* ═════════════════ WEBHOOKS ═════════════════ */
+
+const WEBHOOK_EVENTS = [...LEDGER_TYPES, "low_balance"];
+const MAX_WEBHOOKS = 10;
+const WEBHOOK_TIMEOUT = 10_000;
+const WEBHOOK_MAX_ATTEMPTS = 8;
+const WEBHOOK_BACKOFF_BASE = 30_000;
+const WEBHOOK_RETRY_BATCH = 100;
+// gRPC status Firestore gives create() on an existing doc
+const ALREADY_EXISTS = 6;
+
+/**
+ * Sign a webhook body. Receivers recompute
+ * HMAC-SHA256(secret, `${t}.${body}`) and compare it with
+ * v1 from the X-Often-Signature header (`t=…,v1=…`).
+ * @param {string} secret - Webhook signing secret
+ * @param {number} timestamp - Unix seconds
+ * @param {string} body - Raw JSON body
+ * @return {string} Signature header value
+ */
+function signWebhook(secret, timestamp, body) {
+  const mac = crypto.createHmac("sha256", secret)
+      .update(`${timestamp}.${body}`)
+      .digest("hex");
+  return `t=${timestamp},v1=${mac}`;
+}
+
+/**
+ * Delay before the next attempt, doubling each time.
+ * @param {number} attempts - Attempts made so far
+ * @return {number} Milliseconds
+ */
+function webhookBackoff(attempts) {
+  return WEBHOOK_BACKOFF_BASE * 2 ** (attempts - 1);
+}
+
+// Deliveries leave from inside the project's network, so
+// targets must not reach loopback, private, link-local
+// (the metadata server) or other non-public addresses
+const WEBHOOK_BLOCKED_HOSTS =
+  /^(localhost|metadata|metadata\.google\.internal)$|\.localhost$/;
+const WEBHOOK_BLOCKED_NETS = new net.BlockList();
+for (const [net4, bits] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10],
+  ["127.0.0.0", 8], ["169.254.0.0", 16], ["172.16.0.0", 12],
+  ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15],
+  ["224.0.0.0", 4], ["240.0.0.0", 4],
+]) {
+  WEBHOOK_BLOCKED_NETS.addSubnet(net4, bits, "ipv4");
+}
+for (const [net6, bits] of [
+  ["::", 127], ["64:ff9b::", 96], ["fc00::", 7],
+  ["fe80::", 10], ["ff00::", 8],
+]) {
+  WEBHOOK_BLOCKED_NETS.addSubnet(net6, bits, "ipv6");
+}
+
+/**
+ * Whether an IP address is one webhooks may not target.
+ * IPv4-mapped IPv6 addresses are checked as IPv4.
+ * @param {string} ip - IPv4 or IPv6 address
+ * @return {boolean} True if blocked
+ */
+function isBlockedAddress(ip) {
+  const family = net.isIP(ip);
+  if (!family) return true;
+  return WEBHOOK_BLOCKED_NETS.check(ip, family === 4 ? "ipv4" : "ipv6");
+}
+
+/**
+ * Validate a webhook target URL. Plain http is only
+ * allowed in the emulator; elsewhere local hostnames and
+ * non-public IP literals are refused.
+ * @param {*} v - Value from the request body
+ * @return {boolean} True if acceptable
+ */
+function isValidWebhookUrl(v) {
+  if (typeof v !== "string" || v.length > 2048) return false;
+  let u;
+  try {
+    u = new URL(v);
+  } catch {
+    return false;
+  }
+  if (process.env.FUNCTIONS_EMULATOR === "true") {
+    return ["https:", "http:"].includes(u.protocol);
+  }
+  const host = u.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  return u.protocol === "https:" &&
+    !WEBHOOK_BLOCKED_HOSTS.test(host) &&
+    !(net.isIP(host) && isBlockedAddress(host));
+}
+
+/**
+ * Resolve a webhook URL's host and check every address.
+ * Run at registration and again before each delivery, as
+ * DNS can change in between. Unresolvable hosts fail.
+ * @param {string} url - Webhook target URL
+ * @return {boolean} True if every address is public
+ */
+async function webhookHostAllowed(url) {
+  if (!isValidWebhookUrl(url)) return false;
+  if (process.env.FUNCTIONS_EMULATOR === "true") return true;
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  try {
+    const addrs = await dns.lookup(host, {all: true, verbatim: true});
+    return addrs.length > 0 &&
+      !addrs.some((a) => isBlockedAddress(a.address));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Convert a Firestore Timestamp to an ISO string.
+ * @param {object} ts - Timestamp or null
+ * @return {string|null} ISO-8601 string
+ */
+function toIso(ts) {
+  return ts && ts.toDate ? ts.toDate().toISOString() : null;
+}
+
+/**
+ * Events a ledger entry produces: its own type, plus
+ * low_balance per webhook when it crosses the threshold.
+ * @param {object} t - transactions/{id} document data
+ * @param {object} hook - webhooks/{id} document data
+ * @return {string[]} Matching subscribed events
+ */
+function webhookEventsFor(t, hook) {
+  const events = [];
+  if (hook.events.includes(t.type)) events.push(t.type);
+  const threshold = (hook.lowBalanceThresholds || {})[t.currency];
+  if (
+    hook.events.includes("low_balance") &&
+    threshold !== undefined &&
+    t.balanceBefore >= threshold &&
+    t.balanceAfter < threshold
+  ) {
+    events.push("low_balance");
+  }
+  return events;
+}
+
+/**
+ * Attempt one delivery, then record the outcome: delivered,
+ * rescheduled with backoff, or failed (dead-lettered).
+ * @param {string} deliveryId - webhookDeliveries/{id}
+ * @return {string} Resulting delivery status
+ */
+async function attemptDelivery(deliveryId) {
+  const ref = db.doc(`webhookDeliveries/${deliveryId}`);
+  const snap = await ref.get();
+  const d = snap.data();
+  if (!snap.exists || d.status !== "pending") return d?.status;
+
+  const hook = await db.doc(`webhooks/${d.webhookId}`).get();
+  const attempts = (d.attempts || 0) + 1;
+  const entry = {at: new Date().toISOString()};
+  let ok = false;
+  if (!hook.exists) {
+    entry.error = "Webhook deleted";
+  } else if (!(await webhookHostAllowed(hook.data().url))) {
+    entry.error = "Host resolves to a blocked address";
+  } else {
+    const body = JSON.stringify(d.payload);
+    try {
+      const r = await fetch(hook.data().url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Often-Event": d.event,
+          "X-Often-Delivery": deliveryId,
+          "X-Often-Signature": signWebhook(
+              hook.data().secret, Math.floor(Date.now() / 1000), body,
+          ),
+        },
+        body,
+        // A redirect could point anywhere; it counts as a failure
+        redirect: "manual",
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT),
+      });
+      entry.statusCode = r.status;
+      ok = r.ok;
+    } catch (err) {
+      entry.error = err.message;
+    }
+  }
+
+  const dead = !hook.exists || attempts >= WEBHOOK_MAX_ATTEMPTS;
+  const status = ok ? "delivered" : dead ? "failed" : "pending";
+  await ref.update({
+    status,
+    attempts,
+    attemptLog: admin.firestore.FieldValue.arrayUnion(entry),
+    nextAttemptAt: status === "pending" ?
+      admin.firestore.Timestamp.fromMillis(
+          Date.now() + webhookBackoff(attempts)) :
+      null,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return status;
+}
+
+exports.createWebhook = onRequest(CORS, async (req, res) => {
+  if (req.method !== "POST") {
+    return res.status(405).json({error: "Use POST"});
+  }
+  const user = await verifyIdToken(req, res, "read");
+  // A subscription pushes every ledger event off-platform,
+  // so only the account holder's session may change one
+  if (!user || !requireSession(user, res, "webhooks")) return;
+
+  const {url, events, lowBalanceThresholds} = req.body || {};
+  if (!isValidWebhookUrl(url)) {
+    return res.status(400).json({
+      error: "https url to a public host required",
+    });
+  }
+  if (
+    !Array.isArray(events) || !events.length ||
+    !events.every((e) => WEBHOOK_EVENTS.includes(e))
+  ) {
+    return res.status(400).json({
+      error: `events required. Use: ${WEBHOOK_EVENTS}`,
+    });
+  }
+  await loadCurrencies();
+  if (!isValidLimitMap(lowBalanceThresholds)) {
+    return res.status(400).json({
+      error: "lowBalanceThresholds must map " +
+        `${currencyCodes()} to positive integers`,
+    });
+  }
+  if (!(await webhookHostAllowed(url))) {
+    return res.status(400).json({
+      error: "url must resolve to public addresses only",
+    });
+  }
+
+  try {
+    const existing = await db.collection("webhooks")
+        .where("accountId", "==", user.uid)
+        .get();
+    if (existing.size >= MAX_WEBHOOKS) {
+      return res.status(409).json({
+        error: `At most ${MAX_WEBHOOKS} webhooks per account`,
+        code: "limit_exceeded",
+      });
+    }
+    const ref = db.collection("webhooks").doc();
+    const secret = "whsec_" + crypto.randomBytes(24).toString("hex");
+    const hook = {
+      accountId: user.uid,
+      url,
+      events: [...new Set(events)],
+      lowBalanceThresholds: lowBalanceThresholds || {},
+    };
+    await ref.create({
+      ...hook,
+      secret,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return res.status(201).json({id: ref.id, ...hook, secret});
+  } catch (err) {
+    logger.error("Create webhook error", err);
+    return res.status(500).json({
+      error: "Webhook creation failed",
+    });
+  }
+});
+
+exports.listWebhooks = onRequest(CORS, async (req, res) => {
+  const user = await verifyIdToken(req, res, "read");
+  if (!user) return;
+
+  const snaps = await db.collection("webhooks")
+      .where("accountId", "==", user.uid)
+      .get();
+  const webhooks = snaps.docs.map((d) => {
+    const w = d.data();
+    return {
+      id: d.id,
+      url: w.url,
+      events: w.events,
+      lowBalanceThresholds: w.lowBalanceThresholds,
+      createdAt: w.createdAt,
+    };
+  });
+  return res.json({webhooks});
+});
+
+exports.deleteWebhook = onRequest(CORS, async (req, res) => {
+  if (req.method !== "POST") {
+    return res.status(405).json({error: "Use POST"});
+  }
+  const user = await verifyIdToken(req, res, "read");
+  if (!user || !requireSession(user, res, "webhooks")) return;
+
+  const {id} = req.body || {};
+  if (!id || typeof id !== "string") {
+    return res.status(400).json({error: "id required"});
+  }
+  const ref = db.doc(`webhooks/${id}`);
+  const snap = await ref.get();
+  if (!snap.exists || snap.data().accountId !== user.uid) {
+    return res.status(404).json({
+      error: "Webhook not found",
+      code: "webhook_not_found",
+    });
+  }
+  await ref.delete();
+  return res.json({id, deleted: true});
+});
+
+exports.listWebhookDeliveries = onRequest(
+    CORS, async (req, res) => {
+      const user = await verifyIdToken(req, res, "read");
+      if (!user) return;
+
+      const {status, webhookId} = req.query;
+      if (
+        status !== undefined &&
+        !["pending", "delivered", "failed"].includes(status)
+      ) {
+        return res.status(400).json({
+          error: "status must be pending, delivered or failed",
+        });
+      }
+      const limit = Math.min(
+          parseInt(req.query.limit, 10) || 50, 100,
+      );
+      let q = db.collection("webhookDeliveries")
+          .where("accountId", "==", user.uid);
+      if (status) q = q.where("status", "==", status);
+      if (webhookId) q = q.where("webhookId", "==", webhookId);
+      const snaps = await q.orderBy("createdAt", "desc")
+          .limit(limit)
+          .get();
+      const deliveries = snaps.docs.map((d) => {
+        const v = d.data();
+        return {
+          id: d.id,
+          webhookId: v.webhookId,
+          event: v.event,
+          status: v.status,
+          attempts: v.attempts,
+          attemptLog: v.attemptLog,
+          nextAttemptAt: toIso(v.nextAttemptAt),
+          payload: v.payload,
+          createdAt: toIso(v.createdAt),
+        };
+      });
+      return res.json({deliveries});
+    },
+);
+
+exports.onLedgerEntry = onDocumentCreated(
+    "transactions/{txId}", async (event) => {
+      const t = event.data.data();
+      const hooks = await db.collection("webhooks")
+          .where("accountId", "==", t.accountId)
+          .get();
+      const data = {
+        transactionId: event.params.txId,
+        ...t,
+        createdAt: toIso(t.createdAt),
+      };
+
+      // Triggers fire at least once: a delivery is keyed on its
+      // webhook, entry and event, so a retried trigger adds none
+      const ids = [];
+      for (const h of hooks.docs) {
+        for (const ev of webhookEventsFor(t, h.data())) {
+          const ref = db.doc(
+              `webhookDeliveries/${h.id}_${event.params.txId}_${ev}`,
+          );
+          const created = await ref.create({
+            webhookId: h.id,
+            accountId: t.accountId,
+            event: ev,
+            payload: {
+              id: ref.id,
+              event: ev,
+              createdAt: new Date().toISOString(),
+              data,
+            },
+            status: "pending",
+            attempts: 0,
+            attemptLog: [],
+            nextAttemptAt: admin.firestore.Timestamp.now(),
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          }).then(() => true, (err) => {
+            if (err.code === ALREADY_EXISTS) return false;
+            throw err;
+          });
+          if (created) ids.push(ref.id);
+        }
+      }
+      await Promise.all(ids.map((id) => attemptDelivery(id)));
+    },
+);
+
+exports.retryWebhookDeliveries = onSchedule(
+    "every 1 minutes", async () => {
+      const snaps = await db.collection("webhookDeliveries")
+          .where("status", "==", "pending")
+          .where("nextAttemptAt", "<=",
+              admin.firestore.Timestamp.now())
+          .limit(WEBHOOK_RETRY_BATCH)
+          .get();
+      for (const d of snaps.docs) {
+        try {
+          await attemptDelivery(d.id);
+        } catch (err) {
+          logger.error("Webhook retry error", d.id, err);
+        }
+      }
+    },
+);
+
+/* ═════════════════ RECONCILIATION (admin) ═════════════════ */
+
+const LEDGER_CREDIT_TYPES = [
+  "deposit", "transfer_in", "refund_in", "reversal_in",
+  "withdrawal_reversal",
+];
+// Each *_out entry must have exactly one matching *_in
+const PAIRED_KINDS = ["transfer", "refund", "reversal"];
+const RECONCILE_MAX_ISSUES = 500;
+const RECONCILE_PAGE = 200;
+
+/**
+ * Balance movements a ledger entry makes, one per currency
+ * it touches. Conversions also credit their target currency.
+ * @param {string} id - Transaction ID
+ * @param {object} t - Ledger entry
+ * @return {object[]} {id, currency, before, after, delta, at}
+ */
+function ledgerSteps(id, t) {
+  const at = t.createdAt && t.createdAt.toMillis ?
+    t.createdAt.toMillis() : 0;
+  const sign = LEDGER_CREDIT_TYPES.includes(t.type) ? 1 : -1;
+  const steps = [{
+    id, at,
+    currency: t.currency,
+    before: t.balanceBefore,
+    after: t.balanceAfter,
+    delta: sign * t.amount,
+  }];
+  const m = t.metadata || {};
+  if (t.type === "conversion" && m.toCurrency) {
+    steps.push({
+      id, at,
+      currency: m.toCurrency,
+      before: m.toBalanceBefore ?? null,
+      after: m.toBalanceAfter ?? null,
+      delta: m.toAmount,
+    });
+  }
+  return steps;
+}
+
+/**
+ * Replay one account's ledger per currency and compare the
+ * result with the stored balances. Entries written in one
+ * transaction share a timestamp, so ties are ordered by
+ * following the balanceBefore chain.
+ * @param {string} accountId - Account ID
+ * @param {object} account - accounts/{uid} document data
+ * @param {object[]} entries - [{id, data}] ledger entries
+ * @return {object[]} Issues found
+ */
+function replayAccount(accountId, account, entries) {
+  const byCurrency = {};
+  for (const {id, data} of entries) {
+    for (const step of ledgerSteps(id, data)) {
+      (byCurrency[step.currency] ||= []).push(step);
+    }
+  }
+  const balances = account.balances || {};
+  const currencies = new Set([
+    ...Object.keys(byCurrency),
+    ...Object.keys(balances).filter((c) => balances[c]),
+  ]);
+
+  const issues = [];
+  for (const currency of currencies) {
+    const pending = (byCurrency[currency] || [])
+        .sort((a, b) => a.at - b.at);
+    let running = 0;
+    while (pending.length) {
+      const tied = pending.filter((x) => x.at === pending[0].at);
+      const step = tied.find((x) => x.before === running) ||
+        tied[0];
+      pending.splice(pending.indexOf(step), 1);
+
+      if (step.before !== null && step.before !== running) {
+        issues.push({
+          type: "chain_break", accountId, currency,
+          transactionId: step.id,
+          expected: running, actual: step.before,
+        });
+      }
+      if (step.before !== null &&
+        step.after - step.before !== step.delta) {
+        issues.push({
+          type: "amount_mismatch", accountId, currency,
+          transactionId: step.id,
+          expected: step.delta, actual: step.after - step.before,
+        });
+      }
+      running = step.after ?? running + step.delta;
+    }
+    const stored = balances[currency] || 0;
+    if (stored !== running) {
+      issues.push({
+        type: "balance_drift", accountId, currency,
+        expected: running, actual: stored,
+      });
+    }
+  }
+  return issues;
+}
+
+/**
+ * Pair every *_out entry with its *_in counterpart.
+ * @param {object[]} entries - [{id, data}] ledger entries
+ * @param {string} [only] - Limit to pairs involving this
+ *   account (entries must include both sides)
+ * @return {object[]} unmatched_transfer issues
+ */
+function unmatchedTransfers(entries, only) {
+  const open = new Map();
+  for (const {id, data: t} of entries) {
+    const [kind, side] = String(t.type).split(/_(?=in$|out$)/);
+    if (!PAIRED_KINDS.includes(kind)) continue;
+    const other = (t.metadata || {}).counterparty;
+    const [from, to] = side === "out" ?
+      [t.accountId, other] : [other, t.accountId];
+    if (only && from !== only && to !== only) continue;
+    const key = [kind, from, to, t.currency, t.amount].join("|");
+    const list = open.get(key) || [];
+    const match = list.findIndex((x) => x.side !== side);
+    if (match >= 0) {
+      list.splice(match, 1);
+    } else {
+      list.push({id, side, accountId: t.accountId});
+    }
+    open.set(key, list);
+  }
+  const issues = [];
+  for (const [key, list] of open) {
+    const [kind, from, to, currency, amount] = key.split("|");
+    for (const x of list) {
+      issues.push({
+        type: "unmatched_transfer", accountId: x.accountId,
+        currency, transactionId: x.id,
+        missing: `${kind}_${x.side === "out" ? "in" : "out"}`,
+        from, to, amount: Number(amount),
+      });
+    }
+  }
+  return issues;
+}
+
+/**
+ * Call `fn` with each page of a query, following a cursor so
+ * no more than one page is held in memory. Without an orderBy
+ * Firestore orders by document ID, which the cursor follows.
+ * @param {object} query - Firestore query
+ * @param {function(object[]): Promise<void>|void} fn - Page handler
+ */
+async function eachPage(query, fn) {
+  let last = null;
+  for (;;) {
+    let q = query.limit(RECONCILE_PAGE);
+    if (last) q = q.startAfter(last);
+    const snaps = await q.get();
+    await fn(snaps.docs);
+    if (snaps.docs.length < RECONCILE_PAGE) break;
+    last = snaps.docs[snaps.docs.length - 1];
+  }
+}
+
+/**
+ * Replay one account and pair its transfers with the entries
+ * other accounts wrote against it.
+ * @param {object} acct - accounts/{uid} snapshot
+ * @param {Set<string>} [reported] - Unmatched entry IDs already
+ *   reported from the other side; updated in place
+ * @return {Promise<object>} {issues, entriesChecked}
+ */
+async function reconcileAccount(acct, reported) {
+  const entries = (await db.collection("transactions")
+      .where("accountId", "==", acct.id)
+      .get()).docs.map((d) => ({id: d.id, data: d.data()}));
+  // Counterpart entries live on the other accounts
+  const other = await db.collection("transactions")
+      .where("metadata.counterparty", "==", acct.id)
+      .get();
+  const paired = [
+    ...entries,
+    ...other.docs.map((d) => ({id: d.id, data: d.data()})),
+  ];
+  const unmatched = unmatchedTransfers(paired, acct.id)
+      .filter((i) => !reported || !reported.has(i.transactionId));
+  if (reported) unmatched.forEach((i) => reported.add(i.transactionId));
+  return {
+    issues: [...replayAccount(acct.id, acct.data(), entries), ...unmatched],
+    entriesChecked: entries.length,
+  };
+}
+
+/**
+ * Check the journal against itself and the books as a whole:
+ * every entry balances per currency, each system account holds
+ * the net of its journal lines, and agent plus system balances
+ * sum to zero per currency.
+ * @param {object} agentTotals - Currency to summed agent balances
+ * @return {Promise<object[]>} Issues found
+ */
+async function reconcileBooks(agentTotals) {
+  const issues = [];
+  const net = {};
+  await eachPage(db.collection("journal"), (docs) => {
+    for (const d of docs) {
+      const {lines = [], totals = {}} = d.data();
+      const sums = {};
+      for (const l of lines) {
+        const s = sums[l.currency] ||= {debit: 0, credit: 0};
+        s.debit += l.debit;
+        s.credit += l.credit;
+        if (l.account.startsWith("systemAccounts/")) {
+          const n = net[l.account] ||= {};
+          n[l.currency] = (n[l.currency] || 0) + l.credit - l.debit;
+        }
+      }
+      const currencies = new Set([
+        ...Object.keys(sums), ...Object.keys(totals),
+      ]);
+      for (const currency of currencies) {
+        const {debit = 0, credit = 0} = sums[currency] || {};
+        if (debit !== credit || debit !== (totals[currency] || 0)) {
+          issues.push({
+            type: "journal_unbalanced", journalId: d.id, currency,
+            expected: debit, actual: credit,
+          });
+        }
+      }
+    }
+  });
+
+  const books = {...agentTotals};
+  const system = await db.collection("systemAccounts").get();
+  const paths = new Set([
+    ...Object.keys(net),
+    ...system.docs.map((d) => `systemAccounts/${d.id}`),
+  ]);
+  for (const path of paths) {
+    const doc = system.docs.find((d) => `systemAccounts/${d.id}` === path);
+    const balances = (doc && doc.data().balances) || {};
+    const expected = net[path] || {};
+    const currencies = new Set([
+      ...Object.keys(expected), ...Object.keys(balances),
+    ]);
+    for (const currency of currencies) {
+      const stored = balances[currency] || 0;
+      books[currency] = (books[currency] || 0) + stored;
+      if (stored !== (expected[currency] || 0)) {
+        issues.push({
+          type: "system_balance_drift", accountId: path, currency,
+          expected: expected[currency] || 0, actual: stored,
+        });
+      }
+    }
+  }
+  for (const [currency, total] of Object.entries(books)) {
+    if (total) {
+      issues.push({
+        type: "books_unbalanced", currency, expected: 0, actual: total,
+      });
+    }
+  }
+  return issues;
+}
+
+/**
+ * Reconcile one account, or every account, and store the
+ * result in reconciliationReports. Full runs page through
+ * accounts and the journal rather than loading the ledger.
+ * @param {string|null} accountId - Account, or null for all
+ * @param {string} trigger - "manual" or "scheduled"
+ * @return {object} Stored report with its id
+ */
+async function runReconciliation(accountId, trigger) {
+  const issues = [];
+  let issueCount = 0;
+  const record = (found) => {
+    issueCount += found.length;
+    issues.push(...found.slice(0, RECONCILE_MAX_ISSUES - issues.length));
+  };
+
+  let accountsChecked = 0;
+  let entriesChecked = 0;
+  if (accountId) {
+    const acct = await db.doc(`accounts/${accountId}`).get();
+    if (!acct.exists) throw new Error("ACCOUNT_NOT_FOUND");
+    const result = await reconcileAccount(acct);
+    record(result.issues);
+    accountsChecked = 1;
+    entriesChecked = result.entriesChecked;
+  } else {
+    const reported = new Set();
+    const agentTotals = {};
+    await eachPage(db.collection("accounts"), async (docs) => {
+      for (const acct of docs) {
+        const result = await reconcileAccount(acct, reported);
+        record(result.issues);
+        accountsChecked++;
+        entriesChecked += result.entriesChecked;
+        const balances = acct.data().balances || {};
+        for (const [currency, amount] of Object.entries(balances)) {
+          agentTotals[currency] = (agentTotals[currency] || 0) + amount;
+        }
+      }
+    });
+    record(await reconcileBooks(agentTotals));
+  }
+
+  const report = {
+    scope: accountId || "all",
+    trigger,
+    status: issueCount ? "drift" : "clean",
+    accountsChecked,
+    entriesChecked,
+    issueCount,
+    issues,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+  const ref = db.collection("reconciliationReports").doc();
+  await ref.create(report);
+  if (issueCount) {
+    logger.warn("Ledger drift", ref.id, issueCount);
+  }
+  return {id: ref.id, ...report, createdAt: new Date().toISOString()};
+}
+
+exports.reconcile = onRequest(CORS, async (req, res) => {
+  if (req.method !== "POST") {
+    return res.status(405).json({error: "Use POST"});
+  }
+  if (!isAdmin(req)) {
+    return res.status(403).json({error: "Forbidden"});
+  }
+  const {accountId} = req.body || {};
+  if (accountId !== undefined &&
+    (typeof accountId !== "string" || !accountId)) {
+    return res.status(400).json({
+      error: "accountId must be an account ID",
+    });
+  }
+
+  try {
+    const report = await runReconciliation(
+        accountId || null, "manual");
+    return res.json(report);
+  } catch (err) {
+    if (err.message === "ACCOUNT_NOT_FOUND") {
+      return res.status(404).json({
+        error: "Account not found",
+        code: "account_not_found",
+      });
+    }
+    logger.error("Reconciliation error", err);
+    return res.status(500).json({error: "Reconciliation failed"});
+  }
+});
+
+exports.listReconciliationReports = onRequest(
+    CORS, async (req, res) => {
+      if (!isAdmin(req)) {
+        return res.status(403).json({error: "Forbidden"});
+      }
+      const {id, status, scope} = req.query;
+      if (id) {
+        const snap = await db.doc(`reconciliationReports/${id}`).get();
+        if (!snap.exists) {
+          return res.status(404).json({
+            error: "Report not found",
+            code: "report_not_found",
+          });
+        }
+        const v = snap.data();
+        return res.json({
+          id, ...v, createdAt: toIso(v.createdAt),
+        });
+      }
+      if (status !== undefined && !["clean", "drift"].includes(status)) {
+        return res.status(400).json({
+          error: "status must be clean or drift",
+        });
+      }
+      const limit = Math.min(
+          parseInt(req.query.limit, 10) || 20, 100,
+      );
+      let q = db.collection("reconciliationReports");
+      if (status) q = q.where("status", "==", status);
+      if (scope) q = q.where("scope", "==", scope);
+      const snaps = await q.orderBy("createdAt", "desc")
+          .limit(limit)
+          .get();
+      // Issue lists can be long; fetch one report by id for them
+      const reports = snaps.docs.map((d) => {
+        const v = d.data();
+        return {
+          id: d.id,
+          scope: v.scope,
+          trigger: v.trigger,
+          status: v.status,
+          accountsChecked: v.accountsChecked,
+          entriesChecked: v.entriesChecked,
+          issueCount: v.issueCount,
+          createdAt: toIso(v.createdAt),
+        };
+      });
+      return res.json({reports});
+    },
+);
+
+// A full run reads the whole ledger a page at a time; give it
+// the longest timeout a scheduled function allows
+exports.scheduledReconciliation = onSchedule(
+    {schedule: "every 24 hours", timeoutSeconds: 540}, async () => {
+      const report = await runReconciliation(null, "scheduled");
+      logger.info("Ledger reconciliation", report.id, report.status);
+    },
+);
+
+/* ═════════════════ REST API v1 ═════════════════ */
+
+// One versioned router over the handlers above, which stay
+// exported under their old names. Path parameters are merged
+// into the body (POST) or query (GET) the handler already
+// reads, and errors come back as
+// {error: {code, message[, field]}} with a stable code.
+const API_ROUTES = [
+  ["POST", "/v1/auth/signup", "signup",
+    {email: "string", password: "string"}],
+  ["POST", "/v1/auth/login", "login",
+    {email: "string", password: "string"}],
+  ["POST", "/v1/auth/refresh", "refresh", {refreshToken: "string"}],
+  ["GET", "/v1/api-keys", "listApiKeys"],
+  ["POST", "/v1/api-keys", "createApiKey",
+    {name: "string?", scopes: "array?"}],
+  ["POST", "/v1/api-keys/:id/revoke", "revokeApiKey"],
+
+  ["GET", "/v1/accounts/me", "getAccount"],
+  ["GET", "/v1/accounts/me/transactions", "getTransactions"],
+  ["GET", "/v1/accounts/me/statement", "getStatement",
+    {currency: "string"}],
+  ["GET", "/v1/accounts/me/policy", "getSpendingPolicy"],
+  ["POST", "/v1/accounts/me/policy", "setSpendingPolicy"],
+  ["GET", "/v1/accounts/:accountId/statement", "getStatement",
+    {currency: "string"}],
+  ["GET", "/v1/accounts/:accountId/policy", "getSpendingPolicy"],
+  ["POST", "/v1/accounts/:accountId/policy", "setSpendingPolicy"],
+  ["POST", "/v1/accounts/:accountId/freeze", "freezeAccount",
+    {reason: "string"}],
+  ["POST", "/v1/accounts/:accountId/unfreeze", "unfreezeAccount",
+    {reason: "string"}],
+  ["POST", "/v1/accounts/:accountId/close", "closeAccount",
+    {reason: "string"}],
+  ["POST", "/v1/deposits", "deposit",
+    {accountId: "id", amount: "amount", currency: "string"}],
+
+  ["POST", "/v1/transfers", "transfer",
+    {toAccountId: "id", amount: "amount", currency: "string",
+      description: "string?"}],
+  ["POST", "/v1/transfers/batch", "batchTransfer",
+    {transfers: "array", description: "string?"}],
+  ["POST", "/v1/transfers/:transactionId/refund", "refundTransfer",
+    {amount: "amount?", reason: "string?"}],
+  ["POST", "/v1/transfers/:transactionId/reverse", "reverseTransfer",
+    {reason: "string"}],
+
+  ["POST", "/v1/conversions", "convert",
+    {from: "string?", to: "string?", amount: "amount?",
+      quoteId: "id?", minReceive: "amount?"}],
+  ["POST", "/v1/conversions/quotes", "quoteConversion",
+    {from: "string", to: "string", amount: "amount"}],
+  ["GET", "/v1/conversions/orders", "listConversionOrders"],
+  ["POST", "/v1/conversions/orders", "placeConversionOrder",
+    {from: "string", to: "string", amount: "amount",
+      type: "string", targetRate: "number", allowPartial: "boolean?"}],
+  ["POST", "/v1/conversions/orders/:orderId/cancel",
+    "cancelConversionOrder"],
+
+  ["POST", "/v1/holds", "createHold",
+    {amount: "amount", currency: "string", toAccountId: "id?"}],
+  ["POST", "/v1/holds/:holdId/capture", "captureHold",
+    {amount: "amount?", toAccountId: "id?"}],
+  ["POST", "/v1/holds/:holdId/void", "voidHold"],
+
+  ["GET", "/v1/children", "listChildAccounts"],
+  ["POST", "/v1/children", "createChildAccount",
+    {name: "string?", scopes: "array?", caps: "object?"}],
+  ["POST", "/v1/children/:childId/fund", "fundChildAccount",
+    {amount: "amount", currency: "string"}],
+  ["POST", "/v1/children/:childId/sweep", "sweepChildAccount",
+    {amount: "amount?", currency: "string?"}],
+  ["POST", "/v1/children/:childId/caps", "setChildCaps"],
+  ["POST", "/v1/children/:childId/revoke", "revokeChildAccount"],
+
+  ["GET", "/v1/withdrawals", "listWithdrawals"],
+  ["POST", "/v1/withdrawals", "requestWithdrawal",
+    {amount: "amount", currency: "string", destination: "string"}],
+  ["POST", "/v1/withdrawals/:withdrawalId/approve",
+    "approveWithdrawal"],
+  ["POST", "/v1/withdrawals/:withdrawalId/reject", "rejectWithdrawal",
+    {reason: "string"}],
+  ["POST", "/v1/withdrawals/:withdrawalId/settle", "settleWithdrawal",
+    {externalReference: "string?"}],
+
+  ["GET", "/v1/webhooks", "listWebhooks"],
+  ["POST", "/v1/webhooks", "createWebhook",
+    {url: "string", events: "array"}],
+  ["GET", "/v1/webhooks/deliveries", "listWebhookDeliveries"],
+  ["POST", "/v1/webhooks/:id/delete", "deleteWebhook"],
+
+  ["GET", "/v1/currencies", "listCurrencies"],
+  ["POST", "/v1/currencies", "upsertCurrency", {code: "string"}],
+  ["GET", "/v1/fees", "getFeeSchedules"],
+  ["POST", "/v1/fees", "setFeeSchedule",
+    {operation: "string", currency: "string"}],
+  ["GET", "/v1/system-accounts", "getSystemAccounts"],
+  ["POST", "/v1/reconciliation", "reconcile"],
+  ["GET", "/v1/reconciliation/reports", "listReconciliationReports"],
+  ["GET", "/v1/openapi.json", "openapi"],
+].map(([method, path, handler, fields = {}]) =>
+  ({method, path, handler, fields}));
+
+// Shape checks shared by every route; handlers still apply
+// their own business rules (currency registry, limits, ...)
+const FIELD_TYPES = {
+  id: [(v) => typeof v === "string" && v.length > 0 &&
+    v.length <= 128, "a non-empty ID"],
+  string: [(v) => typeof v === "string", "a string"],
+  amount: [(v) => typeof v === "number" || typeof v === "string",
+    "an integer of smallest units or a decimal string"],
+  number: [(v) => typeof v === "number" && Number.isFinite(v),
+    "a number"],
+  boolean: [(v) => typeof v === "boolean", "a boolean"],
+  array: [Array.isArray, "an array"],
+  object: [(v) => v !== null && typeof v === "object" &&
+    !Array.isArray(v), "an object"],
+};
+
+// Codes for errors a handler sends without its own, by
+// HTTP status
+const STATUS_ERROR_CODES = {
+  400: "invalid_request",
+  401: "unauthenticated",
+  402: "insufficient_funds",
+  403: "forbidden",
+  404: "not_found",
+  405: "method_not_allowed",
+  409: "conflict",
+  410: "gone",
+  422: "unprocessable",
+  429: "rate_limited",
+  503: "service_unavailable",
+};
+
+/**
+ * Rewrite a handler's {error, code?, ...} body into the v1
+ * envelope. Codes a handler sends are kept; generic errors
+ * get one from their HTTP status.
+ * @param {number} status - HTTP status
+ * @param {object} body - Legacy error body
+ * @return {object} {error: {code, message, ...}}
+ */
+function errorEnvelope(status, body) {
+  const {error: message, code, ...rest} = body;
+  const fallback = STATUS_ERROR_CODES[status] || "internal_error";
+  return {error: {code: code || fallback, message, ...rest}};
+}
+
+/**
+ * Match a path against a route pattern such as
+ * "/v1/holds/:holdId/void".
+ * @param {string} pattern - Route path
+ * @param {string} path - Request path
+ * @return {object|null} Path parameters, or null
+ */
+function matchPath(pattern, path) {
+  const want = pattern.split("/");
+  const got = path.split("/");
+  if (want.length !== got.length) return null;
+  const params = {};
+  for (const [i, seg] of want.entries()) {
+    if (seg.startsWith(":")) {
+      if (!got[i]) return null;
+      try {
+        params[seg.slice(1)] = decodeURIComponent(got[i]);
+      } catch (err) {
+        return null;
+      }
+    } else if (seg !== got[i]) {
+      return null;
+    }
+  }
+  return params;
+}
+
+/**
+ * Find the route for a request.
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path, without a trailing slash
+ * @return {object|null} {route, params}, {allow} listing the
+ *   methods of a path matched with the wrong one, or null
+ */
+function matchRoute(method, path) {
+  const allow = [];
+  for (const route of API_ROUTES) {
+    const params = matchPath(route.path, path);
+    if (!params) continue;
+    if (route.method === method) return {route, params};
+    allow.push(route.method);
+  }
+  return allow.length ? {allow} : null;
+}
+
+/**
+ * Check request fields against a route's field types. A
+ * trailing "?" marks a field optional.
+ * @param {object} fields - Map of field to type name
+ * @param {object} input - Request body or query
+ * @return {object|null} {field, message}, or null if valid
+ */
+function fieldError(fields, input) {
+  for (const [field, spec] of Object.entries(fields)) {
+    const optional = spec.endsWith("?");
+    const [check, expected] = FIELD_TYPES[spec.replace("?", "")];
+    const v = input[field];
+    if (v === undefined || v === null) {
+      if (optional) continue;
+      return {field, message: `${field} is required`};
+    }
+    if (!check(v)) {
+      return {field, message: `${field} must be ${expected}`};
+    }
+  }
+  return null;
+}
+
+exports.api = onRequest(CORS, async (req, res) => {
+  const json = res.json;
+  res.json = function(body) {
+    if (this.statusCode >= 400 && body &&
+      typeof body.error === "string") {
+      body = errorEnvelope(this.statusCode, body);
+    }
+    return json.call(this, body);
+  };
+
+  const path = (req.path || "/").replace(/\/+$/, "");
+  const match = matchRoute(req.method, path);
+  if (!match) {
+    return res.status(404).json({
+      error: `No route for ${req.method} ${path}`,
+      code: "route_not_found",
+    });
+  }
+  if (match.allow) {
+    res.set("Allow", match.allow.join(", "));
+    return res.status(405).json({
+      error: `Use ${match.allow.join(" or ")}`,
+    });
+  }
+
+  const {route, params} = match;
+  const isGet = route.method === "GET";
+  if (isGet) {
+    req.query = {...req.query, ...params};
+  } else {
+    req.body = {...(req.body || {}), ...params};
+  }
+  const invalid = fieldError(route.fields, isGet ? req.query : req.body);
+  if (invalid) {
+    return res.status(400).json({
+      error: invalid.message,
+      field: invalid.field,
+    });
+  }
+  return exports[route.handler](req, res);
+});
+
+// The OpenAPI description in openapi.json; agents generate
+// tool schemas from it, so it is public
+exports.openapi = onRequest(CORS, async (req, res) => {
+  if (req.method !== "GET") {
+    return res.status(405).json({error: "Use GET"});
+  }
+  res.set("Cache-Control", "public, max-age=300");
+  return res.json(OPENAPI);
+});
+
 /* ═══════════ Expose internals for testing ═══════════ */
 
 exports._test = {
@@ -659,7 +5988,64 @@ exports._test = {
   convertCurrency,
   isAdmin,
   checkRateLimit,
-  UNITS,
-  SUPPORTED,
-  EMPTY_BALANCES,
+  generateAgentKey,
+  hashAgentKey,
+  isValidScopeList,
+  stableStringify,
+  availableBalance,
+  assertCanSend,
+  assertCanReceive,
+  parsePolicy,
+  batchTransferError,
+  encodeCursor,
+  decodeCursor,
+  parseLedgerFilters,
+  parseStatementPeriod,
+  statementLine,
+  statementCsv,
+  ledgerSteps,
+  replayAccount,
+  unmatchedTransfers,
+  journalLines,
+  computeFee,
+  parseFeeRate,
+  conversionError,
+  conversionOrderError,
+  orderTriggered,
+  parseAmount,
+  formatAmount,
+  errorEnvelope,
+  matchPath,
+  matchRoute,
+  fieldError,
+  API_ROUTES,
+  STATUS_ERROR_CODES,
+  POLICY_ERRORS,
+  ACCOUNT_STATUS_ERRORS,
+  REFUND_ERRORS,
+  ORDER_ERRORS,
+  HOLD_ERRORS,
+  CHILD_ERRORS,
+  medianRates,
+  getExchangeRates,
+  clearRateCache,
+  signWebhook,
+  webhookBackoff,
+  webhookEventsFor,
+  isValidWebhookUrl,
+  isBlockedAddress,
+  webhookHostAllowed,
+  AGENT_KEY_PREFIX,
+  AGENT_KEY_SCOPES,
+  // Registry values as loaded at startup (the built-ins)
+  UNITS: Object.fromEntries(currencyCodes()
+      .map((c) => [c, currencyUnits(c)])),
+  SUPPORTED: supportedCurrencies(),
+  EMPTY_BALANCES: emptyBalances(),
+  DEFAULT_CURRENCIES,
+  loadCurrencies,
+  currencyError,
+  parseCurrency,
+  LEDGER_TYPES,
+  SYSTEM_ACCOUNTS,
 };
@@ -5,7 +5,26 @@
  *  - Email validation
  *  - Currency conversion (BigInt precision)
  *  - Admin key checking
+ *  - Rate limits (per IP or uid, headers, overrides)
  *  - Input validation constants
+ *  - Agent API key generation & hashing
+ *  - Canonical request hashing for idempotency
+ *  - Available balance (balance minus holds)
+ *  - Account status guards
+ *  - Spending policy validation
+ *  - Webhook signing, backoff & event matching
+ *  - Batch transfer validation
+ *  - Ledger query cursors & filters
+ *  - Statement periods, lines & CSV
+ *  - Ledger replay & transfer matching
+ *  - Journal line balancing
+ *  - Fee calculation & schedule validation
+ *  - Conversion request validation
+ *  - Median rate aggregation
+ *  - Currency registry validation
+ *  - Conversion order validation & triggers
+ *  - Decimal amount parsing & formatting
+ *  - REST routing, field checks & error codes
  */
 
 /* ── Mock firebase-admin & firebase-functions before loading module ── */
@@ -17,6 +36,7 @@ jest.mock("firebase-admin", () => ({
   initializeApp: jest.fn(),
   firestore: Object.assign(jest.fn(() => ({})), {
     FieldValue: {serverTimestamp: jest.fn(() => "TS")},
+    Timestamp: {fromMillis: jest.fn((ms) => ({toMillis: () => ms}))},
   }),
   auth: jest.fn(() => ({
     createUser: jest.fn(),
@@ -29,6 +49,12 @@ jest.mock("firebase-functions", () => ({
 jest.mock("firebase-functions/v2/https", () => ({
   onRequest: jest.fn((_opts, handler) => handler),
 }));
+jest.mock("firebase-functions/v2/scheduler", () => ({
+  onSchedule: jest.fn((_schedule, handler) => handler),
+}));
+jest.mock("firebase-functions/v2/firestore", () => ({
+  onDocumentCreated: jest.fn((_path, handler) => handler),
+}));
 jest.mock("firebase-functions/logger", () => ({
   error: jest.fn(),
   info: jest.fn(),
@@ -37,6 +63,19 @@ jest.mock("firebase-functions/logger", () => ({
 
 const {_test} = require("../index");
 const {isValidEmail, convertCurrency, isAdmin, checkRateLimit, UNITS, SUPPORTED, EMPTY_BALANCES} = _test;
+const {generateAgentKey, hashAgentKey, isValidScopeList, AGENT_KEY_PREFIX, stableStringify} = _test;
+const {availableBalance, assertCanSend, assertCanReceive, parsePolicy} = _test;
+const {signWebhook, webhookBackoff, webhookEventsFor, isValidWebhookUrl, isBlockedAddress} = _test;
+const {batchTransferError} = _test;
+const {encodeCursor, decodeCursor, parseLedgerFilters} = _test;
+const {parseStatementPeriod, statementLine, statementCsv} = _test;
+const {replayAccount, unmatchedTransfers} = _test;
+const {journalLines, computeFee, parseFeeRate, conversionError} = _test;
+const {medianRates} = _test;
+const {DEFAULT_CURRENCIES, currencyError, parseCurrency} = _test;
+const {conversionOrderError, orderTriggered} = _test;
+const {parseAmount, formatAmount} = _test;
+const {matchPath, matchRoute, fieldError, errorEnvelope} = _test;
 
 /* ═══════════════════════════════════════════════
    1. Email Validation
@@ -147,6 +186,22 @@ describe("convertCurrency", () => {
     const result = convertCurrency("ETH", "BTC", ethAmount, rates);
     expect(result).toBe(5384615);
   });
+
+  test("prices below a cent convert exactly", () => {
+    const tiny = {...rates, SOL: 0.000001};
+    // 1,000 SOL at $0.000001 = $0.001 = 1,000 micros
+    expect(convertCurrency("SOL", "USD", 1_000 * 1_000_000_000, tiny)).toBe(1_000);
+    // 1 micro USD buys 1 SOL
+    expect(convertCurrency("USD", "SOL", 1, tiny)).toBe(1_000_000_000);
+    // Near a cent: no rounding to whole cents
+    expect(convertCurrency("SOL", "USD", 1_000_000_000, {...rates, SOL: 0.0149})).toBe(14_900);
+  });
+
+  test("missing or zero prices are rejected as unavailable", () => {
+    expect(() => convertCurrency("USD", "SOL", 1, {USD: 1})).toThrow("RATES_UNAVAILABLE");
+    expect(() => convertCurrency("USD", "SOL", 1, {USD: 1, SOL: 0})).toThrow("RATES_UNAVAILABLE");
+    expect(() => convertCurrency("SOL", "USD", 1, {USD: 1, SOL: 1e-15})).toThrow("RATES_UNAVAILABLE");
+  });
 });
 
 /* ═══════════════════════════════════════════════
@@ -198,6 +253,18 @@ describe("isAdmin", () => {
    ═══════════════════════════════════════════════ */
 
 describe("checkRateLimit", () => {
+  beforeAll(() => {
+    process.env.RATE_LIMIT_STORE = "memory";
+  });
+
+  afterAll(() => {
+    delete process.env.RATE_LIMIT_STORE;
+  });
+
+  afterEach(() => {
+    delete process.env.RATE_LIMITS;
+  });
+
   function makeReq(ip = "1.2.3.4") {
     return {ip, headers: {}};
   }
@@ -206,48 +273,136 @@ describe("checkRateLimit", () => {
     const res = {
       statusCode: 200,
       body: null,
+      headers: {},
       status: jest.fn(function(code) {
         this.statusCode = code; return this;
       }),
       json: jest.fn(function(data) {
         this.body = data; return this;
       }),
+      set: jest.fn(function(name, value) {
+        this.headers[name] = value; return this;
+      }),
     };
     return res;
   }
 
-  test("allows first request", () => {
+  test("allows first request", async () => {
     const req = makeReq("10.0.0.1");
     const res = makeRes();
-    expect(checkRateLimit("signup", req, res)).toBe(true);
+    expect(await checkRateLimit("signup", req, res)).toBe(true);
   });
 
-  test("blocks after exceeding signup limit (5 per minute)", () => {
+  test("blocks after exceeding signup limit (5 per minute)", async () => {
     const ip = `rate-test-${Date.now()}`;
     for (let i = 0; i < 5; i++) {
       const res = makeRes();
-      expect(checkRateLimit("signup", makeReq(ip), res)).toBe(true);
+      expect(await checkRateLimit("signup", makeReq(ip), res)).toBe(true);
     }
     // 6th request should be blocked
     const res = makeRes();
-    expect(checkRateLimit("signup", makeReq(ip), res)).toBe(false);
+    expect(await checkRateLimit("signup", makeReq(ip), res)).toBe(false);
     expect(res.statusCode).toBe(429);
   });
 
-  test("different IPs have independent limits", () => {
+  test("different IPs have independent limits", async () => {
     const ts = Date.now();
     for (let i = 0; i < 5; i++) {
-      checkRateLimit("signup", makeReq(`ip-a-${ts}`), makeRes());
+      await checkRateLimit("signup", makeReq(`ip-a-${ts}`), makeRes());
     }
     // ip-a is exhausted, ip-b should still be allowed
     const res = makeRes();
-    expect(checkRateLimit("signup", makeReq(`ip-b-${ts}`), res)).toBe(true);
+    expect(await checkRateLimit("signup", makeReq(`ip-b-${ts}`), res)).toBe(true);
   });
 
-  test("uses x-forwarded-for header when ip is unavailable", () => {
+  test("uses x-forwarded-for header when ip is unavailable", async () => {
     const req = {headers: {"x-forwarded-for": `xff-${Date.now()}`}};
     const res = makeRes();
-    expect(checkRateLimit("login", req, res)).toBe(true);
+    expect(await checkRateLimit("login", req, res)).toBe(true);
+  });
+
+  test("sets X-RateLimit-* headers and Retry-After once blocked", async () => {
+    const ip = `headers-${Date.now()}`;
+    const first = makeRes();
+    await checkRateLimit("signup", makeReq(ip), first);
+
+    expect(first.headers["X-RateLimit-Limit"]).toBe("5");
+    expect(first.headers["X-RateLimit-Remaining"]).toBe("4");
+    const reset = Number(first.headers["X-RateLimit-Reset"]);
+    expect(reset * 1000).toBeGreaterThan(Date.now());
+    expect(reset * 1000).toBeLessThanOrEqual(Date.now() + 60_000 + 1000);
+    expect(first.headers["Retry-After"]).toBeUndefined();
+
+    for (let i = 0; i < 4; i++) await checkRateLimit("signup", makeReq(ip), makeRes());
+    const blocked = makeRes();
+    await checkRateLimit("signup", makeReq(ip), blocked);
+
+    expect(blocked.headers["X-RateLimit-Remaining"]).toBe("0");
+    expect(Number(blocked.headers["Retry-After"])).toBeGreaterThanOrEqual(1);
+    expect(Number(blocked.headers["Retry-After"])).toBeLessThanOrEqual(60);
+  });
+
+  test("uid-keyed endpoints count per caller, not per IP", async () => {
+    process.env.RATE_LIMITS = JSON.stringify({transfer: {limit: 1}});
+    const uid = `uid-${Date.now()}`;
+
+    expect(await checkRateLimit("transfer", makeReq("1.1.1.1"), makeRes(), uid)).toBe(true);
+    expect(await checkRateLimit("transfer", makeReq("2.2.2.2"), makeRes(), uid)).toBe(false);
+    expect(await checkRateLimit("transfer", makeReq("2.2.2.2"), makeRes(), `${uid}-b`)).toBe(true);
+  });
+
+  test("RATE_LIMITS overrides endpoints and single callers", async () => {
+    const ip = `override-${Date.now()}`;
+    process.env.RATE_LIMITS = JSON.stringify({
+      login: {limit: 1, overrides: {[ip]: 3}},
+    });
+
+    for (let i = 0; i < 3; i++) {
+      expect(await checkRateLimit("login", makeReq(ip), makeRes())).toBe(true);
+    }
+    expect(await checkRateLimit("login", makeReq(ip), makeRes())).toBe(false);
+    expect(await checkRateLimit("login", makeReq(`${ip}-x`), makeRes())).toBe(true);
+    expect(await checkRateLimit("login", makeReq(`${ip}-x`), makeRes())).toBe(false);
+  });
+
+  test("fails open when the store is unavailable", async () => {
+    // No Firestore behind the mocked admin SDK here
+    process.env.RATE_LIMIT_STORE = "firestore";
+    const res = makeRes();
+
+    expect(await checkRateLimit("signup", makeReq(), res)).toBe(true);
+    expect(res.headers).toEqual({});
+    process.env.RATE_LIMIT_STORE = "memory";
+  });
+
+  test("an unknown store falls back to Firestore with a warning", async () => {
+    const logger = require("firebase-functions/logger");
+    process.env.RATE_LIMIT_STORE = "redis";
+    logger.warn.mockClear();
+
+    await checkRateLimit("signup", makeReq(), makeRes());
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringMatching(/Unknown RATE_LIMIT_STORE "redis"/));
+    // Firestore was tried (and is unreachable here), not skipped
+    expect(logger.warn).toHaveBeenCalledWith("Rate limit store unavailable", expect.any(Error));
+    process.env.RATE_LIMIT_STORE = "memory";
+  });
+
+  test("unusable RATE_LIMITS entries fall back to the defaults", async () => {
+    const logger = require("firebase-functions/logger");
+    for (const rule of [{overrides: null}, {windowMs: 0}, {limit: "3"}, {by: "email"}, {overrides: {x: -1}}]) {
+      const ip = `invalid-${JSON.stringify(rule)}-${Date.now()}`;
+      process.env.RATE_LIMITS = JSON.stringify({signup: rule});
+      logger.warn.mockClear();
+
+      const res = makeRes();
+      expect(await checkRateLimit("signup", makeReq(ip), res)).toBe(true);
+      expect(res.headers["X-RateLimit-Limit"]).toBe("5");
+      expect(Number(res.headers["X-RateLimit-Reset"])).not.toBeNaN();
+      expect(logger.warn).toHaveBeenCalledWith("Ignoring invalid RATE_LIMITS.signup", rule);
+    }
+
+    process.env.RATE_LIMITS = "null";
+    expect(await checkRateLimit("signup", makeReq(`null-${Date.now()}`), makeRes())).toBe(true);
   });
 });
 
@@ -273,3 +428,599 @@ describe("constants", () => {
     expect(Object.keys(EMPTY_BALANCES)).toHaveLength(SUPPORTED.length);
   });
 });
+
+/* ═══════════════════════════════════════════════
+   6. Agent API Keys
+   ═══════════════════════════════════════════════ */
+
+describe("agent API keys", () => {
+  test("generated keys carry the ok_live_ prefix", () => {
+    expect(generateAgentKey().startsWith(AGENT_KEY_PREFIX)).toBe(true);
+  });
+
+  test("generated keys are unique", () => {
+    const keys = new Set(Array.from({length: 50}, generateAgentKey));
+    expect(keys.size).toBe(50);
+  });
+
+  test("hash is deterministic hex SHA-256", () => {
+    const h = hashAgentKey("ok_live_abc");
+    expect(h).toMatch(/^[0-9a-f]{64}$/);
+    expect(hashAgentKey("ok_live_abc")).toBe(h);
+    expect(hashAgentKey("ok_live_abd")).not.toBe(h);
+  });
+
+  test("scope lists must be non-empty and known", () => {
+    expect(isValidScopeList(["read", "llm"])).toBe(true);
+    expect(isValidScopeList([])).toBe(false);
+    expect(isValidScopeList("read")).toBe(false);
+    expect(isValidScopeList(["read", "admin"])).toBe(false);
+  });
+});
+
+/* ═══════════════════════════════════════════════
+   7. Canonical JSON (idempotency request hashing)
+   ═══════════════════════════════════════════════ */
+
+describe("stableStringify", () => {
+  test("sorts object keys at every depth", () => {
+    expect(stableStringify({b: 1, a: {d: 2, c: 3}})).toBe("{\"a\":{\"c\":3,\"d\":2},\"b\":1}");
+  });
+
+  test("equal bodies with different key order serialize the same", () => {
+    expect(stableStringify({amount: 1, currency: "USD"}))
+        .toBe(stableStringify({currency: "USD", amount: 1}));
+  });
+
+  test("preserves array order", () => {
+    expect(stableStringify([2, 1])).toBe("[2,1]");
+  });
+});
+
+/* ═══════════════════════════════════════════════
+   8. Available Balance
+   ═══════════════════════════════════════════════ */
+
+describe("availableBalance", () => {
+  test("subtracts held funds from the balance", () => {
+    expect(availableBalance({balances: {USD: 5_000}, held: {USD: 2_000}}, "USD")).toBe(3_000);
+  });
+
+  test("equals the balance when nothing is held", () => {
+    expect(availableBalance({balances: {USD: 5_000}}, "USD")).toBe(5_000);
+  });
+
+  test("treats missing currencies as zero", () => {
+    expect(availableBalance({balances: {}}, "ETH")).toBe(0);
+  });
+});
+
+/* ═══════════════════════════════════════════════
+   9. Account Status Guards
+   ═══════════════════════════════════════════════ */
+
+describe("account status guards", () => {
+  afterEach(() => {
+    delete process.env.FROZEN_CAN_RECEIVE;
+  });
+
+  test("active and legacy (no status) accounts can send", () => {
+    expect(() => assertCanSend({status: "active"})).not.toThrow();
+    expect(() => assertCanSend({})).not.toThrow();
+  });
+
+  test("frozen and closed accounts cannot send", () => {
+    expect(() => assertCanSend({status: "frozen"})).toThrow("ACCOUNT_FROZEN");
+    expect(() => assertCanSend({status: "closed"})).toThrow("ACCOUNT_CLOSED");
+  });
+
+  test("frozen accounts receive only when FROZEN_CAN_RECEIVE is true", () => {
+    expect(() => assertCanReceive({status: "frozen"}, "NOPE")).toThrow("NOPE");
+    process.env.FROZEN_CAN_RECEIVE = "true";
+    expect(() => assertCanReceive({status: "frozen"}, "NOPE")).not.toThrow();
+  });
+
+  test("closed accounts never receive", () => {
+    process.env.FROZEN_CAN_RECEIVE = "true";
+    expect(() => assertCanReceive({status: "closed"}, "NOPE")).toThrow("NOPE");
+  });
+});
+
+/* ═══════════════════════════════════════════════
+   10. Spending Policy Validation
+   ═══════════════════════════════════════════════ */
+
+describe("parsePolicy", () => {
+  test("normalizes an empty body to no limits", () => {
+    expect(parsePolicy({}).policy).toEqual({
+      maxPerTransaction: {}, dailyLimit: {}, allowlist: null, denylist: null,
+    });
+  });
+
+  test("accepts per-currency integer limits", () => {
+    const {policy} = parsePolicy({maxPerTransaction: {USD: 5_000_000, ETH: 1}});
+    expect(policy.maxPerTransaction).toEqual({USD: 5_000_000, ETH: 1});
+  });
+
+  test("rejects unknown currencies and non-integer limits", () => {
+    expect(parsePolicy({dailyLimit: {DOGE: 1}}).error).toBeDefined();
+    expect(parsePolicy({dailyLimit: {USD: 1.5}}).error).toBeDefined();
+    expect(parsePolicy({maxPerTransaction: {USD: 0}}).error).toBeDefined();
+  });
+
+  test("deduplicates counterparty lists", () => {
+    expect(parsePolicy({allowlist: ["a", "a", "b"]}).policy.allowlist).toEqual(["a", "b"]);
+  });
+
+  test("rejects non-array counterparty lists", () => {
+    expect(parsePolicy({denylist: "agent-b"}).error).toBeDefined();
+  });
+});
+
+/* ═══════════════════════════════════════════════
+   11. Webhooks
+   ═══════════════════════════════════════════════ */
+
+describe("webhooks", () => {
+  test("signature is HMAC-SHA256 over `${t}.${body}`", () => {
+    const body = JSON.stringify({event: "deposit"});
+    const expected = require("crypto").createHmac("sha256", "whsec_test")
+        .update(`1700000000.${body}`).digest("hex");
+    expect(signWebhook("whsec_test", 1700000000, body)).toBe(`t=1700000000,v1=${expected}`);
+  });
+
+  test("signature changes with the body", () => {
+    expect(signWebhook("s", 1, "{}")).not.toBe(signWebhook("s", 1, "{ }"));
+  });
+
+  test("backoff doubles per attempt", () => {
+    expect(webhookBackoff(1)).toBe(30_000);
+    expect(webhookBackoff(2)).toBe(60_000);
+    expect(webhookBackoff(4)).toBe(240_000);
+  });
+
+  test("only https URLs are accepted outside the emulator", () => {
+    expect(isValidWebhookUrl("https://agent.example.com/hook")).toBe(true);
+    expect(isValidWebhookUrl("http://agent.example.com/hook")).toBe(false);
+    expect(isValidWebhookUrl("not a url")).toBe(false);
+  });
+
+  test("local hostnames and non-public IP literals are refused", () => {
+    expect(isValidWebhookUrl("https://8.8.8.8/hook")).toBe(true);
+    expect(isValidWebhookUrl("https://[2001:4860:4860::8888]/hook")).toBe(true);
+    for (const url of [
+      "https://localhost/", "https://api.localhost/", "https://metadata.google.internal/",
+      "https://127.0.0.1/", "https://0x7f.1/", "https://169.254.169.254/", "https://10.1.2.3/",
+      "https://172.31.0.1/", "https://100.64.0.1/", "https://0.0.0.0/", "https://[::1]/",
+      "https://[fe80::1]/", "https://[fd00:ec2::254]/", "https://[::ffff:10.0.0.1]/",
+    ]) {
+      expect([url, isValidWebhookUrl(url)]).toEqual([url, false]);
+    }
+  });
+
+  test("blocked address ranges", () => {
+    expect(isBlockedAddress("93.184.215.14")).toBe(false);
+    expect(isBlockedAddress("172.32.0.1")).toBe(false);
+    expect(isBlockedAddress("192.168.0.10")).toBe(true);
+    expect(isBlockedAddress("::")).toBe(true);
+    expect(isBlockedAddress("not-an-ip")).toBe(true);
+  });
+
+  test("matches subscribed ledger types", () => {
+    const hook = {events: ["transfer_in"]};
+    expect(webhookEventsFor({type: "transfer_in"}, hook)).toEqual(["transfer_in"]);
+    expect(webhookEventsFor({type: "deposit"}, hook)).toEqual([]);
+  });
+
+  test("low_balance fires only when crossing the threshold", () => {
+    const hook = {events: ["low_balance"], lowBalanceThresholds: {USD: 1_000}};
+    const entry = (before, after) => ({type: "llm_usage", currency: "USD", balanceBefore: before, balanceAfter: after});
+    expect(webhookEventsFor(entry(1_500, 900), hook)).toEqual(["low_balance"]);
+    expect(webhookEventsFor(entry(900, 800), hook)).toEqual([]);
+    expect(webhookEventsFor(entry(2_000, 1_500), hook)).toEqual([]);
+  });
+});
+
+/* ═══════════════════════════════════════════════
+   12. Batch Transfer Validation
+   ═══════════════════════════════════════════════ */
+
+describe("batchTransferError", () => {
+  const item = {toAccountId: "b", amount: 10, currency: "USD"};
+
+  test("accepts up to 100 valid items", () => {
+    expect(batchTransferError([item], "a")).toBeNull();
+    expect(batchTransferError(Array(100).fill(item), "a")).toBeNull();
+  });
+
+  test("rejects empty, non-array and oversized batches", () => {
+    expect(batchTransferError([], "a")).toMatch(/non-empty/);
+    expect(batchTransferError("x", "a")).toMatch(/non-empty/);
+    expect(batchTransferError(Array(101).fill(item), "a")).toMatch(/At most 100/);
+  });
+
+  test("points at the offending item", () => {
+    expect(batchTransferError([item, {...item, amount: 0}], "a")).toMatch(/^transfers\[1\]/);
+    expect(batchTransferError([{...item, currency: "DOGE"}], "a")).toMatch(/Unsupported currency/);
+    expect(batchTransferError([{...item, toAccountId: "a"}], "a")).toMatch(/yourself/);
+  });
+});
+
+/* ═══════════════════════════════════════════════
+   13. Ledger Query Cursors & Filters
+   ═══════════════════════════════════════════════ */
+
+describe("ledger queries", () => {
+  test("cursors round-trip and are not raw IDs", () => {
+    const c = encodeCursor("abc123");
+    expect(c).not.toContain("abc123");
+    expect(decodeCursor(c)).toBe("abc123");
+  });
+
+  test("malformed cursors decode to null", () => {
+    expect(decodeCursor("not-base64-json")).toBeNull();
+    expect(decodeCursor(Buffer.from("{\"id\":5}").toString("base64url"))).toBeNull();
+  });
+
+  test("accepts known types and currencies only", () => {
+    expect(parseLedgerFilters({type: "llm_usage"}).filters.type).toBe("llm_usage");
+    expect(parseLedgerFilters({type: "payday"}).error).toMatch(/type/);
+    expect(parseLedgerFilters({currency: "DOGE"}).error).toMatch(/currency/);
+  });
+
+  test("parses ISO and epoch-ms bounds", () => {
+    const {filters} = parseLedgerFilters({from: "2026-01-01T00:00:00Z", to: "1767312000000"});
+    expect(filters.fromTs.toMillis()).toBe(Date.parse("2026-01-01T00:00:00Z"));
+    expect(filters.toTs.toMillis()).toBe(1767312000000);
+    expect(parseLedgerFilters({to: "soon"}).error).toMatch(/ISO 8601/);
+  });
+});
+
+/* ═══════════════════════════════════════════════
+   14. Statements
+   ═══════════════════════════════════════════════ */
+
+describe("statements", () => {
+  test("YYYY-MM periods cover the whole UTC month", () => {
+    const {fromTs, toTs} = parseStatementPeriod({period: "2026-02"});
+    expect(fromTs.toMillis()).toBe(Date.parse("2026-02-01T00:00:00Z"));
+    expect(toTs.toMillis()).toBe(Date.parse("2026-03-01T00:00:00Z"));
+    expect(parseStatementPeriod({period: "2026-12"}).toTs.toMillis())
+        .toBe(Date.parse("2027-01-01T00:00:00Z"));
+  });
+
+  test("rejects bad or empty periods", () => {
+    expect(parseStatementPeriod({period: "2026-00"}).error).toBeDefined();
+    expect(parseStatementPeriod({from: "2026-02-01"}).error).toBeDefined();
+    expect(parseStatementPeriod({from: "2026-02-01", to: "2026-02-01"}).error).toBeDefined();
+  });
+
+  test("lines are signed from balanceBefore/balanceAfter", () => {
+    const out = statementLine("t", {type: "transfer_out", currency: "USD", balanceBefore: 10, balanceAfter: 4}, "USD");
+    expect(out).toMatchObject({amount: -6, balanceBefore: 10, balanceAfter: 4});
+  });
+
+  test("conversions into the currency use the target-side balances", () => {
+    const t = {
+      type: "conversion", currency: "ETH", balanceBefore: 5, balanceAfter: 0,
+      metadata: {toCurrency: "USD", toAmount: 9, toBalanceBefore: 1, toBalanceAfter: 10},
+    };
+    expect(statementLine("t", t, "USD")).toMatchObject({amount: 9, balanceBefore: 1, balanceAfter: 10});
+    expect(statementLine("t", t, "ETH")).toMatchObject({amount: -5});
+  });
+
+  test("CSV quotes cells containing commas and quotes", () => {
+    const csv = statementCsv({
+      accountId: "a", currency: "USD", from: "f", to: "t", openingBalance: 0, closingBalance: 0,
+      lines: [{date: "d", transactionId: "x", type: "deposit", description: "a,\"b\"",
+        amount: 1, balanceBefore: 0, balanceAfter: 1, metadata: {}}],
+    });
+    expect(csv.split("\n")).toContain("d,x,deposit,\"a,\"\"b\"\"\",1,0,1,{}");
+  });
+});
+
+/* ═══════════════════════════════════════════════
+   15. Reconciliation
+   ═══════════════════════════════════════════════ */
+
+describe("reconciliation", () => {
+  const at = (ms) => ({toMillis: () => ms});
+  const e = (id, ms, data) => ({id, data: {createdAt: at(ms), currency: "USD", ...data}});
+
+  test("a consistent chain has no issues", () => {
+    const entries = [
+      e("1", 1, {type: "deposit", amount: 10, balanceBefore: 0, balanceAfter: 10}),
+      e("2", 2, {type: "transfer_out", amount: 4, balanceBefore: 10, balanceAfter: 6}),
+    ];
+    expect(replayAccount("a", {balances: {USD: 6}}, entries)).toEqual([]);
+  });
+
+  test("orders same-timestamp entries by following the chain", () => {
+    const entries = [
+      e("2", 5, {type: "transfer_out", amount: 1, balanceBefore: 9, balanceAfter: 8}),
+      e("1", 5, {type: "transfer_out", amount: 1, balanceBefore: 10, balanceAfter: 9}),
+      e("0", 1, {type: "deposit", amount: 10, balanceBefore: 0, balanceAfter: 10}),
+    ];
+    expect(replayAccount("a", {balances: {USD: 8}}, entries)).toEqual([]);
+  });
+
+  test("flags chain breaks, amount mismatches and drift", () => {
+    const entries = [
+      e("1", 1, {type: "deposit", amount: 10, balanceBefore: 0, balanceAfter: 10}),
+      e("2", 2, {type: "llm_usage", amount: 3, balanceBefore: 12, balanceAfter: 9}),
+      e("3", 3, {type: "deposit", amount: 5, balanceBefore: 9, balanceAfter: 13}),
+    ];
+    const types = replayAccount("a", {balances: {USD: 20}}, entries).map((i) => i.type);
+    expect(types).toEqual(["chain_break", "amount_mismatch", "balance_drift"]);
+  });
+
+  test("conversions credit the target currency", () => {
+    const entries = [
+      e("1", 1, {type: "deposit", currency: "ETH", amount: 5, balanceBefore: 0, balanceAfter: 5}),
+      e("2", 2, {
+        type: "conversion", currency: "ETH", amount: 5, balanceBefore: 5, balanceAfter: 0,
+        metadata: {toCurrency: "USD", toAmount: 7, toBalanceBefore: 0, toBalanceAfter: 7},
+      }),
+    ];
+    expect(replayAccount("a", {balances: {ETH: 0, USD: 7}}, entries)).toEqual([]);
+  });
+
+  test("pairs *_out with *_in and reports leftovers", () => {
+    const out = (id, amount) => ({id, data: {
+      type: "transfer_out", accountId: "a", currency: "USD", amount, metadata: {counterparty: "b"},
+    }});
+    const inn = (id, amount) => ({id, data: {
+      type: "transfer_in", accountId: "b", currency: "USD", amount, metadata: {counterparty: "a"},
+    }});
+    expect(unmatchedTransfers([out("o1", 5), inn("i1", 5)])).toEqual([]);
+    const issues = unmatchedTransfers([out("o1", 5), inn("i1", 6)]);
+    expect(issues.map((i) => [i.transactionId, i.missing])).toEqual([
+      ["o1", "transfer_in"], ["i1", "transfer_out"],
+    ]);
+    expect(unmatchedTransfers([out("o1", 5)], "z")).toEqual([]);
+  });
+});
+
+/* ═══════════════════════════════════════════════
+   16. Journal Lines
+   ═══════════════════════════════════════════════ */
+
+describe("journalLines", () => {
+  test("each posting debits one account and credits another", () => {
+    const {lines, totals} = journalLines([
+      {from: "accounts/a", to: "systemAccounts/fx_desk", currency: "ETH", amount: 5},
+      {from: "systemAccounts/fx_desk", to: "accounts/a", currency: "USD", amount: 17},
+    ]);
+    expect(lines).toHaveLength(4);
+    expect(totals).toEqual({ETH: 5, USD: 17});
+    for (const c of ["ETH", "USD"]) {
+      const ls = lines.filter((l) => l.currency === c);
+      expect(ls.reduce((s, l) => s + l.debit, 0)).toBe(ls.reduce((s, l) => s + l.credit, 0));
+    }
+  });
+
+  test("skips zero postings and rejects bad amounts", () => {
+    expect(journalLines([{from: "a", to: "b", currency: "USD", amount: 0}]).lines).toEqual([]);
+    expect(() => journalLines([{from: "a", to: "b", currency: "USD", amount: 1.5}])).toThrow("BAD_POSTING");
+  });
+});
+
+/* ═══════════════════════════════════════════════
+   17. Fees
+   ═══════════════════════════════════════════════ */
+
+describe("fees", () => {
+  test("flat plus basis points, rounded up", () => {
+    expect(computeFee(null, 1_000)).toBe(0);
+    expect(computeFee({flat: 100, bps: 0}, 1_000)).toBe(100);
+    expect(computeFee({flat: 0, bps: 25}, 1_000_000)).toBe(2_500);
+    expect(computeFee({flat: 0, bps: 25}, 1)).toBe(1);
+  });
+
+  test("stays exact for large amounts", () => {
+    expect(computeFee({flat: 0, bps: 1}, Number.MAX_SAFE_INTEGER)).toBe(900719925475);
+  });
+
+  test("validates schedules", () => {
+    expect(parseFeeRate({operation: "transfer", currency: "USD", bps: 10}).rate).toEqual({flat: 0, bps: 10});
+    expect(parseFeeRate({operation: "mint", currency: "USD"}).error).toMatch(/operation/);
+    expect(parseFeeRate({operation: "transfer", currency: "USD", bps: 10_001}).error).toMatch(/bps/);
+    expect(parseFeeRate({operation: "transfer", currency: "USD", flat: -1}).error).toMatch(/flat/);
+    expect(parseFeeRate({operation: "convert", currency: "USD", flat: 5}).error).toMatch(/spread/);
+  });
+});
+
+/* ═══════════════════════════════════════════════
+   18. Conversion Validation
+   ═══════════════════════════════════════════════ */
+
+describe("conversionError", () => {
+  test("accepts a supported pair", () => {
+    expect(conversionError({from: "ETH", to: "USD", amount: 5})).toBeNull();
+  });
+
+  test("rejects missing fields, same currency and unknown codes", () => {
+    expect(conversionError({from: "ETH", to: "USD"})).toMatch(/positive amount/);
+    expect(conversionError({from: "USD", to: "USD", amount: 1})).toMatch(/same currency/);
+    expect(conversionError({from: "DOGE", to: "USD", amount: 1})).toMatch(/Unsupported/);
+  });
+});
+
+/* ═══════════════════════════════════════════════
+   19. Rate Aggregation
+   ═══════════════════════════════════════════════ */
+
+describe("medianRates", () => {
+  const base = {USD: 1, USDC: 1, BTC: 60000, SOL: 100};
+  const src = (source, ETH, fetchedAt = 1000) => ({source, rates: {...base, ETH}, fetchedAt});
+
+  test("takes the middle value of an odd number of sources", () => {
+    const snap = medianRates([src("a", 3000), src("b", 10), src("c", 3100)]);
+    expect(snap.rates.ETH).toBe(3000);
+    expect(snap.source).toBe("a,b,c");
+  });
+
+  test("averages the middle two of an even number", () => {
+    expect(medianRates([src("a", 3000), src("b", 3100)]).rates.ETH).toBe(3050);
+  });
+
+  test("is timestamped with the oldest contributing source", () => {
+    expect(medianRates([src("a", 1, 500), src("b", 1, 900)]).timestamp).toBe(500);
+  });
+
+  test("leaves out currencies no source prices", () => {
+    const snap = medianRates([{source: "a", rates: {USD: 1}, fetchedAt: 0}]);
+    expect(snap.rates).toEqual({USD: 1});
+  });
+});
+
+/* ═══════════════════════════════════════════════
+   20. Currency Registry
+   ═══════════════════════════════════════════════ */
+
+describe("currency registry", () => {
+  test("built-in currencies are valid for new activity", () => {
+    expect(currencyError("ETH")).toBeNull();
+    expect(currencyError("DOGE")).toEqual({
+      error: "Unsupported currency. Use: USD,USDC,ETH,BTC,SOL", code: "unsupported_currency",
+    });
+    expect(currencyError(undefined).error).toMatch(/Unsupported/);
+  });
+
+  test("parseCurrency keeps only the fields given", () => {
+    expect(parseCurrency({code: "EURC", decimals: 6, rateSourceId: "euro-coin"})).toEqual({
+      code: "EURC", fields: {decimals: 6, rateSourceId: "euro-coin"},
+    });
+    expect(parseCurrency({code: "ETH", enabled: false})).toEqual({code: "ETH", fields: {enabled: false}});
+  });
+
+  test("parseCurrency rejects malformed entries", () => {
+    expect(parseCurrency({code: "eurc", decimals: 6}).error).toMatch(/code/);
+    expect(parseCurrency({code: "X", decimals: 6}).error).toMatch(/code/);
+    expect(parseCurrency({code: "EURC", decimals: 19}).error).toMatch(/decimals/);
+    // 18 decimals would put 0.01 of a token past Number.MAX_SAFE_INTEGER
+    expect(parseCurrency({code: "WETH", decimals: 18}).error).toBe("decimals must be an integer from 0 to 9");
+    expect(parseCurrency({code: "WETH", decimals: 9}).error).toBeUndefined();
+    expect(parseCurrency({code: "EURC", decimals: 1.5}).error).toMatch(/decimals/);
+    expect(parseCurrency({code: "EURC", rateSourceId: ""}).error).toMatch(/rateSourceId/);
+    expect(parseCurrency({code: "EURC", enabled: "no"}).error).toMatch(/enabled/);
+  });
+
+  test("defaults match the legacy constants", () => {
+    for (const [code, {decimals}] of Object.entries(DEFAULT_CURRENCIES)) {
+      expect(10 ** decimals).toBe(UNITS[code]);
+    }
+  });
+});
+
+/* ═══════════════════════════════════════════════
+   21. Conversion Orders
+   ═══════════════════════════════════════════════ */
+
+describe("conversion orders", () => {
+  const order = {from: "ETH", to: "USD", amount: 100, type: "limit", targetRate: 4000};
+
+  test("accepts a well-formed order", () => {
+    expect(conversionOrderError(order)).toBeNull();
+    expect(conversionOrderError({...order, type: "stop", allowPartial: true, expiresIn: 3600})).toBeNull();
+  });
+
+  test("rejects bad types, targets and expiries", () => {
+    expect(conversionOrderError({...order, type: "market"})).toMatch(/type/);
+    expect(conversionOrderError({...order, targetRate: -1})).toMatch(/targetRate/);
+    expect(conversionOrderError({...order, targetRate: Infinity})).toMatch(/targetRate/);
+    expect(conversionOrderError({...order, expiresIn: 100 * 24 * 3600})).toMatch(/expiresIn/);
+    expect(conversionOrderError({...order, from: "USD"})).toMatch(/same currency/);
+  });
+
+  test("limit orders trigger at or above the target, stops at or below", () => {
+    expect(orderTriggered(order, 4000)).toBe(true);
+    expect(orderTriggered(order, 3999)).toBe(false);
+    const stop = {...order, type: "stop", targetRate: 3000};
+    expect(orderTriggered(stop, 3000)).toBe(true);
+    expect(orderTriggered(stop, 3001)).toBe(false);
+  });
+});
+
+/* ═══════════════════════════════════════════════
+   22. Decimal Amounts
+   ═══════════════════════════════════════════════ */
+
+describe("parseAmount / formatAmount", () => {
+  test("integers are smallest units, strings are whole units", () => {
+    expect(parseAmount(1_500_000, "USD")).toEqual({amount: 1_500_000});
+    expect(parseAmount("1.5", "USD")).toEqual({amount: 1_500_000});
+    expect(parseAmount("12.345678", "USD")).toEqual({amount: 12_345_678});
+    expect(parseAmount("0.000000001", "ETH")).toEqual({amount: 1});
+    expect(parseAmount("21", "BTC")).toEqual({amount: 2_100_000_000});
+  });
+
+  test("rejects fractions of a smallest unit and malformed values", () => {
+    expect(parseAmount(1.5, "USD").error).toMatch(/integer/);
+    expect(parseAmount("1.0000001", "USD").error).toMatch(/6 decimal places/);
+    expect(parseAmount("0", "USD").error).toMatch(/positive/);
+    expect(parseAmount(-5, "USD").error).toMatch(/positive/);
+    expect(parseAmount("1,5", "USD").error).toMatch(/decimal string/);
+    expect(parseAmount("99999999999", "ETH").error).toMatch(/positive integer/);
+    expect(parseAmount(null, "USD").error).toBeDefined();
+    expect(parseAmount("x", "USD", "minReceive").error).toMatch(/^minReceive/);
+  });
+
+  test("formats with the currency's full precision", () => {
+    expect(formatAmount(12_500_000, "USD")).toBe("12.500000");
+    expect(formatAmount(1, "ETH")).toBe("0.000000001");
+    expect(formatAmount(0, "BTC")).toBe("0.00000000");
+    expect(formatAmount(-2_000_000, "USD")).toBe("-2.000000");
+  });
+
+  test("format and parse round-trip", () => {
+    for (const n of [1, 999, 1_000_000, 123_456_789]) {
+      expect(parseAmount(formatAmount(n, "SOL"), "SOL").amount).toBe(n);
+    }
+  });
+});
+
+/* ═══════════════════════════════════════════════
+   23. REST API v1
+   ═══════════════════════════════════════════════ */
+
+describe("REST routing", () => {
+  test("matchPath extracts and decodes parameters", () => {
+    expect(matchPath("/v1/holds/:holdId/void", "/v1/holds/h%201/void")).toEqual({holdId: "h 1"});
+    expect(matchPath("/v1/transfers", "/v1/transfers")).toEqual({});
+    expect(matchPath("/v1/holds/:holdId/void", "/v1/holds//void")).toBeNull();
+    expect(matchPath("/v1/holds/:holdId/void", "/v1/holds/h1")).toBeNull();
+    expect(matchPath("/v1/holds/:holdId/void", "/v1/holds/%E0/void")).toBeNull();
+  });
+
+  test("matchRoute prefers literal routes and reports allowed methods", () => {
+    expect(matchRoute("POST", "/v1/transfers/batch").route.handler).toBe("batchTransfer");
+    expect(matchRoute("GET", "/v1/accounts/me/policy").route.handler).toBe("getSpendingPolicy");
+    expect(matchRoute("POST", "/v1/accounts/acct-1/policy").params).toEqual({accountId: "acct-1"});
+    expect(matchRoute("DELETE", "/v1/webhooks")).toEqual({allow: ["GET", "POST"]});
+    expect(matchRoute("GET", "/v2/transfers")).toBeNull();
+  });
+
+  test("fieldError checks presence and type", () => {
+    const fields = {toAccountId: "id", amount: "amount", description: "string?"};
+    expect(fieldError(fields, {toAccountId: "b", amount: "1.5"})).toBeNull();
+    expect(fieldError(fields, {amount: 1})).toEqual({field: "toAccountId", message: "toAccountId is required"});
+    expect(fieldError(fields, {toAccountId: "b", amount: true}).field).toBe("amount");
+    expect(fieldError(fields, {toAccountId: "b", amount: 1, description: 5}).field).toBe("description");
+    expect(fieldError({n: "number"}, {n: NaN}).field).toBe("n");
+  });
+
+  test("errorEnvelope keeps a handler's own code and extra fields", () => {
+    expect(errorEnvelope(403, {error: "Amount exceeds", code: "policy_x"}))
+        .toEqual({error: {code: "policy_x", message: "Amount exceeds"}});
+    expect(errorEnvelope(400, {error: "bad", field: "amount"}))
+        .toEqual({error: {code: "invalid_request", message: "bad", field: "amount"}});
+  });
+
+  test("errorEnvelope falls back to a code per status, never the message", () => {
+    expect(errorEnvelope(402, {error: "Insufficient funds"}).error.code).toBe("insufficient_funds");
+    expect(errorEnvelope(404, {error: "Recipient account not found"}).error.code).toBe("not_found");
+    expect(errorEnvelope(409, {error: "Only active accounts can be frozen"}).error.code).toBe("conflict");
+    expect(errorEnvelope(500, {error: "Transfer failed"}).error.code).toBe("internal_error");
+  });
+});
@@ -2,18 +2,25 @@
  * Often AI – Multi-LLM Proxy with balance billing
  *
  * Routes to: OpenAI, Anthropic, Google, Mistral, Together
- * Agents authenticate with Firebase ID tokens.
- * Usage billed in USD microdollars from agent balance.
+ * Agents authenticate with Firebase ID tokens or agent
+ * API keys (ok_live_…) carrying the "llm" scope.
+ * Usage billed in USD microdollars from agent balance and
+ * journaled against the LLM revenue system account.
+ * Described by openapi.json, served at /openapi.json.
  *
  * ENV:
- *   GCP_PROJECT – GCP project ID (Secret Manager)
- *   PORT        – server port (default 8080)
+ *   GCP_PROJECT      – GCP project ID (Secret Manager)
+ *   PORT             – server port (default 8080)
+ *   RATE_LIMITS      – JSON per-endpoint limit overrides ("chat")
+ *   RATE_LIMIT_STORE – "firestore" (default, shared) or "memory"
  */
 
 const express = require("express");
 const {SecretManagerServiceClient} = require("@google-cloud/secret-manager");
 const admin = require("firebase-admin");
 const axios = require("axios");
+const crypto = require("crypto");
+const OPENAPI = require("./openapi.json");
 
 admin.initializeApp();
 const db = admin.firestore();
@@ -95,6 +102,16 @@ const PRICING = {
 const DEFAULT_PRICING = {input: 2_500_000, output: 10_000_000};
 const MIN_BALANCE_MICROS = 1000; // $0.001
 
+// System account credited with LLM spend (see the functions' SYSTEM_ACCOUNTS)
+const LLM_REVENUE_ACCOUNT = "systemAccounts/llm_revenue";
+
+// USD not reserved by authorization holds (see the functions' createHold)
+function availableUsd(account) {
+  const bal = (account.balances || {}).USD || 0;
+  const held = (account.held || {}).USD || 0;
+  return bal - held;
+}
+
 function calculateCostMicros(model, promptTokens, completionTokens) {
   const p = PRICING[model] || DEFAULT_PRICING;
   const cost = (promptTokens * p.input + completionTokens * p.output) / 1_000_000;
@@ -195,19 +212,158 @@ function fromAnthropicResponse(data) {
 
 /* ═══════════ Auth middleware ═══════════ */
 
+// Agent API keys are issued by the functions' createApiKey endpoint.
+// Only the SHA-256 hash is stored, as the apiKeys document ID.
+const AGENT_KEY_PREFIX = "ok_live_";
+
+function hashAgentKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+async function authenticateAgentKey(key, req, res, next) {
+  let snap;
+  try {
+    snap = await db.doc(`apiKeys/${hashAgentKey(key)}`).get();
+  } catch (err) {
+    console.error("API key lookup failed:", err.message);
+    return res.status(401).json({error: "Invalid API key"});
+  }
+  const data = snap.exists ? snap.data() : null;
+  if (!data || data.revokedAt) {
+    return res.status(401).json({error: "Invalid API key"});
+  }
+  if (!(data.scopes || []).includes("llm")) {
+    return res.status(403).json({error: "API key lacks the \"llm\" scope"});
+  }
+  req.user = {uid: data.accountId, apiKeyId: snap.id, scopes: data.scopes};
+  next();
+}
+
 async function authenticate(req, res, next) {
   const hdr = req.headers.authorization || "";
   if (!hdr.startsWith("Bearer ")) {
     return res.status(401).json({error: "Missing Authorization header"});
   }
+  const token = hdr.substring(7);
+  if (token.startsWith(AGENT_KEY_PREFIX)) {
+    return authenticateAgentKey(token, req, res, next);
+  }
   try {
-    req.user = await admin.auth().verifyIdToken(hdr.substring(7));
+    req.user = await admin.auth().verifyIdToken(token);
     next();
   } catch (err) {
     return res.status(401).json({error: "Invalid or expired token"});
   }
 }
 
+/* ═══════════ Rate limiting ═══════════ */
+
+// Same fixed-window counters as the functions' checkRateLimit, and kept in
+// step with it (rules, validation, store fallback, warnings):
+// rateLimits/{sha256(key:windowStart)} in Firestore, shared by every
+// instance and expired by its TTL policy. RATE_LIMITS overrides
+// {limit, windowMs, by, overrides} per endpoint, e.g. {"chat": {"limit": 120}}.
+const RATE_LIMITS = {chat: {limit: 60, windowMs: 60_000, by: "uid"}};
+
+const rateMap = new Map();
+
+const RATE_LIMIT_STORES = {
+  // An atomic increment, not a transaction, so bursts do not contend
+  firestore: async (key, start, windowMs) => {
+    const id = crypto.createHash("sha256").update(`${key}:${start}`).digest("hex");
+    const ref = db.doc(`rateLimits/${id}`);
+    await ref.set({
+      key,
+      count: admin.firestore.FieldValue.increment(1),
+      expiresAt: admin.firestore.Timestamp.fromMillis(start + windowMs),
+    }, {merge: true});
+    return (await ref.get()).data().count;
+  },
+  // Per instance; for tests and local runs
+  memory: async (key, start, windowMs) => {
+    const id = `${key}:${start}`;
+    const entry = rateMap.get(id) || {count: 0, expiresAt: start + windowMs};
+    entry.count++;
+    rateMap.set(id, entry);
+    return entry.count;
+  },
+};
+
+function isValidRateRule({limit, windowMs, by, overrides}) {
+  const isLimit = (n) => Number.isSafeInteger(n) && n >= 0;
+  return isLimit(limit) && Number.isSafeInteger(windowMs) && windowMs > 0 &&
+    ["ip", "uid"].includes(by) && !!overrides && typeof overrides === "object" && !Array.isArray(overrides) &&
+    Object.values(overrides).every(isLimit);
+}
+
+// Defaults merged with RATE_LIMITS, or the defaults alone if the override is unusable
+function rateLimitRule(endpoint) {
+  const defaults = {overrides: {}, ...RATE_LIMITS[endpoint]};
+  let env = {};
+  try {
+    env = JSON.parse(process.env.RATE_LIMITS || "{}") || {};
+  } catch (err) {
+    console.warn("Ignoring malformed RATE_LIMITS:", err.message);
+  }
+  const rule = {...defaults, ...env[endpoint]};
+  if (isValidRateRule(rule)) return rule;
+  console.warn(`Ignoring invalid RATE_LIMITS.${endpoint}:`, JSON.stringify(env[endpoint]));
+  return defaults;
+}
+
+// An unknown RATE_LIMIT_STORE falls back to Firestore rather than disabling limits
+function rateLimitStore() {
+  const name = process.env.RATE_LIMIT_STORE || "firestore";
+  if (Object.hasOwn(RATE_LIMIT_STORES, name)) return RATE_LIMIT_STORES[name];
+  console.warn(`Unknown RATE_LIMIT_STORE "${name}", using firestore`);
+  return RATE_LIMIT_STORES.firestore;
+}
+
+// Client IP, preferring the first X-Forwarded-For hop
+function clientIp(req) {
+  const fwd = req.headers["x-forwarded-for"];
+  return req.ip || (fwd && String(fwd).split(",")[0].trim()) || "unknown";
+}
+
+// Keyed by caller uid or client IP; runs after authenticate. Fails open if
+// the store is down.
+function rateLimit(endpoint) {
+  return async (req, res, next) => {
+    const rule = rateLimitRule(endpoint);
+    const who = rule.by === "uid" ? req.user.uid : clientIp(req);
+    const limit = rule.overrides[who] ?? rule.limit;
+    const now = Date.now();
+    const start = now - (now % rule.windowMs);
+    const store = rateLimitStore();
+
+    let count;
+    try {
+      count = await store(`${endpoint}:${who}`, start, rule.windowMs);
+    } catch (err) {
+      console.warn("Rate limit store unavailable:", err.message);
+      return next();
+    }
+
+    const resetAt = start + rule.windowMs;
+    res.set("X-RateLimit-Limit", String(limit));
+    res.set("X-RateLimit-Remaining", String(Math.max(0, limit - count)));
+    res.set("X-RateLimit-Reset", String(Math.ceil(resetAt / 1000)));
+    if (count > limit) {
+      res.set("Retry-After", String(Math.max(1, Math.ceil((resetAt - now) / 1000))));
+      return res.status(429).json({error: "Too many requests. Try again later."});
+    }
+    next();
+  };
+}
+
+// Lazy cleanup of the memory store every 5 minutes
+setInterval(() => {
+  const now = Date.now();
+  for (const [k, v] of rateMap) {
+    if (v.expiresAt <= now) rateMap.delete(k);
+  }
+}, 5 * 60_000).unref();
+
 /* ═══════════ Express app ═══════════ */
 
 const app = express();
@@ -216,6 +372,12 @@ app.use(express.json({limit: "1mb"}));
 // Health check
 app.get("/health", (_req, res) => res.json({status: "ok"}));
 
+// OpenAPI description of this service
+app.get("/openapi.json", (_req, res) => {
+  res.set("Cache-Control", "public, max-age=300");
+  return res.json(OPENAPI);
+});
+
 // List available models with pricing
 app.get("/v1/models", (_req, res) => {
   const models = Object.entries(PRICING).map(([id, p]) => ({
@@ -230,7 +392,7 @@ app.get("/v1/models", (_req, res) => {
 });
 
 // Chat completions proxy
-app.post("/v1/chat/completions", authenticate, async (req, res) => {
+app.post("/v1/chat/completions", authenticate, rateLimit("chat"), async (req, res) => {
   const uid = req.user.uid;
   const model = req.body.model;
 
@@ -253,8 +415,15 @@ app.post("/v1/chat/completions", authenticate, async (req, res) => {
   if (!accountSnap.exists) {
     return res.status(404).json({error: "Account not found"});
   }
-  const balances = accountSnap.data().balances || {};
-  if ((balances.USD || 0) < MIN_BALANCE_MICROS) {
+  const accountStatus = accountSnap.data().status || "active";
+  if (accountStatus !== "active") {
+    // Same codes as the functions, so SDK callers get the same error type
+    return res.status(403).json({
+      error: `Account is ${accountStatus}`,
+      code: `account_${accountStatus}`,
+    });
+  }
+  if (availableUsd(accountSnap.data()) < MIN_BALANCE_MICROS) {
     return res.status(402).json({
       error: "Insufficient USD balance. Convert or deposit USD first.",
     });
@@ -293,6 +462,10 @@ app.post("/v1/chat/completions", authenticate, async (req, res) => {
 
     // Deduct from USD balance atomically
     let balanceAfter;
+    // The provider is already paid: bill even if the account was frozen
+    // meanwhile; status only gates new requests (checked above). Holds
+    // placed during the call do not shield the balance either, so held may
+    // end up above it; only a balance that cannot cover the cost is refused.
     await db.runTransaction(async (tx) => {
       const snap = await tx.get(accountRef);
       const current = (snap.data().balances || {}).USD || 0;
@@ -300,6 +473,20 @@ app.post("/v1/chat/completions", authenticate, async (req, res) => {
       balanceAfter = current - costMicros;
 
       tx.update(accountRef, {"balances.USD": balanceAfter});
+      // Double-entry: the agent's spend is LLM revenue
+      const journalRef = db.collection("journal").doc();
+      tx.set(db.doc(LLM_REVENUE_ACCOUNT), {
+        balances: {USD: admin.firestore.FieldValue.increment(costMicros)},
+      }, {merge: true});
+      tx.create(journalRef, {
+        type: "llm_usage",
+        lines: [
+          {account: `accounts/${uid}`, currency: "USD", debit: costMicros, credit: 0},
+          {account: LLM_REVENUE_ACCOUNT, currency: "USD", debit: 0, credit: costMicros},
+        ],
+        totals: {USD: costMicros},
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
       tx.create(db.collection("transactions").doc(), {
         accountId: uid,
         type: "llm_usage",
@@ -314,6 +501,7 @@ app.post("/v1/chat/completions", authenticate, async (req, res) => {
           promptTokens: usage.prompt_tokens,
           completionTokens: usage.completion_tokens,
         },
+        journalId: journalRef.id,
         createdAt: admin.firestore.FieldValue.serverTimestamp(),
       });
     });
@@ -348,9 +536,12 @@ module.exports = {
   detectProvider,
   toAnthropicRequest,
   fromAnthropicResponse,
+  hashAgentKey,
   PRICING,
   DEFAULT_PRICING,
+  PROVIDERS,
   MIN_BALANCE_MICROS,
+  rateMap,
 };
 
 if (require.main === module) {
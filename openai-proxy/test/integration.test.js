@@ -11,6 +11,10 @@
  *  - Payload manipulation (billing based on response, not request)
  *  - Provider routing (OpenAI, Anthropic, Mistral, etc.)
  *  - Admin endpoint hardening
+ *  - Agent API key authentication ("llm" scope)
+ *  - Double-entry journal entry crediting LLM revenue
+ *  - OpenAPI document checked against live responses
+ *  - Per-account rate limits with Retry-After and X-RateLimit-* headers
  */
 
 const request = require("supertest");
@@ -19,7 +23,12 @@ const request = require("supertest");
 
 let accountExists = true;
 let accountBalance = 1_000_000; // $1 in micros
+let accountHeld = 0; // USD reserved by holds
+let accountStatus = "active";
 let transactionLog = [];
+let journalLog = []; // journal/{id} entries
+let llmRevenue = 0; // systemAccounts/llm_revenue balances.USD
+let apiKeyDocs = {}; // apiKeys/{hash} documents
 let txQueue = Promise.resolve(); // serializes mock Firestore transactions
 
 /* ═══════════ Mock firebase-admin ═══════════ */
@@ -27,14 +36,20 @@ let txQueue = Promise.resolve(); // serializes mock Firestore transactions
 const mockVerifyIdToken = jest.fn();
 
 const mockDb = {
-  doc: jest.fn(() => ({
-    get: jest.fn(async () => ({
-      exists: accountExists,
-      data: () => ({balances: {USD: accountBalance}}),
-    })),
+  doc: jest.fn((path) => ({
+    get: jest.fn(async () => {
+      if (path.startsWith("apiKeys/")) {
+        const id = path.split("/")[1];
+        return {id, exists: !!apiKeyDocs[id], data: () => apiKeyDocs[id]};
+      }
+      return {
+        exists: accountExists,
+        data: () => ({balances: {USD: accountBalance}, held: {USD: accountHeld}, status: accountStatus}),
+      };
+    }),
   })),
-  collection: jest.fn(() => ({
-    doc: jest.fn(() => ({id: `tx-${Date.now()}`})),
+  collection: jest.fn((name) => ({
+    doc: jest.fn(() => ({id: `tx-${Date.now()}`, collection: name})),
   })),
   runTransaction: jest.fn(async (fn) => {
     // Serialize transactions to mimic Firestore's row-level locking
@@ -46,7 +61,7 @@ const mockDb = {
     try {
       const snap = {
         exists: accountExists,
-        data: () => ({balances: {USD: accountBalance}}),
+        data: () => ({balances: {USD: accountBalance}, held: {USD: accountHeld}, status: accountStatus}),
       };
       const tx = {
         get: jest.fn().mockResolvedValue(snap),
@@ -55,7 +70,12 @@ const mockDb = {
             accountBalance = data["balances.USD"];
           }
         }),
-        create: jest.fn((_, data) => transactionLog.push(data)),
+        create: jest.fn((ref, data) => {
+          (ref.collection === "journal" ? journalLog : transactionLog).push(data);
+        }),
+        set: jest.fn((_, data) => {
+          llmRevenue += data.balances.USD.increment;
+        }),
       };
       await fn(tx);
     } finally {
@@ -67,7 +87,10 @@ const mockDb = {
 jest.mock("firebase-admin", () => ({
   initializeApp: jest.fn(),
   firestore: Object.assign(jest.fn(() => mockDb), {
-    FieldValue: {serverTimestamp: jest.fn(() => new Date())},
+    FieldValue: {
+      serverTimestamp: jest.fn(() => new Date()),
+      increment: jest.fn((n) => ({increment: n})),
+    },
   }),
   auth: jest.fn(() => ({
     verifyIdToken: mockVerifyIdToken,
@@ -124,15 +147,24 @@ function mockAnthropicResponse(model = "claude-sonnet-4-20250514", inputTokens =
 
 /* ═══════════ Load the app ═══════════ */
 
-const {app, calculateCostMicros} = require("../index");
+// Count rate limits in memory; the Firestore store is covered by the functions' tests
+process.env.RATE_LIMIT_STORE = "memory";
+
+const {app, calculateCostMicros, hashAgentKey, PROVIDERS, rateMap} = require("../index");
 
 /* ═══════════ Setup ═══════════ */
 
 beforeEach(() => {
   accountExists = true;
   accountBalance = 1_000_000; // $1
+  accountHeld = 0;
+  accountStatus = "active";
   transactionLog = [];
+  journalLog = [];
+  llmRevenue = 0;
+  apiKeyDocs = {};
   txQueue = Promise.resolve();
+  rateMap.clear();
   jest.clearAllMocks();
 
   mockVerifyIdToken.mockImplementation(async (token) => {
@@ -236,6 +268,59 @@ describe("authentication", () => {
   });
 });
 
+describe("agent API key authentication", () => {
+  function seedKey(key, data) {
+    apiKeyDocs[hashAgentKey(key)] = {accountId: "agent-1", revokedAt: null, ...data};
+  }
+
+  test("accepts an API key with the llm scope", async () => {
+    seedKey("ok_live_llmkey", {scopes: ["llm"]});
+
+    const res = await request(app)
+      .post("/v1/chat/completions")
+      .set("Authorization", "Bearer ok_live_llmkey")
+      .send({model: "gpt-4o", messages: [{role: "user", content: "hi"}]});
+
+    expect(res.status).toBe(200);
+    expect(mockVerifyIdToken).not.toHaveBeenCalled();
+    expect(transactionLog[0].accountId).toBe("agent-1");
+  });
+
+  test("rejects an API key without the llm scope (403)", async () => {
+    seedKey("ok_live_readonly", {scopes: ["read"]});
+
+    const res = await request(app)
+      .post("/v1/chat/completions")
+      .set("Authorization", "Bearer ok_live_readonly")
+      .send({model: "gpt-4o", messages: [{role: "user", content: "hi"}]});
+
+    expect(res.status).toBe(403);
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  test("rejects a revoked API key (401)", async () => {
+    seedKey("ok_live_revoked", {scopes: ["llm"], revokedAt: new Date()});
+
+    const res = await request(app)
+      .post("/v1/chat/completions")
+      .set("Authorization", "Bearer ok_live_revoked")
+      .send({model: "gpt-4o", messages: [{role: "user", content: "hi"}]});
+
+    expect(res.status).toBe(401);
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  test("rejects an unknown API key (401)", async () => {
+    const res = await request(app)
+      .post("/v1/chat/completions")
+      .set("Authorization", "Bearer ok_live_unknown")
+      .send({model: "gpt-4o", messages: [{role: "user", content: "hi"}]});
+
+    expect(res.status).toBe(401);
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+});
+
 /* ═══════════════════════════════════════════════
    4. Balance Checks
    ═══════════════════════════════════════════════ */
@@ -278,6 +363,89 @@ describe("balance validation", () => {
     expect(axios.post).not.toHaveBeenCalled();
   });
 
+  test("held USD does not count toward the balance (402)", async () => {
+    accountBalance = 1_000_000;
+    accountHeld = 999_500; // only $0.0005 available
+
+    const res = await request(app)
+      .post("/v1/chat/completions")
+      .set("Authorization", "Bearer valid-token")
+      .send({model: "gpt-4o", messages: [{role: "user", content: "hi"}]});
+
+    expect(res.status).toBe(402);
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  test("rejects frozen accounts before calling the provider (403)", async () => {
+    accountStatus = "frozen";
+
+    const res = await request(app)
+      .post("/v1/chat/completions")
+      .set("Authorization", "Bearer valid-token")
+      .send({model: "gpt-4o", messages: [{role: "user", content: "hi"}]});
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toMatch(/frozen/);
+    expect(res.body.code).toBe("account_frozen");
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  test("bills a completion even if the account is frozen during the call", async () => {
+    axios.post.mockImplementation(async () => {
+      accountStatus = "frozen";
+      return mockOpenAIResponse("gpt-4o", 1000, 500);
+    });
+
+    const res = await request(app)
+      .post("/v1/chat/completions")
+      .set("Authorization", "Bearer valid-token")
+      .send({model: "gpt-4o", messages: [{role: "user", content: "hi"}]});
+
+    expect(res.status).toBe(200);
+    const cost = calculateCostMicros("gpt-4o", 1000, 500);
+    expect(accountBalance).toBe(1_000_000 - cost);
+    expect(transactionLog).toHaveLength(1);
+
+    const next = await request(app)
+      .post("/v1/chat/completions")
+      .set("Authorization", "Bearer valid-token")
+      .send({model: "gpt-4o", messages: [{role: "user", content: "hi"}]});
+    expect(next.status).toBe(403);
+  });
+
+  test("bills a completion even if a hold takes the available USD during the call", async () => {
+    axios.post.mockImplementation(async () => {
+      accountHeld = 1_000_000; // e.g. a hold or conversion order on all of it
+      return mockOpenAIResponse("gpt-4o", 1000, 500);
+    });
+
+    const res = await request(app)
+      .post("/v1/chat/completions")
+      .set("Authorization", "Bearer valid-token")
+      .send({model: "gpt-4o", messages: [{role: "user", content: "hi"}]});
+
+    expect(res.status).toBe(200);
+    const cost = calculateCostMicros("gpt-4o", 1000, 500);
+    expect(res.headers["x-often-cost-micros"]).toBe(cost.toString());
+    expect(accountBalance).toBe(1_000_000 - cost);
+    expect(accountHeld).toBeGreaterThan(accountBalance);
+    expect(transactionLog).toHaveLength(1);
+    expect(llmRevenue).toBe(cost);
+  });
+
+  test("rejects closed accounts (403)", async () => {
+    accountStatus = "closed";
+
+    const res = await request(app)
+      .post("/v1/chat/completions")
+      .set("Authorization", "Bearer valid-token")
+      .send({model: "gpt-4o", messages: [{role: "user", content: "hi"}]});
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe("account_closed");
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
   test("requires model field", async () => {
     const res = await request(app)
       .post("/v1/chat/completions")
@@ -325,6 +493,23 @@ describe("successful OpenAI completion", () => {
     expect(transactionLog[0].metadata.provider).toBe("openai");
   });
 
+  test("writes a balanced journal entry crediting LLM revenue", async () => {
+    const res = await request(app)
+      .post("/v1/chat/completions")
+      .set("Authorization", "Bearer valid-token")
+      .send({model: "gpt-4o", messages: [{role: "user", content: "Hello"}]});
+
+    const cost = parseInt(res.headers["x-often-cost-micros"], 10);
+    expect(journalLog).toHaveLength(1);
+    expect(journalLog[0]).toMatchObject({type: "llm_usage", totals: {USD: cost}});
+    expect(journalLog[0].lines).toEqual([
+      {account: "accounts/agent-1", currency: "USD", debit: cost, credit: 0},
+      {account: "systemAccounts/llm_revenue", currency: "USD", debit: 0, credit: cost},
+    ]);
+    expect(llmRevenue).toBe(cost);
+    expect(transactionLog[0].journalId).toBeDefined();
+  });
+
   test("balance header matches database after deduction", async () => {
     accountBalance = 5_000_000; // $5
     axios.post.mockResolvedValueOnce(mockOpenAIResponse("gpt-4o", 200, 100));
@@ -612,3 +797,228 @@ describe("multi-provider routing", () => {
     expect(callUrl).toContain("together.xyz");
   });
 });
+
+/* ═══════════════════════════════════════════════
+   12. OpenAPI Document
+   ═══════════════════════════════════════════════ */
+
+describe("OpenAPI document", () => {
+  const spec = require("../openapi.json");
+  const exercised = new Set();
+  const chat = {model: "gpt-4o", messages: [{role: "user", content: "hi"}]};
+
+  function resolve(schema) {
+    while (schema && schema.$ref) {
+      schema = schema.$ref.replace("#/", "").split("/").reduce((o, k) => o[k], spec);
+    }
+    return schema;
+  }
+
+  // Just enough JSON Schema for the document
+  function schemaErrors(schema, value, at = "body") {
+    schema = resolve(schema);
+    if (!schema) return [];
+    if (schema.oneOf) {
+      const hits = schema.oneOf.filter((s) => !schemaErrors(s, value, at).length);
+      return hits.length === 1 ? [] : [`${at}: matches ${hits.length} of oneOf`];
+    }
+    if (value === null) return schema.nullable ? [] : [`${at}: null`];
+    const types = {
+      integer: Number.isInteger, number: (v) => typeof v === "number",
+      string: (v) => typeof v === "string", array: Array.isArray,
+      object: (v) => typeof v === "object" && !Array.isArray(v),
+    };
+    if (schema.type && !types[schema.type](value)) return [`${at}: not ${schema.type}`];
+    if (schema.enum && !schema.enum.includes(value)) return [`${at}: ${value} not in enum`];
+    const errors = [];
+    if (schema.type === "object") {
+      for (const k of schema.required || []) {
+        if (!(k in value)) errors.push(`${at}.${k}: missing`);
+      }
+      for (const [k, v] of Object.entries(value)) {
+        const sub = (schema.properties || {})[k];
+        if (sub) errors.push(...schemaErrors(sub, v, `${at}.${k}`));
+      }
+    }
+    if (schema.type === "array") {
+      value.forEach((v, i) => errors.push(...schemaErrors(schema.items, v, `${at}[${i}]`)));
+    }
+    return errors;
+  }
+
+  // Check a supertest response against the document
+  function conforms(method, path, res) {
+    const op = spec.paths[path][method];
+    const response = resolve(op.responses[res.status] || op.responses.default);
+    expect(response).toBeDefined();
+    expect(schemaErrors(response.content["application/json"].schema, res.body)).toEqual([]);
+    for (const [name, header] of Object.entries(response.headers || {})) {
+      if (resolve(header).required) expect(res.headers).toHaveProperty(name.toLowerCase());
+    }
+    if (res.status < 300) exercised.add(`${method} ${path}`);
+  }
+
+  async function post(body, token = "valid-token") {
+    const res = await request(app)
+      .post("/v1/chat/completions")
+      .set("Authorization", `Bearer ${token}`)
+      .send(body);
+    conforms("post", "/v1/chat/completions", res);
+    return res;
+  }
+
+  test("is served at /openapi.json", async () => {
+    const res = await request(app).get("/openapi.json");
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(spec);
+    conforms("get", "/openapi.json", res);
+  });
+
+  test("documents exactly the app's routes and providers", () => {
+    const routes = app._router.stack.filter((l) => l.route).flatMap((l) =>
+      Object.keys(l.route.methods).map((m) => `${m} ${l.route.path}`));
+    const documented = Object.entries(spec.paths).flatMap(([path, ops]) =>
+      Object.keys(ops).map((m) => `${m} ${path}`));
+
+    expect(documented.sort()).toEqual(routes.sort());
+    expect(spec.components.schemas.Provider.enum).toEqual(Object.keys(PROVIDERS));
+  });
+
+  test("live responses match the documented schemas", async () => {
+    conforms("get", "/health", await request(app).get("/health"));
+    conforms("get", "/v1/models", await request(app).get("/v1/models"));
+    conforms("get", "/openapi.json", await request(app).get("/openapi.json"));
+
+    const ok = await post(chat);
+    expect(ok.status).toBe(200);
+    axios.post.mockResolvedValueOnce(mockAnthropicResponse());
+    expect((await post({...chat, model: "claude-sonnet-4-20250514"})).status).toBe(200);
+
+    expect((await post({messages: chat.messages})).status).toBe(400);
+    expect((await post(chat, "expired-token")).status).toBe(401);
+
+    apiKeyDocs[hashAgentKey("ok_live_readonly")] = {accountId: "agent-1", scopes: ["read"]};
+    expect((await post(chat, "ok_live_readonly")).status).toBe(403);
+
+    axios.post.mockRejectedValueOnce({response: {status: 429, data: {error: {message: "slow down"}}}});
+    expect((await post(chat)).status).toBe(429);
+    axios.post.mockRejectedValueOnce({response: {status: 502, data: "bad gateway"}});
+    expect((await post(chat)).status).toBe(502);
+    axios.post.mockRejectedValueOnce(new Error("socket hang up"));
+    expect((await post(chat)).status).toBe(500);
+
+    accountBalance = 0;
+    expect((await post(chat)).status).toBe(402);
+    accountExists = false;
+    expect((await post(chat)).status).toBe(404);
+
+    const documented = Object.entries(spec.paths).flatMap(([path, ops]) =>
+      Object.keys(ops).map((m) => `${m} ${path}`));
+    expect([...exercised].sort()).toEqual(documented.sort());
+  });
+});
+
+/* ═══════════════════════════════════════════════
+   13. Rate Limiting
+   ═══════════════════════════════════════════════ */
+
+describe("rate limiting", () => {
+  const chat = {model: "gpt-4o", messages: [{role: "user", content: "hi"}]};
+
+  function post(token = "valid-token") {
+    return request(app)
+        .post("/v1/chat/completions")
+        .set("Authorization", `Bearer ${token}`)
+        .send(chat);
+  }
+
+  beforeEach(() => {
+    process.env.RATE_LIMITS = JSON.stringify({chat: {limit: 2, overrides: {"agent-vip": 3}}});
+    mockVerifyIdToken.mockImplementation(async (token) => ({uid: token === "vip-token" ? "agent-vip" : "agent-1"}));
+  });
+
+  afterEach(() => {
+    delete process.env.RATE_LIMITS;
+  });
+
+  test("successful calls carry X-RateLimit-* headers", async () => {
+    const res = await post();
+
+    expect(res.status).toBe(200);
+    expect(res.headers["x-ratelimit-limit"]).toBe("2");
+    expect(res.headers["x-ratelimit-remaining"]).toBe("1");
+    expect(Number(res.headers["x-ratelimit-reset"]) * 1000).toBeGreaterThan(Date.now());
+  });
+
+  test("over the limit: 429 with Retry-After, no provider call, nothing billed", async () => {
+    await post();
+    await post();
+    axios.post.mockClear();
+    const balance = accountBalance;
+
+    const res = await post();
+
+    expect(res.status).toBe(429);
+    expect(res.body).toEqual({error: "Too many requests. Try again later."});
+    expect(Number(res.headers["retry-after"])).toBeGreaterThanOrEqual(1);
+    expect(res.headers["x-ratelimit-remaining"]).toBe("0");
+    expect(axios.post).not.toHaveBeenCalled();
+    expect(accountBalance).toBe(balance);
+  });
+
+  test("limits are per account, with per-uid overrides", async () => {
+    await post();
+    await post();
+    expect((await post()).status).toBe(429);
+
+    for (let i = 0; i < 3; i++) expect((await post("vip-token")).status).toBe(200);
+    expect((await post("vip-token")).status).toBe(429);
+  });
+
+  test("by: ip shares one bucket across accounts from the same address", async () => {
+    process.env.RATE_LIMITS = JSON.stringify({chat: {limit: 1, by: "ip"}});
+
+    expect((await post()).status).toBe(200);
+    expect((await post("vip-token")).status).toBe(429);
+  });
+
+  test("the default allows 60 calls a minute", async () => {
+    delete process.env.RATE_LIMITS;
+
+    const res = await post();
+
+    expect(res.headers["x-ratelimit-limit"]).toBe("60");
+  });
+
+  test("unusable overrides fall back to the defaults with a warning", async () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    try {
+      for (const chatRule of [{overrides: null}, {windowMs: 0}, {limit: -1}]) {
+        process.env.RATE_LIMITS = JSON.stringify({chat: chatRule});
+        rateMap.clear();
+
+        const res = await post();
+
+        expect(res.status).toBe(200);
+        expect(res.headers["x-ratelimit-limit"]).toBe("60");
+        expect(Number(res.headers["x-ratelimit-reset"])).not.toBeNaN();
+      }
+      expect(warn).toHaveBeenCalledTimes(3);
+    } finally {
+      warn.mockRestore();
+    }
+  });
+
+  test("an unknown store falls back to Firestore instead of disabling limits", async () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    process.env.RATE_LIMIT_STORE = "redis";
+    try {
+      await post();
+      expect(warn).toHaveBeenCalledWith('Unknown RATE_LIMIT_STORE "redis", using firestore');
+    } finally {
+      process.env.RATE_LIMIT_STORE = "memory";
+      warn.mockRestore();
+    }
+  });
+});
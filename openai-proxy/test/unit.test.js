@@ -10,6 +10,7 @@
  *  - Floating-point safety
  *  - Provider detection from model names
  *  - Anthropic translation layer
+ *  - Agent API key hashing (must match the functions)
  */
 
 /* ── Mock external dependencies so we can import the module ── */
@@ -39,6 +40,7 @@ const {
   detectProvider,
   toAnthropicRequest,
   fromAnthropicResponse,
+  hashAgentKey,
   PRICING,
   DEFAULT_PRICING,
   MIN_BALANCE_MICROS,
@@ -354,3 +356,16 @@ describe("fromAnthropicResponse", () => {
     expect(make("tool_use").choices[0].finish_reason).toBe("tool_calls");
   });
 });
+
+/* ═══════════════════════════════════════════════
+   6. Agent API Key Hashing
+   ═══════════════════════════════════════════════ */
+
+describe("hashAgentKey", () => {
+  test("is hex SHA-256, the same digest the functions store", () => {
+    // echo -n ok_live_abc | sha256sum
+    expect(hashAgentKey("ok_live_abc")).toBe(
+      "2e14787fe2c96ba92ad3848679ee46e7d0d209f203950d28169cf42a3286d90c",
+    );
+  });
+});
@@ -0,0 +1,971 @@
+/**
+ * Often AI – JavaScript client
+ *
+ * One client for the bank's REST API (the `api` function,
+ * /v1/...) and the LLM proxy. It keeps Firebase ID tokens
+ * fresh, retries safely (GETs, and POSTs sent with an
+ * Idempotency-Key), throws typed errors carrying the API's
+ * stable error codes, and reports proxy billing headers.
+ *
+ * Amounts are integers in the currency's smallest unit, or
+ * decimal strings such as "1.5".
+ *
+ *   const {OftenClient} = require("@often-ai/sdk");
+ *   const often = new OftenClient({baseUrl, proxyUrl});
+ *   await often.login(email, password);
+ *   await often.transfer({toAccountId, amount: "2.5",
+ *     currency: "USD"});
+ *   const {completion, billing} = await often.chatCompletion({
+ *     model: "gpt-4o-mini", messages});
+ */
+
+const crypto = require("crypto");
+
+// Refresh the ID token this long before it expires
+const REFRESH_MARGIN_MS = 60_000;
+const MAX_RETRIES = 2;
+const RETRY_BASE_MS = 250;
+const RETRY_MAX_MS = 8_000;
+// Statuses that mean "not done, try again"
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+/* ═════════════════ ERRORS ═════════════════ */
+
+/**
+ * Any failed call. `code` is the API's stable error code
+ * (e.g. "insufficient_funds"); `status` is the HTTP status,
+ * or 0 when the request never got a response.
+ */
+class OftenError extends Error {
+  /**
+   * @param {string} message - Error message from the API
+   * @param {object} [info] - {status, code, field, body}
+   */
+  constructor(message, info = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = info.status || 0;
+    this.code = info.code || "internal_error";
+    this.field = info.field;
+    this.body = info.body;
+  }
+}
+
+/** 400: malformed request, unknown or disabled currency. */
+class ValidationError extends OftenError {}
+/** 401: missing, invalid or expired credentials. */
+class AuthenticationError extends OftenError {}
+/** 402: the balance (or available balance) is too low. */
+class InsufficientFundsError extends OftenError {}
+/** 403: missing scope, frozen/closed account, admin only. */
+class PermissionError extends OftenError {}
+/** 403: refused by the account's spending policy. */
+class PolicyError extends PermissionError {}
+/** 404: the account, recipient, quote, hold, … is unknown. */
+class NotFoundError extends OftenError {}
+/** 409/410: the resource is in the wrong state or expired. */
+class ConflictError extends OftenError {}
+/** 409: an Idempotency-Key was reused with another body. */
+class IdempotencyError extends ConflictError {}
+/** 429: slow down; `retryAfter` is in seconds when known. */
+class RateLimitError extends OftenError {
+  /**
+   * @param {string} message - Error message from the API
+   * @param {object} info - {status, code, field, body, retryAfter}
+   */
+  constructor(message, info = {}) {
+    super(message, info);
+    this.retryAfter = info.retryAfter;
+  }
+}
+/** 5xx: exchange rates, a provider or the service is down. */
+class ServiceError extends OftenError {}
+/** The request failed before any response arrived. */
+class NetworkError extends OftenError {}
+
+const CODE_ERRORS = {
+  insufficient_funds: InsufficientFundsError,
+  idempotency_conflict: IdempotencyError,
+  rate_unavailable: ServiceError,
+};
+const STATUS_ERRORS = {
+  400: ValidationError,
+  401: AuthenticationError,
+  402: InsufficientFundsError,
+  403: PermissionError,
+  404: NotFoundError,
+  409: ConflictError,
+  410: ConflictError,
+  429: RateLimitError,
+};
+// Same fallbacks as the bank's router, for bodies without
+// a code (the proxy and the legacy exports)
+const STATUS_CODES = {
+  400: "invalid_request",
+  401: "unauthenticated",
+  402: "insufficient_funds",
+  403: "forbidden",
+  404: "not_found",
+  405: "method_not_allowed",
+  409: "conflict",
+  410: "gone",
+  422: "unprocessable",
+  429: "rate_limited",
+  503: "service_unavailable",
+};
+
+/**
+ * Build the typed error for a failed response. Reads both
+ * the v1 envelope ({error: {code, message}}) and the plain
+ * {error: "message"} bodies of the proxy.
+ * @param {number} status - HTTP status
+ * @param {*} body - Parsed response body
+ * @param {object} [headers] - Response headers
+ * @return {OftenError} Error to throw
+ */
+function errorFor(status, body, headers) {
+  const err = body && body.error;
+  const envelope = err && typeof err === "object" ? err : {
+    message: typeof err === "string" ? err : `HTTP ${status}`,
+    code: body && body.code,
+  };
+  const code = envelope.code || STATUS_CODES[status] ||
+    (status >= 500 ? "internal_error" : "unknown_error");
+  const Type = CODE_ERRORS[code] ||
+    (code.startsWith("policy_") ? PolicyError : null) ||
+    STATUS_ERRORS[status] ||
+    (status >= 500 ? ServiceError : OftenError);
+  const retryAfter = headers && retryAfterSeconds(headers);
+  return new Type(envelope.message, {
+    status, code, field: envelope.field, body, retryAfter,
+  });
+}
+
+/* ═════════════════ HELPERS ═════════════════ */
+
+/**
+ * Seconds from a Retry-After header, if it holds a number.
+ * @param {object} headers - Fetch Headers
+ * @return {number|undefined} Seconds to wait
+ */
+function retryAfterSeconds(headers) {
+  const v = Number(headers.get("retry-after"));
+  return Number.isFinite(v) && v >= 0 ? v : undefined;
+}
+
+/**
+ * Delay before retry `attempt` (0-based): Retry-After when
+ * the server sent one, else capped exponential backoff with
+ * jitter.
+ * @param {number} attempt - Retries already made
+ * @param {number} [retryAfter] - Server-requested seconds
+ * @return {number} Milliseconds to wait
+ */
+function retryDelay(attempt, retryAfter) {
+  if (retryAfter !== undefined) {
+    return Math.min(retryAfter * 1000, RETRY_MAX_MS);
+  }
+  const ceiling = Math.min(RETRY_BASE_MS * 2 ** attempt, RETRY_MAX_MS);
+  return ceiling / 2 + Math.random() * ceiling / 2;
+}
+
+/**
+ * Structured billing from the proxy's X-Often-* headers.
+ * @param {object} headers - Fetch Headers
+ * @return {Billing|null} Billing, or null if absent
+ */
+function billingFrom(headers) {
+  const cost = headers.get("x-often-cost-micros");
+  if (cost === null) return null;
+  return {
+    costMicros: Number(cost),
+    balanceMicros: Number(headers.get("x-often-balance-micros")),
+    provider: headers.get("x-often-provider"),
+    currency: "USD",
+  };
+}
+
+/**
+ * Query string for defined params, with a leading "?".
+ * @param {object} [params] - Query parameters
+ * @return {string} Query string, or ""
+ */
+function queryString(params = {}) {
+  const defined = Object.entries(params)
+      .filter(([, v]) => v !== undefined && v !== null);
+  if (!defined.length) return "";
+  return `?${new URLSearchParams(defined.map(([k, v]) => [k, String(v)]))}`;
+}
+
+/**
+ * Sleep for `ms` milliseconds.
+ * @param {number} ms - Milliseconds
+ * @return {Promise<void>} Resolves after the delay
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/* ═════════════════ TYPES ═════════════════ */
+
+/**
+ * @typedef {number|string} Amount
+ * Smallest units (integer) or a decimal string like "1.5".
+ *
+ * @typedef {object} Tokens
+ * @property {string} idToken
+ * @property {string} refreshToken
+ * @property {number} expiresAt - Epoch ms the idToken expires
+ *
+ * @typedef {object} Money
+ * @property {string} currency
+ * @property {number} amount
+ *
+ * @typedef {object} Account
+ * @property {string} uid
+ * @property {Object<string, number>} balances
+ * @property {Object<string, number>} available
+ * @property {Object<string, number>} held
+ * @property {{balances: Object<string, string>,
+ *   available: Object<string, string>,
+ *   held: Object<string, string>}} formatted
+ * @property {"active"|"frozen"|"closed"} status
+ * @property {string[]} supportedCurrencies
+ *
+ * @typedef {object} Transaction
+ * @property {string} id
+ * @property {string} accountId
+ * @property {string} type
+ * @property {string} currency
+ * @property {number} amount
+ * @property {number} [balanceBefore]
+ * @property {number} [balanceAfter]
+ * @property {string} [description]
+ * @property {object} [metadata]
+ *
+ * @typedef {object} TransferResult
+ * @property {string} currency
+ * @property {number} balance - Sender balance afterwards
+ * @property {number} fee
+ * @property {{balance: string, fee: string}} formatted
+ *
+ * @typedef {object} Quote
+ * @property {string} quoteId
+ * @property {string} from
+ * @property {string} to
+ * @property {number} amount
+ * @property {number} receive
+ * @property {Money} fee
+ * @property {number} rate
+ * @property {string} expiresAt
+ *
+ * @typedef {object} ConversionResult
+ * @property {{from: Money, to: Money}} converted
+ * @property {Money} fee
+ * @property {{value: number, source: string,
+ *   timestamp: string}} rate
+ * @property {Object<string, number>} balances
+ * @property {object} formatted
+ *
+ * @typedef {object} Billing
+ * @property {number} costMicros - USD micros charged
+ * @property {number} balanceMicros - USD balance afterwards
+ * @property {string} provider - openai, anthropic, …
+ * @property {"USD"} currency
+ *
+ * @typedef {object} ChatResult
+ * @property {object} completion - OpenAI-format completion
+ * @property {Billing|null} billing
+ *
+ * @typedef {object} CallOptions
+ * @property {string} [idempotencyKey] - Reuse a key across
+ *   your own retries; one is generated otherwise
+ */
+
+/* ═════════════════ CLIENT ═════════════════ */
+
+class OftenClient {
+  /**
+   * @param {object} options
+   * @param {string} options.baseUrl - URL of the `api`
+   *   function, e.g. https://REGION-PROJECT.cloudfunctions.net/api
+   * @param {string} [options.proxyUrl] - LLM proxy URL
+   * @param {string} [options.apiKey] - Agent API key (ok_live_…)
+   * @param {string} [options.adminKey] - ADMIN_API_KEY, for
+   *   operator endpoints
+   * @param {Tokens} [options.tokens] - Saved session
+   * @param {function(Tokens): void} [options.onTokens] -
+   *   Called whenever the session changes, to persist it
+   * @param {number} [options.maxRetries] - Retries per call
+   * @param {number} [options.refreshMarginMs] - Refresh the
+   *   ID token this long before it expires
+   * @param {Function} [options.fetch] - fetch implementation
+   */
+  constructor(options = {}) {
+    if (!options.baseUrl) throw new TypeError("baseUrl is required");
+    this.baseUrl = options.baseUrl.replace(/\/+$/, "");
+    this.proxyUrl = (options.proxyUrl || "").replace(/\/+$/, "");
+    this.apiKey = options.apiKey;
+    this.adminKey = options.adminKey;
+    this.tokens = options.tokens || null;
+    this.onTokens = options.onTokens;
+    this.maxRetries = options.maxRetries ?? MAX_RETRIES;
+    this.refreshMarginMs = options.refreshMarginMs ?? REFRESH_MARGIN_MS;
+    this.fetch = options.fetch || globalThis.fetch;
+    this.refreshing = null;
+  }
+
+  /* ───────── transport ───────── */
+
+  /**
+   * Send one request with retries, refresh and error mapping.
+   * @param {string} method - GET or POST
+   * @param {string} path - Path under the service URL
+   * @param {object} [opts]
+   * @param {object} [opts.body] - JSON body
+   * @param {object} [opts.query] - Query parameters
+   * @param {"user"|"admin"|"none"} [opts.auth] - Credential
+   * @param {boolean} [opts.idempotent] - Send an
+   *   Idempotency-Key so POST retries are safe
+   * @param {string} [opts.idempotencyKey] - Caller's key
+   * @param {"bank"|"proxy"} [opts.service] - Target service
+   * @return {Promise<{body: *, headers: object}>} Response
+   */
+  async send(method, path, opts = {}) {
+    const {auth = "user", service = "bank"} = opts;
+    const base = service === "proxy" ? this.proxyUrl : this.baseUrl;
+    if (!base) throw new TypeError(`${service} URL is not configured`);
+    const url = `${base}${path}${queryString(opts.query)}`;
+    const headers = {"Content-Type": "application/json"};
+    const idempotent = method === "GET" || opts.idempotent;
+    if (opts.idempotent) {
+      headers["Idempotency-Key"] =
+        opts.idempotencyKey || crypto.randomUUID();
+    }
+
+    let refreshed = false;
+    for (let attempt = 0; ; attempt++) {
+      if (auth === "admin") {
+        if (!this.adminKey) throw new TypeError("adminKey is required");
+        headers["x-admin-key"] = this.adminKey;
+      } else if (auth === "user") {
+        headers.Authorization = `Bearer ${await this.credential()}`;
+      }
+
+      let res;
+      try {
+        res = await this.fetch(url, {
+          method,
+          headers: {...headers},
+          body: opts.body === undefined ? undefined :
+            JSON.stringify(opts.body),
+        });
+      } catch (err) {
+        if (idempotent && attempt < this.maxRetries) {
+          await sleep(retryDelay(attempt));
+          continue;
+        }
+        throw new NetworkError(err.message, {code: "network_error"});
+      }
+
+      const text = await res.text();
+      let body = text;
+      try {
+        body = text ? JSON.parse(text) : null;
+      } catch (err) {
+        // Not JSON (e.g. a CSV statement); return it as text
+      }
+      if (res.ok) return {body, headers: res.headers};
+
+      const error = errorFor(res.status, body, res.headers);
+      if (res.status === 401 && auth === "user" && !refreshed &&
+        !this.apiKey && this.tokens && this.tokens.refreshToken) {
+        refreshed = true;
+        await this.refresh();
+        attempt--;
+        continue;
+      }
+      // A 429 was refused before any work was done, so even
+      // a plain POST can be retried
+      const retryable = RETRYABLE_STATUSES.includes(res.status) &&
+        (idempotent || res.status === 429);
+      if (retryable && attempt < this.maxRetries) {
+        await sleep(retryDelay(attempt, error.retryAfter));
+        continue;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Send a request to the bank and return its body.
+   * @param {string} method - GET or POST
+   * @param {string} path - Path under baseUrl
+   * @param {object} [opts] - As for send()
+   * @return {Promise<*>} Response body
+   */
+  async request(method, path, opts) {
+    return (await this.send(method, path, opts)).body;
+  }
+
+  /**
+   * Bearer credential: the API key, or a fresh ID token.
+   * @return {Promise<string>} Credential
+   */
+  async credential() {
+    if (this.apiKey) return this.apiKey;
+    if (!this.tokens) {
+      throw new AuthenticationError("Not logged in", {
+        status: 401, code: "unauthenticated",
+      });
+    }
+    if (this.tokens.refreshToken &&
+      Date.now() >= this.tokens.expiresAt - this.refreshMarginMs) {
+      await this.refresh();
+    }
+    return this.tokens.idToken;
+  }
+
+  /**
+   * Store a session from signup/login/refresh.
+   * @param {object} t - {idToken, refreshToken, expiresIn}
+   * @return {Tokens} Stored tokens
+   */
+  setTokens(t) {
+    this.tokens = {
+      idToken: t.idToken,
+      refreshToken: t.refreshToken,
+      expiresAt: Date.now() + Number(t.expiresIn || 3600) * 1000,
+    };
+    if (this.onTokens) this.onTokens(this.tokens);
+    return this.tokens;
+  }
+
+  /* ───────── auth ───────── */
+
+  /**
+   * Create an account and start a session.
+   * @param {string} email - Email
+   * @param {string} password - At least 8 characters
+   * @return {Promise<{uid: string, tokens: Tokens}>} Session
+   */
+  async signup(email, password) {
+    const body = await this.request("POST", "/v1/auth/signup", {
+      auth: "none", body: {email, password},
+    });
+    return {uid: body.uid, tokens: this.setTokens(body)};
+  }
+
+  /**
+   * Start a session with email and password.
+   * @param {string} email - Email
+   * @param {string} password - Password
+   * @return {Promise<Tokens>} Session
+   */
+  async login(email, password) {
+    return this.setTokens(await this.request("POST", "/v1/auth/login", {
+      auth: "none", body: {email, password},
+    }));
+  }
+
+  /**
+   * Trade the refresh token for a new ID token. Concurrent
+   * callers share one refresh.
+   * @return {Promise<Tokens>} Session
+   */
+  refresh() {
+    if (!this.refreshing) {
+      const refreshToken = this.tokens && this.tokens.refreshToken;
+      this.refreshing = this.request("POST", "/v1/auth/refresh", {
+        auth: "none", body: {refreshToken},
+      }).then((body) => this.setTokens(body))
+          .finally(() => {
+            this.refreshing = null;
+          });
+    }
+    return this.refreshing;
+  }
+
+  /**
+   * Mint an agent API key (needs a login session).
+   * @param {{name?: string, scopes?: string[]}} [input]
+   * @return {Promise<object>} {id, key, scopes, …}
+   */
+  createApiKey(input = {}) {
+    return this.request("POST", "/v1/api-keys", {body: input});
+  }
+
+  /** @return {Promise<object>} {apiKeys} */
+  listApiKeys() {
+    return this.request("GET", "/v1/api-keys");
+  }
+
+  /**
+   * @param {string} id - API key ID
+   * @return {Promise<object>} Revoked key
+   */
+  revokeApiKey(id) {
+    return this.request("POST", `/v1/api-keys/${enc(id)}/revoke`);
+  }
+
+  /* ───────── account ───────── */
+
+  /** @return {Promise<Account>} The caller's account */
+  getAccount() {
+    return this.request("GET", "/v1/accounts/me");
+  }
+
+  /**
+   * One page of the caller's ledger, newest first.
+   * @param {{limit?: number, cursor?: string, type?: string,
+   *   currency?: string, counterparty?: string,
+   *   from?: string, to?: string}} [query]
+   * @return {Promise<{transactions: Transaction[],
+   *   nextCursor: ?string}>} Page
+   */
+  getTransactions(query) {
+    return this.request("GET", "/v1/accounts/me/transactions", {query});
+  }
+
+  /**
+   * Statement for one currency; with `accountId`, an
+   * operator statement (needs adminKey).
+   * @param {{currency: string, period?: string, from?: string,
+   *   to?: string, format?: "json"|"csv",
+   *   accountId?: string}} query
+   * @return {Promise<object|string>} Statement (CSV as text)
+   */
+  getStatement(query) {
+    const {accountId, ...rest} = query;
+    return accountId ?
+      this.request("GET", `/v1/accounts/${enc(accountId)}/statement`,
+          {query: rest, auth: "admin"}) :
+      this.request("GET", "/v1/accounts/me/statement", {query: rest});
+  }
+
+  /**
+   * @param {string} [accountId] - Another account (admin)
+   * @return {Promise<object>} Spending policy
+   */
+  getSpendingPolicy(accountId) {
+    return accountId ?
+      this.request("GET", `/v1/accounts/${enc(accountId)}/policy`,
+          {auth: "admin"}) :
+      this.request("GET", "/v1/accounts/me/policy");
+  }
+
+  /**
+   * @param {object} policy - {maxPerTransaction, dailyLimit,
+   *   allowlist, denylist, locked?}
+   * @param {string} [accountId] - Another account (admin)
+   * @return {Promise<object>} Stored policy
+   */
+  setSpendingPolicy(policy, accountId) {
+    return accountId ?
+      this.request("POST", `/v1/accounts/${enc(accountId)}/policy`,
+          {body: policy, auth: "admin"}) :
+      this.request("POST", "/v1/accounts/me/policy", {body: policy});
+  }
+
+  /**
+   * Freeze, unfreeze or close an account (admin).
+   * @param {string} accountId - Account
+   * @param {"freeze"|"unfreeze"|"close"} action - Transition
+   * @param {string} reason - Audit reason
+   * @return {Promise<object>} {accountId, status}
+   */
+  setAccountStatus(accountId, action, reason) {
+    return this.request("POST",
+        `/v1/accounts/${enc(accountId)}/${action}`,
+        {body: {reason}, auth: "admin"});
+  }
+
+  /* ───────── money movement ───────── */
+
+  /**
+   * Credit an account (admin).
+   * @param {{accountId: string, amount: Amount,
+   *   currency: string}} input
+   * @param {CallOptions} [opts]
+   * @return {Promise<{currency: string, balance: number}>}
+   */
+  deposit(input, opts = {}) {
+    return this.request("POST", "/v1/deposits", {
+      body: input, auth: "admin", idempotent: true, ...opts,
+    });
+  }
+
+  /**
+   * Pay another agent.
+   * @param {{toAccountId: string, amount: Amount,
+   *   currency: string, description?: string}} input
+   * @param {CallOptions} [opts]
+   * @return {Promise<TransferResult>} Result
+   */
+  transfer(input, opts = {}) {
+    return this.request("POST", "/v1/transfers", {
+      body: input, idempotent: true, ...opts,
+    });
+  }
+
+  /**
+   * Several transfers, all or nothing.
+   * @param {object[]} transfers - Transfer inputs
+   * @param {string} [description] - Shared description
+   * @param {CallOptions} [opts]
+   * @return {Promise<object>} {batchId, totals, …}
+   */
+  batchTransfer(transfers, description, opts = {}) {
+    return this.request("POST", "/v1/transfers/batch", {
+      body: {transfers, description}, idempotent: true, ...opts,
+    });
+  }
+
+  /**
+   * Refund (part of) a transfer you received.
+   * @param {string} transactionId - Your transfer_in entry
+   * @param {{amount?: Amount, reason?: string}} [input]
+   * @param {CallOptions} [opts]
+   * @return {Promise<object>} Refund
+   */
+  refundTransfer(transactionId, input = {}, opts = {}) {
+    return this.request("POST",
+        `/v1/transfers/${enc(transactionId)}/refund`,
+        {body: input, idempotent: true, ...opts});
+  }
+
+  /**
+   * Reverse a transfer (admin).
+   * @param {string} transactionId - Either side's entry
+   * @param {string} reason - Audit reason
+   * @return {Promise<object>} Reversal
+   */
+  reverseTransfer(transactionId, reason) {
+    return this.request("POST",
+        `/v1/transfers/${enc(transactionId)}/reverse`,
+        {body: {reason}, auth: "admin"});
+  }
+
+  /* ───────── conversions ───────── */
+
+  /**
+   * Lock a rate for a short time.
+   * @param {{from: string, to: string, amount: Amount}} input
+   * @return {Promise<Quote>} Quote
+   */
+  quoteConversion(input) {
+    return this.request("POST", "/v1/conversions/quotes", {body: input});
+  }
+
+  /**
+   * Convert at the live rate ({from, to, amount}) or a
+   * quoted one ({quoteId}).
+   * @param {{from?: string, to?: string, amount?: Amount,
+   *   quoteId?: string, minReceive?: Amount}} input
+   * @param {CallOptions} [opts]
+   * @return {Promise<ConversionResult>} Result
+   */
+  convert(input, opts = {}) {
+    return this.request("POST", "/v1/conversions", {
+      body: input, idempotent: true, ...opts,
+    });
+  }
+
+  /**
+   * @param {{from: string, to: string, amount: Amount,
+   *   type: "limit"|"stop", targetRate: number,
+   *   allowPartial?: boolean, expiresIn?: number}} input
+   * @param {CallOptions} [opts]
+   * @return {Promise<object>} Order
+   */
+  placeConversionOrder(input, opts = {}) {
+    return this.request("POST", "/v1/conversions/orders", {
+      body: input, idempotent: true, ...opts,
+    });
+  }
+
+  /**
+   * @param {{status?: string, limit?: number}} [query]
+   * @return {Promise<object>} {orders}
+   */
+  listConversionOrders(query) {
+    return this.request("GET", "/v1/conversions/orders", {query});
+  }
+
+  /**
+   * @param {string} orderId - Order
+   * @return {Promise<object>} Cancelled order
+   */
+  cancelConversionOrder(orderId) {
+    return this.request("POST",
+        `/v1/conversions/orders/${enc(orderId)}/cancel`);
+  }
+
+  /* ───────── holds ───────── */
+
+  /**
+   * Reserve funds for a later capture.
+   * @param {{amount: Amount, currency: string,
+   *   toAccountId?: string, description?: string,
+   *   expiresIn?: number}} input
+   * @return {Promise<object>} {holdId, …}
+   */
+  createHold(input) {
+    return this.request("POST", "/v1/holds", {body: input});
+  }
+
+  /**
+   * @param {string} holdId - Hold
+   * @param {{amount?: Amount, toAccountId?: string,
+   *   description?: string}} [input]
+   * @return {Promise<object>} {captured, released, …}
+   */
+  captureHold(holdId, input = {}) {
+    return this.request("POST", `/v1/holds/${enc(holdId)}/capture`,
+        {body: input});
+  }
+
+  /**
+   * @param {string} holdId - Hold
+   * @return {Promise<object>} Voided hold
+   */
+  voidHold(holdId) {
+    return this.request("POST", `/v1/holds/${enc(holdId)}/void`);
+  }
+
+  /* ───────── child accounts ───────── */
+
+  /**
+   * @param {{name?: string, scopes?: string[],
+   *   caps?: object}} [input]
+   * @return {Promise<object>} {childId, apiKey, …}
+   */
+  createChildAccount(input = {}) {
+    return this.request("POST", "/v1/children", {body: input});
+  }
+
+  /** @return {Promise<object>} {children} */
+  listChildAccounts() {
+    return this.request("GET", "/v1/children");
+  }
+
+  /**
+   * @param {string} childId - Child
+   * @param {{amount: Amount, currency: string}} input
+   * @return {Promise<object>} Funding result
+   */
+  fundChildAccount(childId, input) {
+    return this.request("POST", `/v1/children/${enc(childId)}/fund`,
+        {body: input});
+  }
+
+  /**
+   * @param {string} childId - Child
+   * @param {{amount?: Amount, currency?: string}} [input]
+   * @return {Promise<object>} Sweep result
+   */
+  sweepChildAccount(childId, input = {}) {
+    return this.request("POST", `/v1/children/${enc(childId)}/sweep`,
+        {body: input});
+  }
+
+  /**
+   * @param {string} childId - Child
+   * @param {object} caps - Caps to set
+   * @return {Promise<object>} Stored caps
+   */
+  setChildCaps(childId, caps) {
+    return this.request("POST", `/v1/children/${enc(childId)}/caps`,
+        {body: caps});
+  }
+
+  /**
+   * @param {string} childId - Child
+   * @return {Promise<object>} Revoked child
+   */
+  revokeChildAccount(childId) {
+    return this.request("POST", `/v1/children/${enc(childId)}/revoke`);
+  }
+
+  /* ───────── withdrawals ───────── */
+
+  /**
+   * @param {{amount: Amount, currency: string,
+   *   destination: string}} input
+   * @param {CallOptions} [opts]
+   * @return {Promise<object>} Pending withdrawal
+   */
+  requestWithdrawal(input, opts = {}) {
+    return this.request("POST", "/v1/withdrawals", {
+      body: input, idempotent: true, ...opts,
+    });
+  }
+
+  /**
+   * @param {{status?: string, limit?: number,
+   *   accountId?: string}} [query] - accountId needs adminKey
+   * @return {Promise<object>} {withdrawals}
+   */
+  listWithdrawals(query = {}) {
+    return this.request("GET", "/v1/withdrawals", {
+      query, auth: query.accountId ? "admin" : "user",
+    });
+  }
+
+  /**
+   * Move a withdrawal along (admin).
+   * @param {string} withdrawalId - Withdrawal
+   * @param {"approve"|"reject"|"settle"} action - Transition
+   * @param {{reason?: string,
+   *   externalReference?: string}} [input]
+   * @return {Promise<object>} Withdrawal
+   */
+  updateWithdrawal(withdrawalId, action, input = {}) {
+    return this.request("POST",
+        `/v1/withdrawals/${enc(withdrawalId)}/${action}`,
+        {body: input, auth: "admin"});
+  }
+
+  /* ───────── webhooks ───────── */
+
+  /**
+   * @param {{url: string, events: string[],
+   *   lowBalanceThresholds?: object}} input
+   * @return {Promise<object>} {id, secret, …}
+   */
+  createWebhook(input) {
+    return this.request("POST", "/v1/webhooks", {body: input});
+  }
+
+  /** @return {Promise<object>} {webhooks} */
+  listWebhooks() {
+    return this.request("GET", "/v1/webhooks");
+  }
+
+  /**
+   * @param {string} id - Webhook
+   * @return {Promise<object>} Deleted webhook
+   */
+  deleteWebhook(id) {
+    return this.request("POST", `/v1/webhooks/${enc(id)}/delete`);
+  }
+
+  /**
+   * @param {{status?: string, limit?: number}} [query]
+   * @return {Promise<object>} {deliveries}
+   */
+  listWebhookDeliveries(query) {
+    return this.request("GET", "/v1/webhooks/deliveries", {query});
+  }
+
+  /* ───────── operations ───────── */
+
+  /** @return {Promise<object>} {currencies} */
+  listCurrencies() {
+    return this.request("GET", "/v1/currencies");
+  }
+
+  /**
+   * Add or update a currency (admin).
+   * @param {object} input - {code, decimals?, rateSourceId?,
+   *   enabled?}
+   * @return {Promise<object>} Currency
+   */
+  upsertCurrency(input) {
+    return this.request("POST", "/v1/currencies",
+        {body: input, auth: "admin"});
+  }
+
+  /** @return {Promise<object>} Fee schedules (admin) */
+  getFeeSchedules() {
+    return this.request("GET", "/v1/fees", {auth: "admin"});
+  }
+
+  /**
+   * @param {{operation: string, currency: string,
+   *   bps?: number, flat?: number}} input
+   * @return {Promise<object>} Stored rate (admin)
+   */
+  setFeeSchedule(input) {
+    return this.request("POST", "/v1/fees", {body: input, auth: "admin"});
+  }
+
+  /** @return {Promise<object>} System account balances (admin) */
+  getSystemAccounts() {
+    return this.request("GET", "/v1/system-accounts", {auth: "admin"});
+  }
+
+  /**
+   * Replay the ledger and report mismatches (admin).
+   * @param {string} [accountId] - Limit to one account
+   * @return {Promise<object>} Report
+   */
+  reconcile(accountId) {
+    return this.request("POST", "/v1/reconciliation",
+        {body: {accountId}, auth: "admin"});
+  }
+
+  /**
+   * @param {{limit?: number}} [query]
+   * @return {Promise<object>} {reports} (admin)
+   */
+  listReconciliationReports(query) {
+    return this.request("GET", "/v1/reconciliation/reports",
+        {query, auth: "admin"});
+  }
+
+  /** @return {Promise<object>} The bank's OpenAPI document */
+  openapi() {
+    return this.request("GET", "/v1/openapi.json", {auth: "none"});
+  }
+
+  /* ───────── LLM proxy ───────── */
+
+  /** @return {Promise<object>} {models} with pricing */
+  async listModels() {
+    return (await this.send("GET", "/v1/models", {
+      service: "proxy", auth: "none",
+    })).body;
+  }
+
+  /**
+   * Chat completion, billed from the USD balance.
+   * @param {{model: string, messages: object[]}} input -
+   *   OpenAI-format request
+   * @return {Promise<ChatResult>} Completion and billing
+   */
+  async chatCompletion(input) {
+    const {body, headers} = await this.send(
+        "POST", "/v1/chat/completions", {service: "proxy", body: input});
+    return {completion: body, billing: billingFrom(headers)};
+  }
+}
+
+/**
+ * Encode a path segment.
+ * @param {string} v - ID
+ * @return {string} Encoded segment
+ */
+function enc(v) {
+  return encodeURIComponent(v);
+}
+
+module.exports = {
+  OftenClient,
+  OftenError,
+  ValidationError,
+  AuthenticationError,
+  InsufficientFundsError,
+  PermissionError,
+  PolicyError,
+  NotFoundError,
+  ConflictError,
+  IdempotencyError,
+  RateLimitError,
+  ServiceError,
+  NetworkError,
+  errorFor,
+  retryDelay,
+  billingFrom,
+  queryString,
+};
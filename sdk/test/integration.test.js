@@ -0,0 +1,323 @@
+/**
+ * Integration Tests – OftenClient against a fake bank & proxy
+ *
+ * Covers:
+ *  - Login, token storage and the onTokens hook
+ *  - Refresh before expiresIn runs out, shared by concurrent calls
+ *  - Refresh-and-retry on a 401
+ *  - Agent API keys and the admin key
+ *  - Typed errors from the v1 envelope and the proxy
+ *  - Idempotent retries reusing one Idempotency-Key
+ *  - Billing info from chat completions
+ */
+
+const {
+  OftenClient, InsufficientFundsError, AuthenticationError,
+  ServiceError, RateLimitError, NetworkError, NotFoundError,
+} = require("../index");
+
+const BANK = "https://bank.test/api";
+const PROXY = "https://proxy.test";
+
+/* ── Fake services: a queue of replies per "METHOD path" ── */
+
+let routes;
+let calls;
+
+function reply(status, body, headers = {}) {
+  return {status, body, headers};
+}
+
+function on(method, path, ...replies) {
+  routes[`${method} ${path}`] = replies;
+}
+
+async function fakeFetch(url, init) {
+  const {pathname, search, origin} = new URL(url);
+  const key = `${init.method} ${pathname}`;
+  calls.push({key, origin, search, headers: init.headers, body: init.body && JSON.parse(init.body)});
+  const queue = routes[key];
+  if (!queue || !queue.length) throw new Error(`unexpected ${key}`);
+  const next = queue.length > 1 ? queue.shift() : queue[0];
+  if (next instanceof Error) throw next;
+  return new Response(JSON.stringify(next.body), {status: next.status, headers: next.headers});
+}
+
+function client(options = {}) {
+  return new OftenClient({baseUrl: `${BANK}/`, proxyUrl: PROXY, fetch: fakeFetch, ...options});
+}
+
+function session(idToken = "id-1", expiresAt = Date.now() + 3_600_000) {
+  return {idToken, refreshToken: "refresh-1", expiresAt};
+}
+
+const ACCOUNT = {uid: "agent-a", balances: {USD: 5_000_000}};
+
+beforeEach(() => {
+  routes = {};
+  calls = [];
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+/* ═══════════════════════════════════════════════
+   1. Sessions & Token Refresh
+   ═══════════════════════════════════════════════ */
+
+describe("sessions", () => {
+  test("login stores the tokens and authenticates later calls", async () => {
+    on("POST", "/api/v1/auth/login", reply(200, {idToken: "id-1", refreshToken: "refresh-1", expiresIn: "3600"}));
+    on("GET", "/api/v1/accounts/me", reply(200, ACCOUNT));
+    const onTokens = jest.fn();
+    const often = client({onTokens});
+
+    const tokens = await often.login("a@test.com", "password1");
+    const account = await often.getAccount();
+
+    expect(tokens.expiresAt).toBeGreaterThan(Date.now() + 3_500_000);
+    expect(onTokens).toHaveBeenCalledWith(tokens);
+    expect(calls[0].headers.Authorization).toBeUndefined();
+    expect(calls[1].headers.Authorization).toBe("Bearer id-1");
+    expect(account).toEqual(ACCOUNT);
+  });
+
+  test("signup returns the uid with the session", async () => {
+    on("POST", "/api/v1/auth/signup",
+        reply(201, {uid: "agent-new", idToken: "id-1", refreshToken: "refresh-1", expiresIn: "3600"}));
+
+    const {uid, tokens} = await client().signup("new@test.com", "password1");
+
+    expect(uid).toBe("agent-new");
+    expect(tokens.idToken).toBe("id-1");
+  });
+
+  test("refreshes before expiresIn runs out, once for concurrent calls", async () => {
+    on("POST", "/api/v1/auth/refresh", reply(200, {idToken: "id-2", refreshToken: "refresh-2", expiresIn: "3600"}));
+    on("GET", "/api/v1/accounts/me", reply(200, ACCOUNT));
+    const onTokens = jest.fn();
+    const often = client({tokens: session("id-1", Date.now() + 30_000), onTokens});
+
+    await Promise.all([often.getAccount(), often.getAccount(), often.getTransactions()]
+        .map((p) => p.catch(() => null)));
+
+    const refreshes = calls.filter((c) => c.key === "POST /api/v1/auth/refresh");
+    expect(refreshes).toHaveLength(1);
+    expect(refreshes[0].body).toEqual({refreshToken: "refresh-1"});
+    expect(calls.filter((c) => c.key === "GET /api/v1/accounts/me")
+        .map((c) => c.headers.Authorization)).toEqual(["Bearer id-2", "Bearer id-2"]);
+    expect(onTokens).toHaveBeenCalledWith(expect.objectContaining({idToken: "id-2", refreshToken: "refresh-2"}));
+  });
+
+  test("a fresh token is used without refreshing", async () => {
+    on("GET", "/api/v1/accounts/me", reply(200, ACCOUNT));
+
+    await client({tokens: session()}).getAccount();
+
+    expect(calls.map((c) => c.key)).toEqual(["GET /api/v1/accounts/me"]);
+  });
+
+  test("a 401 triggers one refresh and a retry", async () => {
+    on("POST", "/api/v1/auth/refresh", reply(200, {idToken: "id-2", refreshToken: "refresh-2", expiresIn: "3600"}));
+    on("GET", "/api/v1/accounts/me",
+        reply(401, {error: {code: "invalid_token", message: "Invalid token"}}),
+        reply(200, ACCOUNT));
+
+    expect(await client({tokens: session()}).getAccount()).toEqual(ACCOUNT);
+    expect(calls.map((c) => c.headers.Authorization))
+        .toEqual(["Bearer id-1", undefined, "Bearer id-2"]);
+  });
+
+  test("a second 401 is thrown as AuthenticationError", async () => {
+    on("POST", "/api/v1/auth/refresh", reply(200, {idToken: "id-2", refreshToken: "refresh-2", expiresIn: "3600"}));
+    on("GET", "/api/v1/accounts/me", reply(401, {error: {code: "invalid_token", message: "Invalid token"}}));
+
+    await expect(client({tokens: session()}).getAccount()).rejects.toBeInstanceOf(AuthenticationError);
+    expect(calls).toHaveLength(3);
+  });
+
+  test("without a session calls fail before reaching the network", async () => {
+    await expect(client().getAccount()).rejects.toMatchObject({code: "unauthenticated"});
+    expect(calls).toHaveLength(0);
+  });
+
+  test("agent API keys are sent as-is and never refreshed", async () => {
+    on("GET", "/api/v1/accounts/me", reply(401, {error: {code: "invalid_api_key", message: "Invalid API key"}}));
+
+    await expect(client({apiKey: "ok_live_abc"}).getAccount()).rejects.toBeInstanceOf(AuthenticationError);
+    expect(calls.map((c) => c.headers.Authorization)).toEqual(["Bearer ok_live_abc"]);
+  });
+});
+
+/* ═══════════════════════════════════════════════
+   2. Typed Methods & Errors
+   ═══════════════════════════════════════════════ */
+
+describe("methods", () => {
+  test("path parameters are encoded and queries skip undefined", async () => {
+    on("POST", "/api/v1/holds/h%2F1/capture", reply(200, {captured: 1}));
+    on("GET", "/api/v1/accounts/me/transactions", reply(200, {transactions: [], nextCursor: null}));
+    const often = client({tokens: session()});
+
+    await often.captureHold("h/1", {amount: "0.5"});
+    await often.getTransactions({limit: 5, cursor: undefined, type: "fee"});
+
+    expect(calls[0].body).toEqual({amount: "0.5"});
+    expect(calls[1].search).toBe("?limit=5&type=fee");
+  });
+
+  test("operator calls send the admin key", async () => {
+    on("POST", "/api/v1/accounts/agent-b/freeze", reply(200, {accountId: "agent-b", status: "frozen"}));
+
+    await client({adminKey: "admin-secret"}).setAccountStatus("agent-b", "freeze", "audit");
+
+    expect(calls[0].headers["x-admin-key"]).toBe("admin-secret");
+    expect(calls[0].headers.Authorization).toBeUndefined();
+    expect(calls[0].body).toEqual({reason: "audit"});
+    await expect(client().deposit({accountId: "a", amount: 1, currency: "USD"}))
+        .rejects.toThrow(/adminKey is required/);
+  });
+
+  test("API error codes become typed exceptions", async () => {
+    on("POST", "/api/v1/transfers",
+        reply(402, {error: {code: "insufficient_funds", message: "Insufficient funds"}}));
+    on("POST", "/api/v1/conversions/quotes",
+        reply(404, {error: {code: "recipient_not_found", message: "Recipient account not found"}}));
+    const often = client({tokens: session()});
+
+    const err = await often.transfer({toAccountId: "b", amount: 1, currency: "USD"}).catch((e) => e);
+    expect(err).toBeInstanceOf(InsufficientFundsError);
+    expect(err).toMatchObject({status: 402, code: "insufficient_funds"});
+    expect(calls).toHaveLength(1);
+
+    await expect(often.quoteConversion({from: "USD", to: "ETH", amount: 1}))
+        .rejects.toBeInstanceOf(NotFoundError);
+  });
+});
+
+/* ═══════════════════════════════════════════════
+   3. Retries & Idempotency
+   ═══════════════════════════════════════════════ */
+
+describe("retries", () => {
+  const UNAVAILABLE = reply(503, {error: {code: "service_unavailable", message: "down"}}, {"Retry-After": "0"});
+  const TRANSFER = {toAccountId: "b", amount: 1, currency: "USD"};
+
+  test("idempotent POSTs retry with the same Idempotency-Key", async () => {
+    on("POST", "/api/v1/transfers", UNAVAILABLE, reply(200, {currency: "USD", balance: 4}));
+
+    const res = await client({tokens: session()}).transfer(TRANSFER);
+
+    expect(res.balance).toBe(4);
+    expect(calls).toHaveLength(2);
+    const [first, second] = calls.map((c) => c.headers["Idempotency-Key"]);
+    expect(first).toMatch(/^[0-9a-f-]{36}$/);
+    expect(second).toBe(first);
+  });
+
+  test("each call gets its own key unless the caller passes one", async () => {
+    on("POST", "/api/v1/conversions", reply(200, {}));
+    const often = client({tokens: session()});
+
+    await often.convert({from: "USD", to: "ETH", amount: 1});
+    await often.convert({from: "USD", to: "ETH", amount: 1});
+    await often.convert({from: "USD", to: "ETH", amount: 1}, {idempotencyKey: "order-42"});
+
+    const keys = calls.map((c) => c.headers["Idempotency-Key"]);
+    expect(keys[0]).not.toBe(keys[1]);
+    expect(keys[2]).toBe("order-42");
+  });
+
+  test("batches, orders and withdrawals are idempotent and take a caller's key", async () => {
+    on("POST", "/api/v1/transfers/batch", UNAVAILABLE, reply(200, {batchId: "b1"}));
+    on("POST", "/api/v1/conversions/orders", UNAVAILABLE, reply(201, {orderId: "o1"}));
+    on("POST", "/api/v1/withdrawals", reply(201, {id: "w1"}));
+    const often = client({tokens: session()});
+
+    expect(await often.batchTransfer([TRANSFER], "payroll")).toEqual({batchId: "b1"});
+    expect(await often.placeConversionOrder({from: "ETH", to: "USD", amount: 1, type: "limit", targetRate: 1}))
+        .toEqual({orderId: "o1"});
+    await often.requestWithdrawal({amount: 1, currency: "USD", destination: "acct"}, {idempotencyKey: "wd-7"});
+
+    const keys = calls.map((c) => c.headers["Idempotency-Key"]);
+    expect(keys).toHaveLength(5);
+    expect(keys[1]).toBe(keys[0]);
+    expect(keys[3]).toBe(keys[2]);
+    expect(keys[2]).not.toBe(keys[0]);
+    expect(keys[4]).toBe("wd-7");
+    expect(calls[0].body).toEqual({transfers: [TRANSFER], description: "payroll"});
+  });
+
+  test("network failures are retried for idempotent calls only", async () => {
+    on("POST", "/api/v1/deposits", new Error("ECONNRESET"), reply(200, {currency: "USD", balance: 1}));
+    on("POST", "/api/v1/holds", new Error("ECONNRESET"));
+
+    const often = client({tokens: session(), adminKey: "k"});
+    expect(await often.deposit({accountId: "a", amount: 1, currency: "USD"})).toEqual({currency: "USD", balance: 1});
+    expect(new Set(calls.map((c) => c.headers["Idempotency-Key"])).size).toBe(1);
+
+    await expect(often.createHold({amount: 1, currency: "USD"})).rejects.toBeInstanceOf(NetworkError);
+    expect(calls.filter((c) => c.key === "POST /api/v1/holds")).toHaveLength(1);
+  });
+
+  test("plain POSTs are not retried on a 5xx, but are on a 429", async () => {
+    on("POST", "/api/v1/holds", UNAVAILABLE);
+    on("POST", "/api/v1/webhooks",
+        reply(429, {error: {code: "rate_limited", message: "slow"}}, {"Retry-After": "0"}),
+        reply(201, {id: "w1"}));
+    const often = client({tokens: session()});
+
+    await expect(often.createHold({amount: 1, currency: "USD"})).rejects.toBeInstanceOf(ServiceError);
+    expect(calls).toHaveLength(1);
+    expect(await often.createWebhook({url: "https://x.test", events: ["deposit"]})).toEqual({id: "w1"});
+  });
+
+  test("gives up after maxRetries and throws the last error", async () => {
+    on("GET", "/api/v1/accounts/me", reply(429, {error: {code: "rate_limited", message: "slow"}}, {"Retry-After": "0"}));
+
+    const err = await client({tokens: session(), maxRetries: 3}).getAccount().catch((e) => e);
+
+    expect(err).toBeInstanceOf(RateLimitError);
+    expect(err.retryAfter).toBe(0);
+    expect(calls).toHaveLength(4);
+  });
+});
+
+/* ═══════════════════════════════════════════════
+   4. LLM Proxy
+   ═══════════════════════════════════════════════ */
+
+describe("proxy", () => {
+  const CHAT = {model: "gpt-4o-mini", messages: [{role: "user", content: "hi"}]};
+
+  test("chat completions return billing from the X-Often-* headers", async () => {
+    on("POST", "/v1/chat/completions", reply(200, {id: "c1", choices: []}, {
+      "X-Often-Cost-Micros": "1200", "X-Often-Balance-Micros": "998800", "X-Often-Provider": "openai",
+    }));
+
+    const {completion, billing} = await client({apiKey: "ok_live_llm"}).chatCompletion(CHAT);
+
+    expect(calls[0].origin).toBe(PROXY);
+    expect(completion.id).toBe("c1");
+    expect(billing).toEqual({costMicros: 1200, balanceMicros: 998_800, provider: "openai", currency: "USD"});
+  });
+
+  test("plain proxy errors map by status", async () => {
+    on("POST", "/v1/chat/completions", reply(402, {error: "Insufficient USD balance. Convert or deposit USD first."}));
+
+    const err = await client({apiKey: "ok_live_llm"}).chatCompletion(CHAT).catch((e) => e);
+
+    expect(err).toBeInstanceOf(InsufficientFundsError);
+    expect(err.message).toMatch(/Convert or deposit USD/);
+  });
+
+  test("models are public", async () => {
+    on("GET", "/v1/models", reply(200, {models: [{id: "gpt-4o"}]}));
+
+    expect(await client().listModels()).toEqual({models: [{id: "gpt-4o"}]});
+    expect(calls[0].headers.Authorization).toBeUndefined();
+  });
+
+  test("proxy calls need proxyUrl", async () => {
+    await expect(client({proxyUrl: undefined, apiKey: "k"}).chatCompletion(CHAT)).rejects.toThrow(/proxy URL/);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Unit Tests – SDK helpers
+ *
+ * Covers:
+ *  - Error body → typed exception mapping (v1 envelope and plain bodies)
+ *  - Retry delays (Retry-After and capped backoff)
+ *  - Billing headers
+ *  - Query strings
+ */
+
+const sdk = require("../index");
+const {errorFor, retryDelay, billingFrom, queryString} = sdk;
+
+/* ═══════════════════════════════════════════════
+   1. Error Mapping
+   ═══════════════════════════════════════════════ */
+
+describe("errorFor", () => {
+  test("reads the v1 envelope", () => {
+    const err = errorFor(402, {error: {code: "insufficient_funds", message: "Insufficient funds"}});
+
+    expect(err).toBeInstanceOf(sdk.InsufficientFundsError);
+    expect(err).toBeInstanceOf(sdk.OftenError);
+    expect(err).toMatchObject({status: 402, code: "insufficient_funds", message: "Insufficient funds"});
+  });
+
+  test("keeps the offending field of validation errors", () => {
+    const err = errorFor(400, {error: {code: "invalid_request", message: "amount is required", field: "amount"}});
+
+    expect(err).toBeInstanceOf(sdk.ValidationError);
+    expect(err.field).toBe("amount");
+  });
+
+  test("picks classes by code before status", () => {
+    expect(errorFor(409, {error: {code: "idempotency_conflict", message: "x"}})).toBeInstanceOf(sdk.IdempotencyError);
+    expect(errorFor(409, {error: {code: "quote_used", message: "x"}})).toBeInstanceOf(sdk.ConflictError);
+    expect(errorFor(403, {error: {code: "policy_daily_limit", message: "x"}})).toBeInstanceOf(sdk.PolicyError);
+    expect(errorFor(403, {error: {code: "policy_daily_limit", message: "x"}})).toBeInstanceOf(sdk.PermissionError);
+    expect(errorFor(503, {error: {code: "rate_unavailable", message: "x"}})).toBeInstanceOf(sdk.ServiceError);
+    expect(errorFor(404, {error: {code: "recipient_not_found", message: "x"}})).toBeInstanceOf(sdk.NotFoundError);
+    expect(errorFor(401, {error: {code: "invalid_token", message: "x"}})).toBeInstanceOf(sdk.AuthenticationError);
+  });
+
+  test("falls back to the status for plain proxy bodies", () => {
+    const err = errorFor(402, {error: "Insufficient USD balance"});
+    expect(err).toBeInstanceOf(sdk.InsufficientFundsError);
+    expect(err.code).toBe("insufficient_funds");
+
+    const upstream = errorFor(502, {error: "openai API error", detail: "boom"});
+    expect(upstream).toBeInstanceOf(sdk.ServiceError);
+    expect(upstream.code).toBe("internal_error");
+    expect(upstream.body.detail).toBe("boom");
+
+    expect(errorFor(403, {error: "Forbidden", code: "policy_per_transaction_limit"}).code)
+        .toBe("policy_per_transaction_limit");
+    expect(errorFor(418, null).message).toBe("HTTP 418");
+  });
+
+  test("rate limits carry Retry-After", () => {
+    const err = errorFor(429, {error: "Too many requests"}, new Headers({"Retry-After": "7"}));
+
+    expect(err).toBeInstanceOf(sdk.RateLimitError);
+    expect(err.retryAfter).toBe(7);
+  });
+});
+
+/* ═══════════════════════════════════════════════
+   2. Retry Delays
+   ═══════════════════════════════════════════════ */
+
+describe("retryDelay", () => {
+  test("honours Retry-After up to the cap", () => {
+    expect(retryDelay(0, 2)).toBe(2000);
+    expect(retryDelay(0, 0)).toBe(0);
+    expect(retryDelay(0, 3600)).toBe(8000);
+  });
+
+  test("backs off exponentially with jitter", () => {
+    for (let attempt = 0; attempt < 10; attempt++) {
+      const ceiling = Math.min(250 * 2 ** attempt, 8000);
+      const d = retryDelay(attempt);
+      expect(d).toBeGreaterThanOrEqual(ceiling / 2);
+      expect(d).toBeLessThanOrEqual(ceiling);
+    }
+  });
+});
+
+/* ═══════════════════════════════════════════════
+   3. Billing & Query Helpers
+   ═══════════════════════════════════════════════ */
+
+describe("billingFrom", () => {
+  test("parses the proxy's X-Often-* headers", () => {
+    const headers = new Headers({
+      "X-Often-Cost-Micros": "750",
+      "X-Often-Balance-Micros": "999250",
+      "X-Often-Provider": "openai",
+    });
+
+    expect(billingFrom(headers)).toEqual({
+      costMicros: 750, balanceMicros: 999_250, provider: "openai", currency: "USD",
+    });
+  });
+
+  test("is null when the response was not billed", () => {
+    expect(billingFrom(new Headers())).toBeNull();
+  });
+});
+
+describe("queryString", () => {
+  test("drops undefined and null params", () => {
+    expect(queryString({limit: 10, cursor: undefined, type: null, currency: "USD"})).toBe("?limit=10&currency=USD");
+    expect(queryString({})).toBe("");
+    expect(queryString()).toBe("");
+  });
+});